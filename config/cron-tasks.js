@@ -0,0 +1,37 @@
+module.exports = {
+  /**
+   * Deliver queued emails from the outbox (retries with back-off)
+   */
+  emailOutbox: {
+    task: async ({ strapi }) => {
+      await strapi.service("api::mailer.outbox").processQueue();
+    },
+    options: {
+      rule: "*/1 * * * *",
+    },
+  },
+
+  /**
+   * Delete teacher auth audit events past the retention period
+   */
+  teacherAuthAuditPrune: {
+    task: async ({ strapi }) => {
+      await strapi.service("api::teacher.auth-audit").prune();
+    },
+    options: {
+      rule: "30 3 * * *",
+    },
+  },
+
+  /**
+   * Delete sent and failed outbox emails past the retention period
+   */
+  emailOutboxPrune: {
+    task: async ({ strapi }) => {
+      await strapi.service("api::mailer.outbox").prune();
+    },
+    options: {
+      rule: "45 3 * * *",
+    },
+  },
+};
@@ -0,0 +1,17 @@
+module.exports = ({ env }) => ({
+  // =========================
+  // Email outbox (see src/api/mailer/services/outbox.js)
+  // =========================
+  outbox: {
+    // Delivery attempts before a message is marked failed
+    maxAttempts: env.int("EMAIL_OUTBOX_MAX_ATTEMPTS", 6),
+    // Retry delay after the first failure - doubles on every further failure
+    retryDelaySeconds: env.int("EMAIL_OUTBOX_RETRY_DELAY_SECONDS", 60),
+    // Messages delivered per worker run
+    batchSize: env.int("EMAIL_OUTBOX_BATCH_SIZE", 20),
+    // A message stuck in "sending" this long (crash mid-send) is queued again
+    sendingTimeoutMinutes: env.int("EMAIL_OUTBOX_SENDING_TIMEOUT_MINUTES", 10),
+    // Sent and failed messages older than this are deleted by the daily prune task (0 = keep forever)
+    retentionDays: env.int("EMAIL_OUTBOX_RETENTION_DAYS", 30),
+  },
+});
@@ -9,10 +9,13 @@ module.exports = ({ env }) => ({
         host: env("SMTP_HOST"),
         port: env.int("SMTP_PORT"),
         secure: false, // true if using 465
-        auth: {
-          user: env("SMTP_USER"),
-          pass: env("SMTP_PASS"),
-        },
+        // Leave SMTP_USER empty for a local stand-in without auth (e.g. MailHog on localhost:1025)
+        auth: env("SMTP_USER")
+          ? {
+              user: env("SMTP_USER"),
+              pass: env("SMTP_PASS"),
+            }
+          : undefined,
       },
       settings: {
         defaultFrom: env("SMTP_FROM"),
@@ -21,6 +24,14 @@ module.exports = ({ env }) => ({
     },
   },
 
+  // =========================
+  // Teacher admin (local plugin: admin panel pages for teacher accounts)
+  // =========================
+  "teacher-admin": {
+    enabled: true,
+    resolve: "./src/plugins/teacher-admin",
+  },
+
   // =========================
   // Upload (AWS S3)
   // =========================
@@ -0,0 +1,46 @@
+module.exports = ({ env }) => ({
+  // =========================
+  // Student JWT (access token)
+  // =========================
+  jwt: {
+    secret: env("STUDENT_JWT_SECRET", env("JWT_SECRET", "default-secret-key")),
+    expiresIn: env("STUDENT_JWT_EXPIRES_IN", "15m"),
+  },
+
+  // =========================
+  // Refresh tokens (one per login session)
+  // =========================
+  refreshToken: {
+    expiresInDays: env.int("STUDENT_REFRESH_TOKEN_DAYS", 30),
+  },
+
+  // =========================
+  // Invitations (password setup link for new students)
+  // =========================
+  invite: {
+    expiresInMinutes: env.int("STUDENT_INVITE_EXPIRES_MINUTES", 7 * 24 * 60),
+  },
+
+  // =========================
+  // Password reset (forgot-password link)
+  // =========================
+  passwordReset: {
+    expiresInMinutes: env.int("STUDENT_PASSWORD_RESET_MINUTES", 60),
+  },
+
+  // =========================
+  // Login / reset throttling (same counters as teachers, see api::teacher.login-throttle)
+  // =========================
+  throttle: {
+    login: {
+      maxPerIdentifier: env.int("STUDENT_LOGIN_MAX_PER_IDENTIFIER", 10),
+      maxPerIp: env.int("STUDENT_LOGIN_MAX_PER_IP", 30),
+      windowMinutes: env.int("STUDENT_LOGIN_WINDOW_MINUTES", 15),
+    },
+    forgotPassword: {
+      maxPerIdentifier: env.int("STUDENT_FORGOT_PASSWORD_MAX_PER_EMAIL", 3),
+      maxPerIp: env.int("STUDENT_FORGOT_PASSWORD_MAX_PER_IP", 10),
+      windowMinutes: env.int("STUDENT_FORGOT_PASSWORD_WINDOW_MINUTES", 60),
+    },
+  },
+});
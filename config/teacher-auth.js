@@ -0,0 +1,157 @@
+module.exports = ({ env }) => ({
+  // =========================
+  // Teacher JWT (access token)
+  // =========================
+  jwt: {
+    secret: env("JWT_SECRET", "default-secret-key"),
+    expiresIn: env("JWT_EXPIRES_IN", "15m"),
+  },
+
+  // =========================
+  // Refresh tokens (one per login session)
+  // =========================
+  refreshToken: {
+    expiresInDays: env.int("TEACHER_REFRESH_TOKEN_DAYS", 30),
+  },
+
+  // =========================
+  // Personal API tokens (teacher integrations)
+  // =========================
+  apiTokens: {
+    maxPerTeacher: env.int("TEACHER_API_TOKENS_MAX", 10),
+    // Longest lifetime a teacher may choose (0 = tokens may also never expire)
+    maxExpiresInDays: env.int("TEACHER_API_TOKENS_MAX_DAYS", 0),
+  },
+
+  // =========================
+  // Admin impersonation (super admins, for support)
+  // =========================
+  impersonation: {
+    // Lifetime of an impersonation token - it cannot be refreshed
+    expiresInMinutes: env.int("TEACHER_IMPERSONATION_MINUTES", 15),
+    // Only allow GET/HEAD requests while impersonating
+    readOnly: env.bool("TEACHER_IMPERSONATION_READ_ONLY", true),
+  },
+
+  // =========================
+  // Invitations (password setup link for new teachers)
+  // =========================
+  invite: {
+    // Lifetime of the setup link in the welcome email and in resent invitations
+    expiresInMinutes: env.int("TEACHER_INVITE_EXPIRES_MINUTES", 60),
+  },
+
+  // =========================
+  // Email change (confirmation link sent to the new address)
+  // =========================
+  emailChange: {
+    expiresInMinutes: env.int("TEACHER_EMAIL_CHANGE_MINUTES", 60),
+  },
+
+  // =========================
+  // Password reset (forgot-password link)
+  // =========================
+  passwordReset: {
+    expiresInMinutes: env.int("TEACHER_PASSWORD_RESET_MINUTES", 60),
+  },
+
+  // =========================
+  // Password policy (set-password, reset and change-password)
+  // =========================
+  passwordPolicy: {
+    minLength: env.int("TEACHER_PASSWORD_MIN_LENGTH", 8),
+    requireLowercase: env.bool("TEACHER_PASSWORD_REQUIRE_LOWERCASE", true),
+    requireUppercase: env.bool("TEACHER_PASSWORD_REQUIRE_UPPERCASE", true),
+    requireDigit: env.bool("TEACHER_PASSWORD_REQUIRE_DIGIT", true),
+    requireSymbol: env.bool("TEACHER_PASSWORD_REQUIRE_SYMBOL", false),
+    // Reject passwords containing the teacher's username or email name
+    disallowPersonalInfo: env.bool("TEACHER_PASSWORD_DISALLOW_PERSONAL_INFO", true),
+    // Number of previous passwords that may not be reused (0 = off)
+    historySize: env.int("TEACHER_PASSWORD_HISTORY", 5),
+    // Reject passwords from the bundled breached-password list
+    checkBreached: env.bool("TEACHER_PASSWORD_CHECK_BREACHED", true),
+    // Optional path to a larger list (one password per line), replaces the bundled one
+    breachedListPath: env("TEACHER_PASSWORD_BREACHED_LIST"),
+  },
+
+  // =========================
+  // Two-factor authentication (TOTP)
+  // =========================
+  twoFactor: {
+    // Shown as the account label in authenticator apps
+    issuer: env("TEACHER_2FA_ISSUER", "STEPS LMS"),
+    // Lifetime of the challenge token returned by login when 2FA is enabled
+    challengeExpiresIn: env("TEACHER_2FA_CHALLENGE_EXPIRES_IN", "5m"),
+    recoveryCodeCount: env.int("TEACHER_2FA_RECOVERY_CODES", 10),
+  },
+
+  // =========================
+  // Magic-link (passwordless) sign-in
+  // =========================
+  magicLink: {
+    expiresInMinutes: env.int("TEACHER_MAGIC_LINK_MINUTES", 15),
+  },
+
+  // =========================
+  // OpenID Connect single sign-on (authorization code + PKCE)
+  // =========================
+  oidc: {
+    enabled: env.bool("TEACHER_OIDC_ENABLED", false),
+    // e.g. https://accounts.google.com or https://login.microsoftonline.com/<tenant>/v2.0
+    issuer: env("TEACHER_OIDC_ISSUER"),
+    clientId: env("TEACHER_OIDC_CLIENT_ID"),
+    clientSecret: env("TEACHER_OIDC_CLIENT_SECRET"),
+    // Frontend page the provider redirects back to; it posts code + state to /teachers/oidc/callback
+    redirectUri: env("TEACHER_OIDC_REDIRECT_URI", `${env("FRONTEND_URL", "http://localhost:3000")}/sso/callback`),
+    scopes: env("TEACHER_OIDC_SCOPES", "openid email profile"),
+    // Create a teacher account on first SSO login when no teacher has the email
+    autoProvision: env.bool("TEACHER_OIDC_AUTO_PROVISION", false),
+    // Only accept these email domains (empty = any)
+    allowedDomains: env.array("TEACHER_OIDC_ALLOWED_DOMAINS", []),
+    // Link accounts by email even without email_verified=true in the ID token. Only for
+    // providers that never send the claim but only issue addresses they own
+    trustUnverifiedEmail: env.bool("TEACHER_OIDC_TRUST_UNVERIFIED_EMAIL", false),
+    // Lifetime of the flow token carrying state/nonce/PKCE verifier between authorize and callback
+    flowExpiresIn: env("TEACHER_OIDC_FLOW_EXPIRES_IN", "10m"),
+  },
+
+  // =========================
+  // Auth audit trail
+  // =========================
+  audit: {
+    // Events older than this are deleted by the daily prune task (0 = keep forever)
+    retentionDays: env.int("TEACHER_AUTH_AUDIT_RETENTION_DAYS", 365),
+  },
+
+  // =========================
+  // Login lockout / throttling
+  // =========================
+  lockout: {
+    // Failed logins on one account before it is locked
+    maxFailedAttempts: env.int("TEACHER_LOCKOUT_MAX_ATTEMPTS", 5),
+    // First lockout duration - doubles on every further lockout (progressive back-off)
+    lockoutMinutes: env.int("TEACHER_LOCKOUT_MINUTES", 15),
+    maxLockoutMinutes: env.int("TEACHER_LOCKOUT_MAX_MINUTES", 24 * 60),
+  },
+
+  throttle: {
+    // Failed logins per identifier / per IP before requests are blocked
+    login: {
+      maxPerIdentifier: env.int("TEACHER_LOGIN_MAX_PER_IDENTIFIER", 10),
+      maxPerIp: env.int("TEACHER_LOGIN_MAX_PER_IP", 30),
+      windowMinutes: env.int("TEACHER_LOGIN_WINDOW_MINUTES", 15),
+    },
+    // Reset emails requested per email / per IP
+    forgotPassword: {
+      maxPerIdentifier: env.int("TEACHER_FORGOT_PASSWORD_MAX_PER_EMAIL", 3),
+      maxPerIp: env.int("TEACHER_FORGOT_PASSWORD_MAX_PER_IP", 10),
+      windowMinutes: env.int("TEACHER_FORGOT_PASSWORD_WINDOW_MINUTES", 60),
+    },
+    // Sign-in links requested per email / per IP
+    magicLink: {
+      maxPerIdentifier: env.int("TEACHER_MAGIC_LINK_MAX_PER_EMAIL", 5),
+      maxPerIp: env.int("TEACHER_MAGIC_LINK_MAX_PER_IP", 20),
+      windowMinutes: env.int("TEACHER_MAGIC_LINK_WINDOW_MINUTES", 60),
+    },
+  },
+});
@@ -0,0 +1,48 @@
+'use strict';
+
+/**
+ * Keep lesson.quizz_links before the column is dropped
+ *
+ * Quizzes are now their own content type (api::quiz.quiz) and the free-text
+ * `quizz_links` lesson field is gone. Migrations run before Strapi syncs the
+ * schema, so the quizzes table may not exist yet - this only copies the links
+ * into a holding table (one row per lesson document, published value first).
+ * On bootstrap, api::quiz.quiz importLegacyLinks() turns each row into an
+ * external-link quiz on its lesson and drops the holding table.
+ */
+
+const LEGACY_TABLE = 'lesson_quizz_links_legacy';
+
+module.exports = {
+  async up(knex) {
+    const hasColumn = (await knex.schema.hasTable('lessons')) && (await knex.schema.hasColumn('lessons', 'quizz_links'));
+
+    if (!hasColumn) {
+      return;
+    }
+
+    const rows = await knex('lessons')
+      .select('document_id', 'quizz_links', 'published_at')
+      .whereNotNull('quizz_links')
+      .andWhere('quizz_links', '<>', '');
+
+    // Draft and published rows share a document_id - prefer the published link
+    const links = new Map();
+    for (const row of rows) {
+      if (!links.has(row.document_id) || row.published_at) {
+        links.set(row.document_id, row.quizz_links);
+      }
+    }
+
+    if (!(await knex.schema.hasTable(LEGACY_TABLE))) {
+      await knex.schema.createTable(LEGACY_TABLE, (table) => {
+        table.string('document_id').primary();
+        table.string('quizz_links').notNullable();
+      });
+    }
+
+    for (const [documentId, link] of links) {
+      await knex(LEGACY_TABLE).insert({ document_id: documentId, quizz_links: link }).onConflict('document_id').ignore();
+    }
+  },
+};
@@ -0,0 +1,123 @@
+/**
+ * Script: Bulk Import Teachers from CSV
+ *
+ * Creates teacher accounts from a CSV with a header row of
+ * name, email, username, phone, qualification (name/email/username required).
+ * Every row is validated like POST /teachers; if any row is invalid nothing is created.
+ * Each new teacher gets the usual password setup email (queued in the email outbox,
+ * delivered by the running server's outbox worker).
+ *
+ * Usage:
+ *   node scripts/import-teachers.js teachers.csv            # Dry run (validate only)
+ *   node scripts/import-teachers.js teachers.csv --execute  # Actually create accounts
+ *
+ * Run from the project root with .env configured (boots Strapi against the configured database).
+ */
+
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+
+const DRY_RUN = !process.argv.includes('--execute');
+const csvPath = process.argv.slice(2).find((arg) => !arg.startsWith('--'));
+
+function printReport(report) {
+  for (const row of report.rows) {
+    const label = `line ${row.line}`.padEnd(9);
+    const who = `${row.email || '-'} / ${row.username || '-'}`;
+
+    if (row.errors.length > 0) {
+      console.log(`  ❌ ${label} ${who}: ${row.errors.join('; ')}`);
+    } else if (row.status === 'created') {
+      console.log(`  ✅ ${label} ${who} (ID: ${row.id})`);
+    } else {
+      console.log(`  ✓  ${label} ${who}`);
+    }
+  }
+
+  console.log('\n========================================');
+  console.log(`  Rows: ${report.total}`);
+  console.log(`  Valid: ${report.valid}`);
+  console.log(`  Invalid: ${report.invalid}`);
+  console.log(`  Created: ${report.created}`);
+  console.log('========================================');
+}
+
+async function importTeachers(csv) {
+  const teacherService = strapi.service('api::teacher.teacher');
+  const { rows, error } = teacherService.parseTeacherCsv(csv);
+
+  if (error) {
+    console.error(`❌ ${error}`);
+    return false;
+  }
+
+  const report = await teacherService.importTeachers(rows, { dryRun: DRY_RUN });
+  printReport(report);
+
+  if (report.invalid > 0) {
+    console.log('\n  Fix the rows above and run again - no teachers were imported.\n');
+    return false;
+  }
+
+  if (DRY_RUN) {
+    console.log('\n  To actually create the accounts, run:');
+    console.log(`  node scripts/import-teachers.js ${csvPath} --execute\n`);
+  }
+
+  return report.created === (DRY_RUN ? 0 : report.total);
+}
+
+// Setup emails are delivered in the background - give in-flight ones a chance to finish before shutdown
+async function waitForOutbox(timeoutMs = 30000) {
+  const deadline = Date.now() + timeoutMs;
+
+  while (Date.now() < deadline) {
+    await new Promise((resolve) => setTimeout(resolve, 500));
+
+    const sending = await strapi.db.query('api::mailer.email-message').count({
+      where: { status: 'sending' },
+    });
+
+    if (sending === 0) {
+      return;
+    }
+  }
+}
+
+async function main() {
+  if (!csvPath) {
+    console.error('Usage: node scripts/import-teachers.js <file.csv> [--execute]');
+    process.exit(1);
+  }
+
+  const csv = fs.readFileSync(path.resolve(csvPath), 'utf8');
+
+  console.log('\n========================================');
+  console.log('  TEACHER IMPORT');
+  console.log(DRY_RUN ? '  MODE: DRY RUN (validate only)' : '  MODE: EXECUTE (will create accounts)');
+  console.log('========================================\n');
+
+  const { createStrapi, compileStrapi } = require('@strapi/strapi');
+
+  const appContext = await compileStrapi();
+  const app = await createStrapi(appContext).load();
+
+  app.log.level = 'error';
+
+  const ok = await importTeachers(csv);
+
+  if (!DRY_RUN) {
+    await waitForOutbox();
+  }
+
+  await app.destroy();
+
+  process.exit(ok ? 0 : 1);
+}
+
+main().catch((error) => {
+  console.error(error);
+  process.exit(1);
+});
@@ -0,0 +1,50 @@
+"use strict";
+
+/**
+ * Teachers of a class get its course assigned, and lose it again with their last
+ * class for it, whether the class was saved through the API or the content manager
+ * (see services/class.js). Teachers removed from the class or from a deleted class
+ * are remembered before the change so they are synced too.
+ */
+const findTeacherIds = async (where) => {
+  const cls = await strapi.db.query("api::class.class").findOne({
+    where,
+    populate: { teachers: { select: ["id"] } },
+  });
+
+  return (cls?.teachers || []).map((teacher) => teacher.id);
+};
+
+const rememberTeachers = async (event) => {
+  event.state.teacherIds = await findTeacherIds(event.params.where);
+};
+
+const syncTeachers = async (event) => {
+  const { result, action, state } = event;
+
+  try {
+    const current = action === "afterDelete" ? [] : await findTeacherIds({ id: result.id });
+    const teacherIds = [...new Set([...(state.teacherIds || []), ...current])];
+
+    if (teacherIds.length === 0) {
+      return;
+    }
+
+    const changes = await strapi.service("api::class.class").syncTeacherCourses(teacherIds);
+
+    for (const { id, connected, disconnected } of changes) {
+      console.log(`✅ Class ${result.name}: teacher ${id} courses synced (+${connected.length} / -${disconnected.length})`);
+    }
+
+  } catch (error) {
+    console.error("❌ Failed to sync class courses to its teachers:", error);
+  }
+};
+
+module.exports = {
+  beforeUpdate: rememberTeachers,
+  beforeDelete: rememberTeachers,
+  afterCreate: syncTeachers,
+  afterUpdate: syncTeachers,
+  afterDelete: syncTeachers,
+};
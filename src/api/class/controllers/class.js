@@ -0,0 +1,48 @@
+'use strict';
+
+/**
+ * class controller
+ *
+ * ADMIN CRUD (core actions); create and update check the term dates and schedule first.
+ * Schedule times may be sent as HH:mm.
+ */
+
+const { createCoreController } = require('@strapi/strapi').factories;
+
+module.exports = createCoreController('api::class.class', ({ strapi }) => ({
+  /**
+   * Create a class
+   */
+  async create(ctx) {
+    const classService = strapi.service('api::class.class');
+    const data = classService.normalizeClassData(ctx.request.body?.data || {});
+
+    const error = classService.validateClass(data);
+    if (error) {
+      return ctx.badRequest(error);
+    }
+
+    return super.create(ctx);
+  },
+
+  /**
+   * Update a class
+   */
+  async update(ctx) {
+    const classService = strapi.service('api::class.class');
+    const data = classService.normalizeClassData(ctx.request.body?.data || {});
+
+    // Date order is checked against the stored value of whichever date is not being changed
+    const current = await strapi.db.query('api::class.class').findOne({
+      where: { documentId: ctx.params.id },
+      select: ['startDate', 'endDate'],
+    });
+
+    const error = classService.validateClass({ ...current, ...data });
+    if (error) {
+      return ctx.badRequest(error);
+    }
+
+    return super.update(ctx);
+  },
+}));
@@ -0,0 +1,46 @@
+/**
+ * Teacher Class Controller
+ * File: src/api/class/controllers/teacher-class.js
+ *
+ * "My classes" for the authenticated teacher (ctx.state.teacher, set by teacher-auth)
+ */
+
+'use strict';
+
+module.exports = ({ strapi }) => ({
+  /**
+   * TEACHER: Classes the teacher teaches
+   */
+  async find(ctx) {
+    try {
+      const classes = await strapi.service('api::class.class').findForTeacher(ctx.state.teacher);
+
+      return ctx.send({ data: classes });
+
+    } catch (error) {
+      console.error('Error in teacher class find:', error);
+      return ctx.internalServerError('Failed to fetch classes');
+    }
+  },
+
+  /**
+   * TEACHER: One of the teacher's classes, with its student roster
+   */
+  async findOne(ctx) {
+    try {
+      const cls = await strapi
+        .service('api::class.class')
+        .findOneForTeacher(ctx.state.teacher, ctx.params.id);
+
+      if (!cls) {
+        return ctx.notFound();
+      }
+
+      return ctx.send({ data: cls });
+
+    } catch (error) {
+      console.error('Error in teacher class findOne:', error);
+      return ctx.internalServerError('Failed to fetch class');
+    }
+  },
+});
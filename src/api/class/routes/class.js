@@ -0,0 +1,9 @@
+'use strict';
+
+/**
+ * class router
+ */
+
+const { createCoreRouter } = require('@strapi/strapi').factories;
+
+module.exports = createCoreRouter('api::class.class');
@@ -0,0 +1,30 @@
+'use strict';
+
+/**
+ * teacher class routes (see controllers/teacher-class.js)
+ */
+
+module.exports = {
+  routes: [
+    {
+      method: 'GET',
+      path: '/teachers/me/classes',
+      handler: 'teacher-class.find',
+      config: {
+        auth: false,
+        policies: [],
+        middlewares: ['global::teacher-auth'],
+      },
+    },
+    {
+      method: 'GET',
+      path: '/teachers/me/classes/:id',
+      handler: 'teacher-class.findOne',
+      config: {
+        auth: false,
+        policies: [],
+        middlewares: ['global::teacher-auth'],
+      },
+    },
+  ],
+};
@@ -0,0 +1,201 @@
+'use strict';
+
+/**
+ * class service
+ *
+ * Classes (sections) run one course for a term: its teachers, a roster of
+ * students and a weekly schedule (repeatable classes.schedule-slot component).
+ * Students get course content through their classes (see api::student.student);
+ * teachers of a class are assigned its course so the teacher content scope
+ * (src/utils/teacher-scope.js) covers it, and lose it again with their last
+ * class for that course.
+ */
+
+const { createCoreService } = require('@strapi/strapi').factories;
+
+const CLASS_UID = 'api::class.class';
+const TEACHER_UID = 'api::teacher.teacher';
+
+const DAYS = ['monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday', 'sunday'];
+
+// "09:00", "09:00:00" or "09:00:00.000" (Strapi time format)
+const TIME_REGEX = /^([01]\d|2[0-3]):[0-5]\d(:[0-5]\d(\.\d{1,3})?)?$/;
+
+// Strapi stores times as HH:mm:ss.SSS
+const toStoredTime = (time) =>
+  typeof time === 'string' && /^\d{2}:\d{2}$/.test(time) ? `${time}:00.000` : time;
+
+const toMinutes = (time) => {
+  const [hours, minutes] = time.split(':');
+  return Number(hours) * 60 + Number(minutes);
+};
+
+const toListItem = (cls) => ({
+  id: cls.id,
+  documentId: cls.documentId,
+  name: cls.name,
+  term: cls.term,
+  startDate: cls.startDate,
+  endDate: cls.endDate,
+  schedule: (cls.schedule || []).map(({ day, startTime, endTime, room }) => ({ day, startTime, endTime, room })),
+  course: cls.course
+    ? { id: cls.course.id, documentId: cls.course.documentId, course_title: cls.course.course_title }
+    : null,
+  teachers: (cls.teachers || []).map(({ id, name }) => ({ id, name })),
+  studentCount: (cls.students || []).length,
+});
+
+module.exports = createCoreService(CLASS_UID, ({ strapi }) => ({
+  /**
+   * Accept schedule times as HH:mm as well as Strapi's HH:mm:ss.SSS (mutates and returns data)
+   */
+  normalizeClassData(data) {
+    if (Array.isArray(data.schedule)) {
+      for (const slot of data.schedule) {
+        if (slot && typeof slot === 'object') {
+          slot.startTime = toStoredTime(slot.startTime);
+          slot.endTime = toStoredTime(slot.endTime);
+        }
+      }
+    }
+
+    return data;
+  },
+
+  /**
+   * Check the term dates and schedule of class data (create or update body).
+   * Returns an error message, or null when the data is acceptable.
+   */
+  validateClass(data) {
+    const { startDate, endDate, schedule } = data;
+
+    if (startDate && endDate && new Date(startDate) > new Date(endDate)) {
+      return 'startDate must be on or before endDate';
+    }
+
+    if (schedule === undefined || schedule === null) {
+      return null;
+    }
+
+    if (!Array.isArray(schedule)) {
+      return 'schedule must be a list of { day, startTime, endTime, room } slots';
+    }
+
+    for (const [index, slot] of schedule.entries()) {
+      const label = `schedule[${index}]`;
+
+      if (!slot || !DAYS.includes(slot.day)) {
+        return `${label}.day must be one of: ${DAYS.join(', ')}`;
+      }
+
+      if (!TIME_REGEX.test(slot.startTime || '') || !TIME_REGEX.test(slot.endTime || '')) {
+        return `${label} needs startTime and endTime as HH:mm`;
+      }
+
+      if (toMinutes(slot.startTime) >= toMinutes(slot.endTime)) {
+        return `${label}.startTime must be before endTime`;
+      }
+
+      const overlap = schedule
+        .slice(0, index)
+        .findIndex(
+          (other) =>
+            other.day === slot.day &&
+            toMinutes(other.startTime) < toMinutes(slot.endTime) &&
+            toMinutes(slot.startTime) < toMinutes(other.endTime)
+        );
+
+      if (overlap !== -1) {
+        return `${label} overlaps schedule[${overlap}]`;
+      }
+    }
+
+    return null;
+  },
+
+  /**
+   * Keep the courses teachers get through their classes in step with those classes:
+   * connect the course of every class a teacher teaches, and disconnect the courses
+   * a class assigned earlier once none of their classes runs them any more.
+   * Class-assigned courses are tracked in the private teacher field classCourses;
+   * courses assigned by hand are never disconnected here.
+   * Returns { id, connected, disconnected } for each teacher whose courses changed.
+   */
+  async syncTeacherCourses(teacherIds) {
+    const teachers = await strapi.db.query(TEACHER_UID).findMany({
+      where: { id: { $in: teacherIds } },
+      select: ['id', 'documentId', 'classCourses'],
+      populate: { classes: { populate: { course: { select: ['documentId'] } } } },
+    });
+
+    const teacherService = strapi.service(TEACHER_UID);
+    const changes = [];
+
+    for (const teacher of teachers) {
+      const backed = new Set(teacher.classes.filter((cls) => cls.course).map((cls) => cls.course.documentId));
+      const tracked = teacher.classCourses || [];
+      const assigned = (await teacherService.findAssignedCourses(teacher)).map((course) => course.documentId);
+
+      const connected = [...backed].filter((documentId) => !assigned.includes(documentId));
+      const disconnected = tracked.filter((documentId) => !backed.has(documentId) && assigned.includes(documentId));
+
+      if (connected.length > 0 || disconnected.length > 0) {
+        await teacherService.updateCourseAssignments(teacher, { connect: connected, disconnect: disconnected });
+        changes.push({ id: teacher.id, connected, disconnected });
+      }
+
+      const classCourses = [
+        ...tracked.filter((documentId) => backed.has(documentId) && assigned.includes(documentId)),
+        ...connected,
+      ];
+
+      if (classCourses.length !== tracked.length || classCourses.some((documentId, index) => documentId !== tracked[index])) {
+        await strapi.db.query(TEACHER_UID).update({ where: { id: teacher.id }, data: { classCourses } });
+      }
+    }
+
+    return changes;
+  },
+
+  /**
+   * Classes a teacher teaches, ordered by term and name
+   */
+  async findForTeacher(teacher) {
+    const classes = await strapi.db.query(CLASS_UID).findMany({
+      where: { teachers: { id: teacher.id } },
+      populate: {
+        course: { select: ['id', 'documentId', 'course_title'] },
+        teachers: { select: ['id', 'name'] },
+        students: { select: ['id'] },
+        schedule: true,
+      },
+      orderBy: [{ term: 'desc' }, { name: 'asc' }],
+    });
+
+    return classes.map(toListItem);
+  },
+
+  /**
+   * One class a teacher teaches, with its student roster (null if not theirs)
+   */
+  async findOneForTeacher(teacher, documentId) {
+    const cls = await strapi.db.query(CLASS_UID).findOne({
+      where: { documentId, teachers: { id: teacher.id } },
+      populate: {
+        course: { select: ['id', 'documentId', 'course_title'] },
+        teachers: { select: ['id', 'name'] },
+        students: { select: ['id', 'name', 'username', 'email'], orderBy: { name: 'asc' } },
+        schedule: true,
+      },
+    });
+
+    if (!cls) {
+      return null;
+    }
+
+    return {
+      ...toListItem(cls),
+      students: cls.students.map(({ id, name, username, email }) => ({ id, name, username, email })),
+    };
+  },
+}));
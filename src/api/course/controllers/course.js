@@ -5,5 +5,20 @@
  */
 
 const { createCoreController } = require('@strapi/strapi').factories;
+const { findForTeacher, findOneForTeacher } = require('../../../utils/teacher-scope');
 
-module.exports = createCoreController('api::course.course');
+module.exports = createCoreController('api::course.course', ({ strapi }) => ({
+  /**
+   * Find the courses assigned to the authenticated teacher
+   */
+  async find(ctx) {
+    return findForTeacher(this, 'api::course.course', ctx);
+  },
+
+  /**
+   * Find one course, only if it is assigned to the authenticated teacher
+   */
+  async findOne(ctx) {
+    return findOneForTeacher(this, 'api::course.course', ctx);
+  },
+}));
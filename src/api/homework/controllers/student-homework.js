@@ -0,0 +1,108 @@
+/**
+ * Student Homework Controller
+ * File: src/api/homework/controllers/student-homework.js
+ *
+ * Homework hand-in for the authenticated student (ctx.state.student, set by
+ * student-auth), for published lessons of their enrolled courses.
+ */
+
+'use strict';
+
+const HOMEWORK_SERVICE = 'api::homework.homework';
+
+/**
+ * The published lesson, if it belongs to one of the student's enrolled courses (null otherwise)
+ */
+const findStudentLesson = async (strapi, student, lessonDocumentId) => {
+  const [courseIds, lesson] = await Promise.all([
+    strapi.service('api::student.student').findEnrolledCourseDocumentIds(student),
+    strapi.service('api::progress.progress').findLesson(lessonDocumentId),
+  ]);
+
+  if (!lesson || !courseIds.includes(lesson.module?.course?.documentId)) {
+    return null;
+  }
+
+  return lesson;
+};
+
+module.exports = ({ strapi }) => ({
+  /**
+   * STUDENT: The student's homework submission for a lesson, and when it is due
+   */
+  async findOne(ctx) {
+    const { student } = ctx.state;
+
+    try {
+      const lesson = await findStudentLesson(strapi, student, ctx.params.id);
+
+      if (!lesson) {
+        return ctx.notFound();
+      }
+
+      const homeworkService = strapi.service(HOMEWORK_SERVICE);
+      const cls = await homeworkService.findStudentClass(student, lesson.module.course.documentId);
+
+      const [dueDate, submission] = await Promise.all([
+        cls ? homeworkService.findDueDate(cls, lesson.documentId) : null,
+        homeworkService.findSubmission(student, lesson.documentId),
+      ]);
+
+      return ctx.send({
+        data: {
+          lesson: { id: lesson.id, documentId: lesson.documentId, title: lesson.title },
+          dueAt: dueDate ? dueDate.dueAt : null,
+          submission: submission ? homeworkService.toSubmission(submission) : null,
+        },
+      });
+
+    } catch (error) {
+      console.error('Error in student homework findOne:', error);
+      return ctx.internalServerError('Failed to fetch homework');
+    }
+  },
+
+  /**
+   * STUDENT: Hand in homework for a lesson - replaces an earlier submission until it is graded
+   * Multipart: "files" (one or more uploads) and/or a "comment" field - without
+   * new files, the files of the earlier submission are kept
+   */
+  async submit(ctx) {
+    const { student } = ctx.state;
+    const { comment } = ctx.request.body || {};
+    const homeworkService = strapi.service(HOMEWORK_SERVICE);
+
+    const upload = ctx.request.files?.files;
+    const files = upload ? (Array.isArray(upload) ? upload : [upload]) : [];
+
+    if (files.length === 0 && !comment) {
+      return ctx.badRequest('Attach at least one file or write a comment');
+    }
+
+    if (files.length > homeworkService.MAX_FILES) {
+      return ctx.badRequest(`At most ${homeworkService.MAX_FILES} files can be handed in`);
+    }
+
+    try {
+      const lesson = await findStudentLesson(strapi, student, ctx.params.id);
+
+      if (!lesson) {
+        return ctx.notFound();
+      }
+
+      const submission = await homeworkService.submit(student, lesson, { files, comment });
+
+      if (!submission) {
+        return ctx.badRequest('This homework has already been graded');
+      }
+
+      console.log(`✅ Homework submitted: student ${student.id}, lesson ${lesson.documentId}${submission.isLate ? ' (late)' : ''}`);
+
+      return ctx.send({ data: homeworkService.toSubmission(submission) });
+
+    } catch (error) {
+      console.error('Error in student homework submit:', error);
+      return ctx.internalServerError('Failed to submit homework');
+    }
+  },
+});
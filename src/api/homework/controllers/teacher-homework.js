@@ -0,0 +1,184 @@
+/**
+ * Teacher Homework Controller
+ * File: src/api/homework/controllers/teacher-homework.js
+ *
+ * Homework due dates and grading for the authenticated teacher (ctx.state.teacher,
+ * set by teacher-auth). Only the teachers of a class can reach it.
+ */
+
+'use strict';
+
+const HOMEWORK_SERVICE = 'api::homework.homework';
+
+/**
+ * The teacher's class, or null when it does not exist or they don't teach it
+ */
+const findClass = (strapi, ctx) =>
+  strapi.service('api::class.class').findOneForTeacher(ctx.state.teacher, ctx.params.id);
+
+module.exports = ({ strapi }) => ({
+  /**
+   * TEACHER: Set when a lesson's homework is due for a class
+   * Body: { dueAt }
+   */
+  async setDueDate(ctx) {
+    const { dueAt } = ctx.request.body || {};
+
+    if (!dueAt || Number.isNaN(new Date(dueAt).getTime())) {
+      return ctx.badRequest('dueAt must be a valid date');
+    }
+
+    try {
+      const cls = await findClass(strapi, ctx);
+
+      if (!cls) {
+        return ctx.notFound();
+      }
+
+      const lesson = await strapi.service('api::progress.progress').findClassLesson(cls, ctx.params.lessonId);
+
+      if (!lesson) {
+        return ctx.notFound('Lesson not found in this class\'s course');
+      }
+
+      const dueDate = await strapi
+        .service(HOMEWORK_SERVICE)
+        .setDueDate(cls, lesson, new Date(dueAt), ctx.state.teacher);
+
+      return ctx.send({
+        data: {
+          class: { id: cls.id, documentId: cls.documentId },
+          lesson: { id: lesson.id, documentId: lesson.documentId, title: lesson.title },
+          dueAt: dueDate.dueAt,
+        },
+      });
+
+    } catch (error) {
+      console.error('Error in teacher homework setDueDate:', error);
+      return ctx.internalServerError('Failed to set due date');
+    }
+  },
+
+  /**
+   * TEACHER: Remove a lesson's homework due date from a class
+   */
+  async clearDueDate(ctx) {
+    try {
+      const cls = await findClass(strapi, ctx);
+
+      if (!cls) {
+        return ctx.notFound();
+      }
+
+      const removed = await strapi.service(HOMEWORK_SERVICE).clearDueDate(cls, ctx.params.lessonId);
+
+      if (!removed) {
+        return ctx.notFound('No due date is set for this lesson');
+      }
+
+      return ctx.send({ message: 'Due date removed' });
+
+    } catch (error) {
+      console.error('Error in teacher homework clearDueDate:', error);
+      return ctx.internalServerError('Failed to remove due date');
+    }
+  },
+
+  /**
+   * TEACHER: Homework for a lesson across the class roster - every student, with
+   * their submission or null
+   */
+  async lessonSubmissions(ctx) {
+    try {
+      const cls = await findClass(strapi, ctx);
+
+      if (!cls) {
+        return ctx.notFound();
+      }
+
+      const lesson = await strapi.service('api::progress.progress').findClassLesson(cls, ctx.params.lessonId);
+
+      if (!lesson) {
+        return ctx.notFound('Lesson not found in this class\'s course');
+      }
+
+      const homeworkService = strapi.service(HOMEWORK_SERVICE);
+
+      const [dueDate, submissions] = await Promise.all([
+        homeworkService.findDueDate(cls, lesson.documentId),
+        homeworkService.findSubmissionsForLesson(lesson.documentId, cls.students.map((student) => student.id)),
+      ]);
+
+      const byStudent = new Map(submissions.map((submission) => [submission.student?.id, submission]));
+
+      const students = cls.students.map(({ id, name, username }) => {
+        const submission = byStudent.get(id);
+        return { id, name, username, submission: submission ? homeworkService.toSubmission(submission) : null };
+      });
+
+      return ctx.send({
+        data: {
+          class: { id: cls.id, documentId: cls.documentId, name: cls.name },
+          lesson: { id: lesson.id, documentId: lesson.documentId, title: lesson.title },
+          dueAt: dueDate ? dueDate.dueAt : null,
+          submitted: submissions.length,
+          late: submissions.filter((submission) => submission.isLate).length,
+          graded: submissions.filter((submission) => submission.gradedAt).length,
+          students,
+        },
+      });
+
+    } catch (error) {
+      console.error('Error in teacher homework lessonSubmissions:', error);
+      return ctx.internalServerError('Failed to fetch submissions');
+    }
+  },
+
+  /**
+   * TEACHER: Grade a submission of a student in the class
+   * Body: { score, feedback }
+   */
+  async grade(ctx) {
+    const { score, feedback } = ctx.request.body || {};
+    const numericScore = Number(score);
+
+    if (score === undefined || score === null || score === '' || !Number.isFinite(numericScore) || numericScore < 0) {
+      return ctx.badRequest('score must be a number of 0 or more');
+    }
+
+    if (feedback !== undefined && feedback !== null && typeof feedback !== 'string') {
+      return ctx.badRequest('feedback must be text');
+    }
+
+    try {
+      const cls = await findClass(strapi, ctx);
+
+      if (!cls) {
+        return ctx.notFound();
+      }
+
+      const homeworkService = strapi.service(HOMEWORK_SERVICE);
+      const submission = await homeworkService.findSubmissionById(ctx.params.submissionId);
+
+      const inClass =
+        submission &&
+        cls.students.some((student) => student.id === submission.student?.id) &&
+        submission.lesson &&
+        (await strapi.service('api::progress.progress').findClassLesson(cls, submission.lesson.documentId));
+
+      if (!inClass) {
+        return ctx.notFound('Submission not found in this class');
+      }
+
+      const graded = await homeworkService.grade(submission, { score: numericScore, feedback }, ctx.state.teacher);
+
+      console.log(`✅ Homework ${submission.documentId} graded by teacher ${ctx.state.teacher.id}`);
+
+      return ctx.send({ data: homeworkService.toSubmission(graded) });
+
+    } catch (error) {
+      console.error('Error in teacher homework grade:', error);
+      return ctx.internalServerError('Failed to grade submission');
+    }
+  },
+});
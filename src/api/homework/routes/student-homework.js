@@ -0,0 +1,30 @@
+'use strict';
+
+/**
+ * student homework routes (see controllers/student-homework.js)
+ */
+
+module.exports = {
+  routes: [
+    {
+      method: 'GET',
+      path: '/students/me/lessons/:id/homework',
+      handler: 'student-homework.findOne',
+      config: {
+        auth: false,
+        policies: [],
+        middlewares: ['global::student-auth'],
+      },
+    },
+    {
+      method: 'POST',
+      path: '/students/me/lessons/:id/homework',
+      handler: 'student-homework.submit',
+      config: {
+        auth: false,
+        policies: [],
+        middlewares: ['global::student-auth'],
+      },
+    },
+  ],
+};
@@ -0,0 +1,50 @@
+'use strict';
+
+/**
+ * teacher homework routes (see controllers/teacher-homework.js)
+ */
+
+module.exports = {
+  routes: [
+    {
+      method: 'PUT',
+      path: '/teachers/me/classes/:id/lessons/:lessonId/due-date',
+      handler: 'teacher-homework.setDueDate',
+      config: {
+        auth: false,
+        policies: [],
+        middlewares: ['global::teacher-auth'],
+      },
+    },
+    {
+      method: 'DELETE',
+      path: '/teachers/me/classes/:id/lessons/:lessonId/due-date',
+      handler: 'teacher-homework.clearDueDate',
+      config: {
+        auth: false,
+        policies: [],
+        middlewares: ['global::teacher-auth'],
+      },
+    },
+    {
+      method: 'GET',
+      path: '/teachers/me/classes/:id/lessons/:lessonId/homework',
+      handler: 'teacher-homework.lessonSubmissions',
+      config: {
+        auth: false,
+        policies: [],
+        middlewares: ['global::teacher-auth'],
+      },
+    },
+    {
+      method: 'PUT',
+      path: '/teachers/me/classes/:id/homework/:submissionId/grade',
+      handler: 'teacher-homework.grade',
+      config: {
+        auth: false,
+        policies: [],
+        middlewares: ['global::teacher-auth'],
+      },
+    },
+  ],
+};
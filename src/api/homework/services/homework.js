@@ -0,0 +1,319 @@
+'use strict';
+
+/**
+ * homework service
+ *
+ * Students hand in homework for a published lesson of a course they are enrolled
+ * in: files and/or a comment, one submission per student and lesson. The due date
+ * comes from the student's class for that course (set by its teachers), and is
+ * copied onto the submission together with the late flag - moving or removing
+ * the due date updates both on the class's ungraded submissions. A submission
+ * can be replaced until it has been graded.
+ *
+ * Files go through the upload plugin into the same course/module/lesson folder
+ * the aws-s3 provider extension uses for lesson files, under
+ * submissions/<student username>.
+ */
+
+const path = require('path');
+const { runWithFileContexts } = require('../../../extensions/upload/utils/upload-context');
+
+const DUE_DATE_UID = 'api::homework.homework-due-date';
+const SUBMISSION_UID = 'api::homework.homework-submission';
+
+// Provider uploads per submitted file: the file itself plus, for images, a thumbnail
+// and up to three responsive formats
+const UPLOADS_PER_FILE = 5;
+
+const SUBMISSION_POPULATE = {
+  student: { select: ['id', 'name', 'username'] },
+  lesson: { select: ['id', 'documentId', 'title'] },
+  class: { select: ['id', 'documentId', 'name'] },
+  files: true,
+  gradedBy: { select: ['id', 'name'] },
+};
+
+/**
+ * Same rules as the aws-s3 provider extension's folder names
+ */
+const sanitize = (name) => {
+  if (!name) return '';
+  return name
+    .toString()
+    .trim()
+    .toLowerCase()
+    .replace(/[^a-z0-9\s\-_.]/g, '')
+    .replace(/\s+/g, '-')
+    .replace(/-+/g, '-');
+};
+
+const toSubmission = (submission) => ({
+  id: submission.id,
+  documentId: submission.documentId,
+  student: submission.student || null,
+  lesson: submission.lesson || null,
+  class: submission.class || null,
+  files: submission.files || [],
+  comment: submission.comment,
+  submittedAt: submission.submittedAt,
+  dueAt: submission.dueAt,
+  isLate: submission.isLate,
+  score: submission.score == null ? null : Number(submission.score),
+  feedback: submission.feedback,
+  gradedAt: submission.gradedAt,
+  gradedBy: submission.gradedBy || null,
+});
+
+module.exports = ({ strapi }) => ({
+  MAX_FILES: 10,
+
+  toSubmission,
+
+  /**
+   * S3 folder for a student's submission files:
+   * <course>/<module>/<lesson>/submissions/<username>
+   * lesson: as returned by api::progress.progress findLesson
+   */
+  submissionFolder(lesson, student) {
+    return [
+      sanitize(lesson.module?.course?.course_title || 'unknown-course'),
+      sanitize(lesson.module?.title || 'unknown-module'),
+      sanitize(lesson.title || 'unknown-lesson'),
+      'submissions',
+      sanitize(student.username) || `student-${student.id}`,
+    ].join('/');
+  },
+
+  /**
+   * The student's class for a course (the first one, if enrolled in several sections)
+   */
+  async findStudentClass(student, courseDocumentId) {
+    return strapi.db.query('api::class.class').findOne({
+      where: { students: { id: student.id }, course: { documentId: courseDocumentId } },
+      select: ['id', 'documentId', 'name'],
+      orderBy: { id: 'asc' },
+    });
+  },
+
+  /**
+   * Due date of a lesson's homework in a class (null when none is set)
+   */
+  async findDueDate(cls, lessonDocumentId) {
+    return strapi.db.query(DUE_DATE_UID).findOne({
+      where: { class: { id: cls.id }, lesson: { documentId: lessonDocumentId } },
+    });
+  },
+
+  /**
+   * Set (or move) the due date of a lesson's homework in a class
+   */
+  async setDueDate(cls, lesson, dueAt, teacher) {
+    const existing = await this.findDueDate(cls, lesson.documentId);
+
+    const dueDate = existing
+      ? await strapi.db.query(DUE_DATE_UID).update({
+          where: { id: existing.id },
+          data: { dueAt, setBy: teacher.id },
+        })
+      : await strapi.db.query(DUE_DATE_UID).create({
+          data: { class: cls.id, lesson: lesson.id, dueAt, setBy: teacher.id },
+        });
+
+    await this.applyDueDate(cls, lesson.documentId, dueAt);
+    return dueDate;
+  },
+
+  /**
+   * Remove a lesson's due date from a class. Returns false when none was set.
+   */
+  async clearDueDate(cls, lessonDocumentId) {
+    const existing = await this.findDueDate(cls, lessonDocumentId);
+
+    if (!existing) {
+      return false;
+    }
+
+    await strapi.db.query(DUE_DATE_UID).delete({ where: { id: existing.id } });
+    await this.applyDueDate(cls, lessonDocumentId, null);
+    return true;
+  },
+
+  /**
+   * Copy a class's (new) due date for a lesson onto its ungraded submissions and
+   * recompute their late flag. dueAt: Date, or null when the due date was removed.
+   */
+  async applyDueDate(cls, lessonDocumentId, dueAt) {
+    const submissions = await strapi.db.query(SUBMISSION_UID).findMany({
+      where: { class: { id: cls.id }, lesson: { documentId: lessonDocumentId }, gradedAt: { $null: true } },
+      select: ['id', 'submittedAt'],
+    });
+
+    const late = submissions.filter((submission) => dueAt && new Date(submission.submittedAt) > dueAt);
+    const onTime = submissions.filter((submission) => !late.includes(submission));
+
+    for (const [group, isLate] of [[late, true], [onTime, false]]) {
+      if (group.length > 0) {
+        await strapi.db.query(SUBMISSION_UID).updateMany({
+          where: { id: { $in: group.map((submission) => submission.id) } },
+          data: { dueAt, isLate },
+        });
+      }
+    }
+  },
+
+  /**
+   * A student's submission for a lesson (null if none)
+   */
+  async findSubmission(student, lessonDocumentId) {
+    return strapi.db.query(SUBMISSION_UID).findOne({
+      where: { student: { id: student.id }, lesson: { documentId: lessonDocumentId } },
+      populate: SUBMISSION_POPULATE,
+    });
+  },
+
+  /**
+   * Submissions for a lesson from some students
+   */
+  async findSubmissionsForLesson(lessonDocumentId, studentIds) {
+    if (studentIds.length === 0) {
+      return [];
+    }
+
+    return strapi.db.query(SUBMISSION_UID).findMany({
+      where: { lesson: { documentId: lessonDocumentId }, student: { id: { $in: studentIds } } },
+      populate: SUBMISSION_POPULATE,
+    });
+  },
+
+  /**
+   * A submission by documentId (null if unknown)
+   */
+  async findSubmissionById(documentId) {
+    return strapi.db.query(SUBMISSION_UID).findOne({
+      where: { documentId },
+      populate: SUBMISSION_POPULATE,
+    });
+  },
+
+  /**
+   * Hand in (or replace) homework. files: uploaded files from the request (may be empty).
+   * New files replace those of an earlier submission, which are deleted once the new
+   * ones are stored; a resubmission without files keeps the earlier files.
+   * Returns null (and stores nothing) once the submission has been graded.
+   */
+  async submit(student, lesson, { files, comment }) {
+    const cls = await this.findStudentClass(student, lesson.module.course.documentId);
+    const dueDate = cls ? await this.findDueDate(cls, lesson.documentId) : null;
+
+    const submittedAt = new Date();
+    const dueAt = dueDate ? new Date(dueDate.dueAt) : null;
+
+    const data = {
+      class: cls ? cls.id : null,
+      comment: comment || null,
+      submittedAt,
+      dueAt,
+      isLate: Boolean(dueAt && submittedAt > dueAt),
+    };
+
+    const existing = await this.findSubmission(student, lesson.documentId);
+
+    if (existing?.gradedAt) {
+      return null;
+    }
+
+    if (existing) {
+      // New files first, so a failed upload never costs the student their previous files
+      const uploaded = await this.uploadFiles(existing, lesson, student, files);
+
+      // Only while still ungraded - the teacher may have graded it during the upload
+      const { count } = await strapi.db.query(SUBMISSION_UID).updateMany({
+        where: { id: existing.id, gradedAt: { $null: true } },
+        data,
+      });
+
+      if (count === 0) {
+        const uploadService = strapi.plugin('upload').service('upload');
+        for (const file of uploaded) {
+          await uploadService.remove(file);
+        }
+
+        return null;
+      }
+    } else {
+      const submission = await strapi.db.query(SUBMISSION_UID).create({
+        data: { ...data, student: student.id, lesson: lesson.id },
+      });
+
+      try {
+        await this.uploadFiles(submission, lesson, student, files);
+      } catch (error) {
+        // A first submission without its files is no submission at all
+        await strapi.db.query(SUBMISSION_UID).delete({ where: { id: submission.id } });
+        throw error;
+      }
+    }
+
+    if (existing && files.length > 0) {
+      const uploadService = strapi.plugin('upload').service('upload');
+      for (const file of existing.files || []) {
+        await uploadService.remove(file);
+      }
+    }
+
+    return this.findSubmission(student, lesson.documentId);
+  },
+
+  /**
+   * Upload files and attach them to a submission, in the lesson's S3 folder
+   */
+  async uploadFiles(submission, lesson, student, files) {
+    if (files.length === 0) {
+      return [];
+    }
+
+    const folder = this.submissionFolder(lesson, student);
+    const uploadService = strapi.plugin('upload').service('upload');
+    const uploaded = [];
+
+    // One at a time, so each upload reads the folder context of its own file
+    for (const file of files) {
+      const name = file.originalFilename || 'file';
+      const fileName = sanitize(path.basename(name, path.extname(name))) || 'file';
+      const contexts = Array.from({ length: UPLOADS_PER_FILE }, () => ({ path: folder, fileName }));
+
+      const [record] = await runWithFileContexts(contexts, () =>
+        uploadService.upload({
+          data: {
+            ref: SUBMISSION_UID,
+            refId: submission.id,
+            field: 'files',
+            path: folder,
+          },
+          files: file,
+        })
+      );
+
+      uploaded.push(record);
+    }
+
+    return uploaded;
+  },
+
+  /**
+   * Grade a submission (a new grade replaces the previous one)
+   */
+  async grade(submission, { score, feedback }, teacher) {
+    await strapi.db.query(SUBMISSION_UID).update({
+      where: { id: submission.id },
+      data: {
+        score,
+        feedback: feedback || null,
+        gradedAt: new Date(),
+        gradedBy: teacher.id,
+      },
+    });
+
+    return this.findSubmissionById(submission.documentId);
+  },
+});
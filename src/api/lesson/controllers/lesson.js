@@ -8,6 +8,7 @@
 'use strict';
 
 const { createCoreController } = require('@strapi/strapi').factories;
+const { findForTeacher, findOneForTeacher } = require('../../../utils/teacher-scope');
 
 module.exports = createCoreController('api::lesson.lesson', ({ strapi }) => ({
   /**
@@ -96,6 +97,7 @@ module.exports = createCoreController('api::lesson.lesson', ({ strapi }) => ({
 
   /**
    * Find lessons (override to populate properly)
+   * Only lessons of courses assigned to the authenticated teacher are returned
    */
   async find(ctx) {
     // Ensure proper population - handle both missing populate and populate=*
@@ -145,7 +147,7 @@ module.exports = createCoreController('api::lesson.lesson', ({ strapi }) => ({
 
     console.log('🔍 Final populate config:', JSON.stringify(ctx.query.populate, null, 2));
     
-    const result = await super.find(ctx);
+    const result = await findForTeacher(this, 'api::lesson.lesson', ctx);
     
     // Debug: Check if files are populated for specific lessons
     if (result?.data && Array.isArray(result.data)) {
@@ -180,6 +182,7 @@ module.exports = createCoreController('api::lesson.lesson', ({ strapi }) => ({
 
   /**
    * Find one lesson (override to populate properly)
+   * 404 unless the lesson belongs to a course assigned to the authenticated teacher
    */
   async findOne(ctx) {
     // Ensure proper population - handle both missing populate and populate=*
@@ -210,6 +213,6 @@ module.exports = createCoreController('api::lesson.lesson', ({ strapi }) => ({
       };
     }
 
-    return await super.findOne(ctx);
+    return await findOneForTeacher(this, 'api::lesson.lesson', ctx);
   },
 }));
\ No newline at end of file
@@ -0,0 +1,124 @@
+/**
+ * Student Lesson Controller
+ * File: src/api/lesson/controllers/student-lesson.js
+ *
+ * Lesson reads for students, limited to the published lessons of the courses
+ * they are enrolled in through their classes. Only the student-facing files
+ * (student_file, homework_file, ppt_file) are ever loaded - teacher_file is not
+ * populated, so it cannot leak through a query parameter.
+ */
+
+'use strict';
+
+const LESSON_UID = 'api::lesson.lesson';
+
+const LESSON_FIELDS = ['lesson_uid_title', 'title', 'order', 'createdAt', 'updatedAt'];
+
+const STUDENT_POPULATE = {
+  module: {
+    fields: ['module_uid_title', 'title', 'order'],
+    populate: { course: { fields: ['course_title'] } },
+  },
+  student_file: true,
+  homework_file: true,
+  ppt_file: true,
+  // Answers live in the question components, which are not populated - see student-quiz.findOne
+  quizzes: { fields: ['title', 'type', 'externalLink'] },
+};
+
+const MAX_PAGE_SIZE = 100;
+
+/**
+ * Filters limiting lessons to the student's enrolled courses (null when not enrolled anywhere)
+ */
+const enrolledScope = async (strapi, student) => {
+  const courseIds = await strapi.service('api::student.student').findEnrolledCourseDocumentIds(student);
+
+  if (courseIds.length === 0) {
+    return null;
+  }
+
+  return { module: { course: { documentId: { $in: courseIds } } } };
+};
+
+module.exports = ({ strapi }) => ({
+  /**
+   * STUDENT: Lessons of the enrolled courses, in lesson order
+   * ?course=<course documentId>, ?module=<module documentId>, ?page, ?pageSize
+   */
+  async find(ctx) {
+    const { student } = ctx.state;
+    const { course, module } = ctx.query;
+    const page = Math.max(parseInt(ctx.query.page, 10) || 1, 1);
+    const pageSize = Math.min(Math.max(parseInt(ctx.query.pageSize, 10) || 25, 1), MAX_PAGE_SIZE);
+
+    try {
+      const scope = await enrolledScope(strapi, student);
+      const empty = { data: [], meta: { pagination: { page, pageSize, pageCount: 0, total: 0 } } };
+
+      if (!scope) {
+        return ctx.send(empty);
+      }
+
+      const filters = [scope];
+      if (course) filters.push({ module: { course: { documentId: String(course) } } });
+      if (module) filters.push({ module: { documentId: String(module) } });
+
+      const query = { filters: { $and: filters }, status: 'published' };
+
+      const [lessons, total] = await Promise.all([
+        strapi.documents(LESSON_UID).findMany({
+          ...query,
+          fields: LESSON_FIELDS,
+          populate: STUDENT_POPULATE,
+          sort: ['order:asc'],
+          start: (page - 1) * pageSize,
+          limit: pageSize,
+        }),
+        strapi.documents(LESSON_UID).count(query),
+      ]);
+
+      return ctx.send({
+        data: lessons,
+        meta: { pagination: { page, pageSize, pageCount: Math.ceil(total / pageSize), total } },
+      });
+
+    } catch (error) {
+      console.error('Error in student lesson find:', error);
+      return ctx.internalServerError('Failed to fetch lessons');
+    }
+  },
+
+  /**
+   * STUDENT: One lesson by documentId - 404 unless it belongs to an enrolled course
+   */
+  async findOne(ctx) {
+    const { student } = ctx.state;
+    const { id } = ctx.params;
+
+    try {
+      const scope = await enrolledScope(strapi, student);
+
+      if (!scope) {
+        return ctx.notFound();
+      }
+
+      const lesson = await strapi.documents(LESSON_UID).findFirst({
+        filters: { $and: [scope, { documentId: id }] },
+        status: 'published',
+        fields: LESSON_FIELDS,
+        populate: STUDENT_POPULATE,
+      });
+
+      if (!lesson) {
+        return ctx.notFound();
+      }
+
+      return ctx.send({ data: lesson });
+
+    } catch (error) {
+      console.error('Error in student lesson findOne:', error);
+      return ctx.internalServerError('Failed to fetch lesson');
+    }
+  },
+});
@@ -0,0 +1,30 @@
+'use strict';
+
+/**
+ * student lesson routes (see controllers/student-lesson.js)
+ */
+
+module.exports = {
+  routes: [
+    {
+      method: 'GET',
+      path: '/students/me/lessons',
+      handler: 'student-lesson.find',
+      config: {
+        auth: false,
+        policies: [],
+        middlewares: ['global::student-auth'],
+      },
+    },
+    {
+      method: 'GET',
+      path: '/students/me/lessons/:id',
+      handler: 'student-lesson.findOne',
+      config: {
+        auth: false,
+        policies: [],
+        middlewares: ['global::student-auth'],
+      },
+    },
+  ],
+};
@@ -0,0 +1,115 @@
+'use strict';
+
+/**
+ * mailer controller - admin tools for the transactional email templates and outbox
+ */
+
+const OUTBOX_STATUSES = ['queued', 'sending', 'sent', 'failed'];
+
+module.exports = ({ strapi }) => ({
+  /**
+   * ADMIN: List available email templates
+   */
+  async listTemplates(ctx) {
+    const templates = await strapi.service('api::mailer.mailer').listTemplates();
+
+    return ctx.send({ data: templates });
+  },
+
+  /**
+   * ADMIN: Preview a template rendered with its sample variables
+   * ?format=html or ?format=text returns the raw body instead of JSON
+   */
+  async preview(ctx) {
+    const { name } = ctx.params;
+    const { format } = ctx.query;
+    const mailer = strapi.service('api::mailer.mailer');
+
+    if (!(await mailer.hasTemplate(name))) {
+      return ctx.notFound('Email template not found');
+    }
+
+    try {
+      const rendered = await mailer.renderSample(name);
+
+      if (format === 'html') {
+        ctx.type = 'text/html';
+        ctx.body = rendered.html;
+        return;
+      }
+
+      if (format === 'text') {
+        ctx.type = 'text/plain';
+        ctx.body = rendered.text;
+        return;
+      }
+
+      return ctx.send({ data: { name, ...rendered } });
+    } catch (error) {
+      console.error('❌ Error rendering email preview:', error);
+      return ctx.internalServerError('Failed to render email template');
+    }
+  },
+
+  /**
+   * ADMIN: List email outbox messages
+   * ?status=queued|sending|sent|failed, ?page, ?pageSize
+   */
+  async listOutbox(ctx) {
+    const { status } = ctx.query;
+    const page = Math.max(parseInt(ctx.query.page, 10) || 1, 1);
+    const pageSize = Math.min(Math.max(parseInt(ctx.query.pageSize, 10) || 25, 1), 100);
+
+    if (status && !OUTBOX_STATUSES.includes(status)) {
+      return ctx.badRequest(`status must be one of: ${OUTBOX_STATUSES.join(', ')}`);
+    }
+
+    try {
+      const { messages, pagination } = await strapi
+        .service('api::mailer.outbox')
+        .list({ status, page, pageSize });
+
+      return ctx.send({ data: messages, meta: { pagination } });
+    } catch (error) {
+      console.error('❌ Error listing email outbox:', error);
+      return ctx.internalServerError('Failed to list email outbox');
+    }
+  },
+
+  /**
+   * ADMIN: Re-send a failed outbox message
+   */
+  async resendOutboxMessage(ctx) {
+    const id = parseInt(ctx.params.id, 10);
+
+    if (!id) {
+      return ctx.badRequest('Invalid message id');
+    }
+
+    try {
+      const message = await strapi.service('api::mailer.outbox').resend(id);
+
+      if (message === null) {
+        return ctx.notFound('Email message not found');
+      }
+
+      if (message === false) {
+        return ctx.badRequest('Only failed messages whose body is still stored can be re-sent');
+      }
+
+      return ctx.send({
+        message: message.status === 'sent' ? 'Email re-sent' : 'Email re-queued for delivery',
+        data: {
+          id: message.id,
+          status: message.status,
+          attempts: message.attempts,
+          nextAttemptAt: message.nextAttemptAt,
+          lastError: message.lastError,
+        },
+      });
+    } catch (error) {
+      console.error('❌ Error re-sending email:', error);
+      return ctx.internalServerError('Failed to re-send email');
+    }
+  },
+});
@@ -0,0 +1,47 @@
+'use strict';
+
+/**
+ * mailer router
+ */
+
+module.exports = {
+  routes: [
+    // ADMIN ROUTES
+    {
+      method: 'GET',
+      path: '/email-templates',
+      handler: 'mailer.listTemplates',
+      config: {
+        policies: [],
+        middlewares: [],
+      },
+    },
+    {
+      method: 'GET',
+      path: '/email-templates/:name/preview',
+      handler: 'mailer.preview',
+      config: {
+        policies: [],
+        middlewares: [],
+      },
+    },
+    {
+      method: 'GET',
+      path: '/email-outbox',
+      handler: 'mailer.listOutbox',
+      config: {
+        policies: [],
+        middlewares: [],
+      },
+    },
+    {
+      method: 'POST',
+      path: '/email-outbox/:id/resend',
+      handler: 'mailer.resendOutboxMessage',
+      config: {
+        policies: [],
+        middlewares: [],
+      },
+    },
+  ],
+};
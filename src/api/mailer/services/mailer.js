@@ -0,0 +1,118 @@
+'use strict';
+
+/**
+ * mailer service
+ *
+ * Named, file-based transactional email templates (src/api/mailer/templates):
+ *   templates/layout.html, layout.txt       shared wrapper, body injected as {{{content}}}
+ *   templates/<name>/subject.txt            subject line
+ *   templates/<name>/body.html, body.txt    HTML and plain-text bodies
+ *   templates/<name>/sample.json            sample variables for the admin preview
+ *
+ * Usage: strapi.service("api::mailer.mailer").send("teacher-welcome", { to, variables })
+ *
+ * send() does not talk to SMTP itself: the rendered message is stored in the
+ * email outbox and delivered (with retries) by services/outbox.js.
+ */
+
+const fs = require('fs/promises');
+const path = require('path');
+const { render } = require('../utils/render');
+
+const TEMPLATES_DIR = path.join(__dirname, '..', 'templates');
+const TEMPLATE_NAME_REGEX = /^[a-z0-9]+(?:-[a-z0-9]+)*$/;
+
+const readTemplateFile = (...segments) => fs.readFile(path.join(TEMPLATES_DIR, ...segments), 'utf8');
+
+module.exports = ({ strapi }) => ({
+  /**
+   * Names of all available templates
+   */
+  async listTemplates() {
+    const entries = await fs.readdir(TEMPLATES_DIR, { withFileTypes: true });
+    return entries.filter((entry) => entry.isDirectory()).map((entry) => entry.name).sort();
+  },
+
+  /**
+   * Whether a template with this name exists
+   */
+  async hasTemplate(name) {
+    if (!TEMPLATE_NAME_REGEX.test(name || '')) {
+      return false;
+    }
+
+    const templates = await this.listTemplates();
+    return templates.includes(name);
+  },
+
+  /**
+   * Variables available to every template
+   */
+  defaultVariables() {
+    return {
+      appName: process.env.APP_NAME || 'STEPS LMS',
+      frontendUrl: process.env.FRONTEND_URL || 'http://localhost:3000',
+      year: new Date().getFullYear(),
+    };
+  },
+
+  /**
+   * Render a template to { subject, html, text }
+   */
+  async render(name, variables = {}) {
+    if (!(await this.hasTemplate(name))) {
+      throw new Error(`Unknown email template: ${name}`);
+    }
+
+    const context = { ...this.defaultVariables(), ...variables };
+
+    const [subject, bodyHtml, bodyText, layoutHtml, layoutText] = await Promise.all([
+      readTemplateFile(name, 'subject.txt'),
+      readTemplateFile(name, 'body.html'),
+      readTemplateFile(name, 'body.txt'),
+      readTemplateFile('layout.html'),
+      readTemplateFile('layout.txt'),
+    ]);
+
+    const html = render(layoutHtml, {
+      ...context,
+      content: render(bodyHtml, context, { escape: true }),
+    }, { escape: true });
+
+    const text = render(layoutText, {
+      ...context,
+      content: render(bodyText, context, { escape: false }).trim(),
+    }, { escape: false });
+
+    return {
+      subject: render(subject, context, { escape: false }).trim(),
+      html,
+      text,
+    };
+  },
+
+  /**
+   * Render with the template's sample.json variables (admin preview)
+   */
+  async renderSample(name) {
+    const sample = JSON.parse(await readTemplateFile(name, 'sample.json').catch(() => '{}'));
+    return this.render(name, sample);
+  },
+
+  /**
+   * Render a template and queue it in the email outbox.
+   * Resolves once the message is stored - SMTP failures are retried by the outbox worker.
+   */
+  async send(name, { to, variables = {} }) {
+    const { subject, html, text } = await this.render(name, variables);
+
+    return strapi.service('api::mailer.outbox').enqueue({
+      template: name,
+      to,
+      from: process.env.EMAIL_FROM || 'noreply@yourapp.com',
+      subject,
+      html,
+      text,
+    });
+  },
+});
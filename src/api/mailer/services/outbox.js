@@ -0,0 +1,249 @@
+'use strict';
+
+/**
+ * outbox service
+ *
+ * Durable email queue. Messages are stored fully rendered (status "queued"),
+ * delivered through the email plugin and retried with exponential back-off
+ * until config mailer.outbox.maxAttempts is reached, after which they are
+ * marked "failed" and can be re-sent by an admin.
+ *
+ * Rendered bodies carry live links (invites, password resets, magic links), so
+ * html and text are cleared as soon as a message is sent or fails for good -
+ * only the envelope (template, recipient, subject, status) is kept. Delivered
+ * and failed messages older than config mailer.outbox.retentionDays are pruned
+ * by the emailOutboxPrune cron task.
+ *
+ * Delivery runs right after enqueue (after the commit, when enqueued inside a
+ * transaction) and on every run of the emailOutbox cron task
+ * (config/cron-tasks.js). A message is claimed by switching it to "sending"
+ * in a single UPDATE, so the two never deliver the same message twice.
+ */
+
+const MESSAGE_UID = 'api::mailer.email-message';
+
+const MAX_ERROR_LENGTH = 2000;
+
+// Applied once a message is sent or failed for good
+const REDACTED_BODY = { html: null, text: null };
+
+module.exports = ({ strapi }) => ({
+  /**
+   * Store a rendered message and try to deliver it in the background
+   */
+  async enqueue({ template, to, from, subject, html, text }) {
+    const message = await strapi.db.query(MESSAGE_UID).create({
+      data: {
+        template,
+        to,
+        from,
+        subject,
+        html,
+        text,
+        status: 'queued',
+        attempts: 0,
+        nextAttemptAt: new Date(),
+      },
+    });
+
+    const deliverSoon = () =>
+      setImmediate(() => {
+        this.deliver(message.id).catch((error) => {
+          console.error(`❌ Email outbox delivery of message ${message.id} crashed:`, error);
+        });
+      });
+
+    // Inside a transaction the message only exists once it commits (and never on rollback)
+    if (strapi.db.inTransaction()) {
+      await strapi.db.transaction(async ({ onCommit }) => onCommit(deliverSoon));
+    } else {
+      deliverSoon();
+    }
+
+    return message;
+  },
+
+  /**
+   * Atomically move a queued message to "sending" - false if someone else got it first
+   */
+  async claim(id) {
+    const { count } = await strapi.db.query(MESSAGE_UID).updateMany({
+      where: { id, status: 'queued' },
+      data: { status: 'sending', lastAttemptAt: new Date() },
+    });
+
+    return count > 0;
+  },
+
+  /**
+   * Attempt delivery of one queued message, scheduling a retry or failing it on error
+   */
+  async deliver(id) {
+    if (!(await this.claim(id))) {
+      return null;
+    }
+
+    const message = await strapi.db.query(MESSAGE_UID).findOne({ where: { id } });
+    const attempts = (message.attempts || 0) + 1;
+
+    try {
+      await strapi.plugins['email'].services.email.send({
+        to: message.to,
+        from: message.from,
+        subject: message.subject,
+        html: message.html,
+        text: message.text,
+      });
+
+      return strapi.db.query(MESSAGE_UID).update({
+        where: { id },
+        data: {
+          status: 'sent',
+          attempts,
+          sentAt: new Date(),
+          nextAttemptAt: null,
+          lastError: null,
+          ...REDACTED_BODY,
+        },
+      });
+    } catch (error) {
+      const { maxAttempts, retryDelaySeconds } = strapi.config.get('mailer.outbox');
+      const failed = attempts >= maxAttempts;
+      const delaySeconds = retryDelaySeconds * 2 ** (attempts - 1);
+
+      console.error(
+        failed
+          ? `❌ Email ${id} to ${message.to} failed after ${attempts} attempts:`
+          : `⚠️ Email ${id} to ${message.to} failed (attempt ${attempts}), retrying in ${delaySeconds}s:`,
+        error.message
+      );
+
+      return strapi.db.query(MESSAGE_UID).update({
+        where: { id },
+        data: {
+          status: failed ? 'failed' : 'queued',
+          attempts,
+          nextAttemptAt: failed ? null : new Date(Date.now() + delaySeconds * 1000),
+          lastError: String(error.message || error).slice(0, MAX_ERROR_LENGTH),
+          ...(failed ? REDACTED_BODY : {}),
+        },
+      });
+    }
+  },
+
+  /**
+   * Worker run: requeue stuck messages, then deliver everything that is due
+   */
+  async processQueue() {
+    const { batchSize, sendingTimeoutMinutes } = strapi.config.get('mailer.outbox');
+
+    // A crash between claim and update leaves a message in "sending" forever
+    await strapi.db.query(MESSAGE_UID).updateMany({
+      where: {
+        status: 'sending',
+        lastAttemptAt: { $lt: new Date(Date.now() - sendingTimeoutMinutes * 60 * 1000) },
+      },
+      data: { status: 'queued', nextAttemptAt: new Date() },
+    });
+
+    const due = await strapi.db.query(MESSAGE_UID).findMany({
+      where: { status: 'queued', nextAttemptAt: { $lte: new Date() } },
+      select: ['id'],
+      orderBy: { nextAttemptAt: 'asc' },
+      limit: batchSize,
+    });
+
+    const results = { sent: 0, retrying: 0, failed: 0 };
+
+    for (const { id } of due) {
+      const message = await this.deliver(id);
+
+      if (message) {
+        results[message.status === 'queued' ? 'retrying' : message.status] += 1;
+      }
+    }
+
+    return results;
+  },
+
+  /**
+   * List outbox messages (newest first), optionally filtered by status
+   */
+  async list({ status, page = 1, pageSize = 25 } = {}) {
+    const where = status ? { status } : {};
+
+    const [messages, total] = await Promise.all([
+      strapi.db.query(MESSAGE_UID).findMany({
+        where,
+        select: [
+          'id',
+          'template',
+          'to',
+          'subject',
+          'status',
+          'attempts',
+          'nextAttemptAt',
+          'lastAttemptAt',
+          'lastError',
+          'sentAt',
+          'createdAt',
+        ],
+        orderBy: { createdAt: 'desc' },
+        offset: (page - 1) * pageSize,
+        limit: pageSize,
+      }),
+      strapi.db.query(MESSAGE_UID).count({ where }),
+    ]);
+
+    return {
+      messages,
+      pagination: { page, pageSize, pageCount: Math.ceil(total / pageSize), total },
+    };
+  },
+
+  /**
+   * Put a failed message back in the queue with a fresh set of attempts.
+   * Returns null if the message does not exist, false if it is not failed or
+   * its body has already been cleared.
+   */
+  async resend(id) {
+    const message = await strapi.db.query(MESSAGE_UID).findOne({ where: { id } });
+
+    if (!message) {
+      return null;
+    }
+
+    if (message.status !== 'failed' || (!message.html && !message.text)) {
+      return false;
+    }
+
+    await strapi.db.query(MESSAGE_UID).update({
+      where: { id },
+      data: { status: 'queued', attempts: 0, nextAttemptAt: new Date(), lastError: null },
+    });
+
+    return this.deliver(id);
+  },
+
+  /**
+   * Delete sent and failed messages past the retention period
+   */
+  async prune() {
+    const { retentionDays } = strapi.config.get('mailer.outbox');
+
+    if (!retentionDays || retentionDays <= 0) {
+      return 0;
+    }
+
+    const cutoff = new Date(Date.now() - retentionDays * 24 * 60 * 60 * 1000);
+    const { count } = await strapi.db.query(MESSAGE_UID).deleteMany({
+      where: { status: { $in: ['sent', 'failed'] }, createdAt: { $lt: cutoff } },
+    });
+
+    if (count > 0) {
+      console.log(`🧹 Pruned ${count} outbox message(s) older than ${retentionDays} days`);
+    }
+
+    return count;
+  },
+});
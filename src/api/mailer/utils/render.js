@@ -0,0 +1,62 @@
+'use strict';
+
+/**
+ * Tiny template renderer for the email templates
+ *
+ *   {{name}}                 value, HTML-escaped when rendering HTML
+ *   {{{content}}}            raw value (trusted markup only, e.g. the layout body)
+ *   {{#if phone}}...{{/if}}  block kept only when the value is truthy (no nesting)
+ */
+
+const HTML_ESCAPES = {
+  '&': '&amp;',
+  '<': '&lt;',
+  '>': '&gt;',
+  '"': '&quot;',
+  "'": '&#39;',
+};
+
+const escapeHtml = (value) => String(value).replace(/[&<>"']/g, (char) => HTML_ESCAPES[char]);
+
+const lookup = (variables, path) =>
+  path.split('.').reduce((value, key) => (value == null ? undefined : value[key]), variables);
+
+/**
+ * Render a template string
+ * @param {string} template
+ * @param {object} variables
+ * @param {{ escape: boolean }} options - escape {{ }} values (true for HTML)
+ */
+function render(template, variables, { escape }) {
+  return template
+    .replace(/\{\{#if\s+([\w.]+)\s*\}\}([\s\S]*?)\{\{\/if\}\}/g, (match, path, block) =>
+      lookup(variables, path) ? block : ''
+    )
+    // One pass for both forms, so substituted values are never re-scanned
+    .replace(/\{\{\{\s*([\w.]+)\s*\}\}\}|\{\{\s*([\w.]+)\s*\}\}/g, (match, rawPath, path) => {
+      const value = lookup(variables, rawPath || path);
+      if (value == null) return '';
+      return escape && !rawPath ? escapeHtml(value) : String(value);
+    });
+}
+
+/**
+ * Human readable duration for email copy ("1 hour", "30 minutes", "7 days")
+ */
+function formatDuration(ms) {
+  const minutes = Math.round(ms / 60000);
+  const plural = (count, unit) => `${count} ${unit}${count === 1 ? '' : 's'}`;
+
+  if (minutes < 60) return plural(minutes, 'minute');
+
+  const hours = Math.round(minutes / 60);
+  if (hours < 48) return plural(hours, 'hour');
+
+  return plural(Math.round(hours / 24), 'day');
+}
+
+module.exports = {
+  escapeHtml,
+  render,
+  formatDuration,
+};
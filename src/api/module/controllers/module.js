@@ -5,5 +5,20 @@
  */
 
 const { createCoreController } = require('@strapi/strapi').factories;
+const { findForTeacher, findOneForTeacher } = require('../../../utils/teacher-scope');
 
-module.exports = createCoreController('api::module.module');
+module.exports = createCoreController('api::module.module', ({ strapi }) => ({
+  /**
+   * Find modules of the courses assigned to the authenticated teacher
+   */
+  async find(ctx) {
+    return findForTeacher(this, 'api::module.module', ctx);
+  },
+
+  /**
+   * Find one module, only if it belongs to a course assigned to the authenticated teacher
+   */
+  async findOne(ctx) {
+    return findOneForTeacher(this, 'api::module.module', ctx);
+  },
+}));
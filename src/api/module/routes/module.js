@@ -6,4 +6,16 @@
 
 const { createCoreRouter } = require('@strapi/strapi').factories;
 
-module.exports = createCoreRouter('api::module.module');
+module.exports = createCoreRouter('api::module.module', {
+  config: {
+    // Reads are scoped to the teacher's assigned courses (see src/utils/teacher-scope.js)
+    find: {
+      auth: false,
+      middlewares: ['global::teacher-auth'],
+    },
+    findOne: {
+      auth: false,
+      middlewares: ['global::teacher-auth'],
+    },
+  },
+});
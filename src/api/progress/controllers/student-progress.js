@@ -0,0 +1,142 @@
+/**
+ * Student Progress Controller
+ * File: src/api/progress/controllers/student-progress.js
+ *
+ * The authenticated student's own lesson progress (ctx.state.student, set by
+ * student-auth), limited to the published lessons of their enrolled courses.
+ */
+
+'use strict';
+
+const PROGRESS_SERVICE = 'api::progress.progress';
+
+const enrolledCourseIds = (strapi, student) =>
+  strapi.service('api::student.student').findEnrolledCourseDocumentIds(student);
+
+module.exports = ({ strapi }) => ({
+  /**
+   * STUDENT: Record that the student viewed or completed a lesson
+   * Body: { status: "viewed" | "completed" }
+   */
+  async record(ctx) {
+    const { status } = ctx.request.body || {};
+    const progressService = strapi.service(PROGRESS_SERVICE);
+
+    if (!progressService.STUDENT_STATUSES.includes(status)) {
+      return ctx.badRequest(`status must be one of: ${progressService.STUDENT_STATUSES.join(', ')}`);
+    }
+
+    try {
+      const [courseIds, lesson] = await Promise.all([
+        enrolledCourseIds(strapi, ctx.state.student),
+        progressService.findLesson(ctx.params.id),
+      ]);
+
+      if (!lesson || !courseIds.includes(lesson.module?.course?.documentId)) {
+        return ctx.notFound();
+      }
+
+      const progress = await progressService.recordStudentProgress(ctx.state.student, lesson, status);
+
+      return ctx.send({
+        data: {
+          lesson: { id: lesson.id, documentId: lesson.documentId, title: lesson.title },
+          viewedAt: progress.viewedAt,
+          completedAt: progress.completedAt,
+        },
+      });
+
+    } catch (error) {
+      console.error('Error in student progress record:', error);
+      return ctx.internalServerError('Failed to record progress');
+    }
+  },
+
+  /**
+   * STUDENT: Progress through an enrolled course, per module
+   */
+  async courseProgress(ctx) {
+    const { courseId } = ctx.params;
+    const progressService = strapi.service(PROGRESS_SERVICE);
+
+    try {
+      const courseIds = await enrolledCourseIds(strapi, ctx.state.student);
+
+      if (!courseIds.includes(courseId)) {
+        return ctx.notFound();
+      }
+
+      const [outline, progress] = await Promise.all([
+        progressService.findCourseOutline(courseId),
+        progressService.findStudentProgress([ctx.state.student.id]),
+      ]);
+
+      const lessons = progress.get(ctx.state.student.id);
+
+      return ctx.send({
+        data: {
+          course: { documentId: courseId },
+          ...progressService.summarise(outline, progressService.completedLessonIds(lessons)),
+        },
+      });
+
+    } catch (error) {
+      console.error('Error in student progress courseProgress:', error);
+      return ctx.internalServerError('Failed to fetch course progress');
+    }
+  },
+
+  /**
+   * STUDENT: Progress through one module of an enrolled course, per lesson
+   */
+  async moduleProgress(ctx) {
+    const { moduleId } = ctx.params;
+    const progressService = strapi.service(PROGRESS_SERVICE);
+
+    try {
+      const module = await strapi.documents('api::module.module').findOne({
+        documentId: moduleId,
+        status: 'published',
+        fields: ['order'],
+        populate: { course: { fields: ['course_title'] } },
+      });
+
+      const courseIds = await enrolledCourseIds(strapi, ctx.state.student);
+
+      if (!module || !courseIds.includes(module.course?.documentId)) {
+        return ctx.notFound();
+      }
+
+      const [outline, progress] = await Promise.all([
+        progressService.findCourseOutline(module.course.documentId),
+        progressService.findStudentProgress([ctx.state.student.id]),
+      ]);
+
+      const outlineModule = outline.find((item) => item.documentId === moduleId);
+      const lessons = progress.get(ctx.state.student.id);
+
+      const [summary] = progressService
+        .summarise([outlineModule], progressService.completedLessonIds(lessons))
+        .modules;
+
+      return ctx.send({
+        data: {
+          ...summary,
+          course: { documentId: module.course.documentId, course_title: module.course.course_title },
+          lessons: outlineModule.lessons.map((lesson) => ({
+            id: lesson.id,
+            documentId: lesson.documentId,
+            title: lesson.title,
+            order: lesson.order,
+            viewedAt: lessons.get(lesson.documentId)?.viewedAt || null,
+            completedAt: lessons.get(lesson.documentId)?.completedAt || null,
+          })),
+        },
+      });
+
+    } catch (error) {
+      console.error('Error in student progress moduleProgress:', error);
+      return ctx.internalServerError('Failed to fetch module progress');
+    }
+  },
+});
@@ -0,0 +1,201 @@
+/**
+ * Teacher Progress Controller
+ * File: src/api/progress/controllers/teacher-progress.js
+ *
+ * Class progress for the authenticated teacher (ctx.state.teacher, set by teacher-auth).
+ * Teachers mark the lessons of a class's course as taught, and see how far the
+ * class and each of its students have got. Only the teachers of a class can reach it.
+ */
+
+'use strict';
+
+const PROGRESS_SERVICE = 'api::progress.progress';
+
+/**
+ * The teacher's class, or null when it does not exist or they don't teach it
+ */
+const findClass = (strapi, ctx) =>
+  strapi.service('api::class.class').findOneForTeacher(ctx.state.teacher, ctx.params.id);
+
+module.exports = ({ strapi }) => ({
+  /**
+   * TEACHER: Mark a lesson as taught in one of the teacher's classes
+   * Body (optional): { taughtAt }
+   */
+  async markTaught(ctx) {
+    const { taughtAt } = ctx.request.body || {};
+
+    if (taughtAt !== undefined && Number.isNaN(new Date(taughtAt).getTime())) {
+      return ctx.badRequest('taughtAt must be a valid date');
+    }
+
+    try {
+      const cls = await findClass(strapi, ctx);
+
+      if (!cls) {
+        return ctx.notFound();
+      }
+
+      const lesson = await strapi.service(PROGRESS_SERVICE).findClassLesson(cls, ctx.params.lessonId);
+
+      if (!lesson) {
+        return ctx.notFound('Lesson not found in this class\'s course');
+      }
+
+      const progress = await strapi
+        .service(PROGRESS_SERVICE)
+        .markTaught(cls, lesson, ctx.state.teacher, taughtAt ? new Date(taughtAt) : undefined);
+
+      return ctx.send({
+        data: {
+          class: { id: cls.id, documentId: cls.documentId },
+          lesson: { id: lesson.id, documentId: lesson.documentId, title: lesson.title },
+          taughtAt: progress.taughtAt,
+        },
+      });
+
+    } catch (error) {
+      console.error('Error in teacher progress markTaught:', error);
+      return ctx.internalServerError('Failed to mark lesson as taught');
+    }
+  },
+
+  /**
+   * TEACHER: Undo "taught" for a lesson in one of the teacher's classes
+   */
+  async unmarkTaught(ctx) {
+    try {
+      const cls = await findClass(strapi, ctx);
+
+      if (!cls) {
+        return ctx.notFound();
+      }
+
+      const removed = await strapi.service(PROGRESS_SERVICE).unmarkTaught(cls, ctx.params.lessonId);
+
+      if (!removed) {
+        return ctx.notFound('Lesson is not marked as taught in this class');
+      }
+
+      return ctx.send({ message: 'Lesson is no longer marked as taught' });
+
+    } catch (error) {
+      console.error('Error in teacher progress unmarkTaught:', error);
+      return ctx.internalServerError('Failed to update lesson progress');
+    }
+  },
+
+  /**
+   * TEACHER: Course progress of a class - lessons taught per module, and each
+   * student's completion of the course
+   */
+  async classProgress(ctx) {
+    try {
+      const cls = await findClass(strapi, ctx);
+
+      if (!cls) {
+        return ctx.notFound();
+      }
+
+      if (!cls.course) {
+        return ctx.badRequest('This class has no course');
+      }
+
+      const progressService = strapi.service(PROGRESS_SERVICE);
+
+      const [outline, taught, studentProgress] = await Promise.all([
+        progressService.findCourseOutline(cls.course.documentId),
+        progressService.findTaughtLessons(cls),
+        progressService.findStudentProgress(cls.students.map((student) => student.id)),
+      ]);
+
+      const students = cls.students.map((student) => {
+        const { totalLessons, completedLessons, percent, nextLesson } = progressService.summarise(
+          outline,
+          progressService.completedLessonIds(studentProgress.get(student.id))
+        );
+
+        return {
+          id: student.id,
+          name: student.name,
+          username: student.username,
+          totalLessons,
+          completedLessons,
+          percent,
+          nextLesson,
+        };
+      });
+
+      return ctx.send({
+        data: {
+          class: { id: cls.id, documentId: cls.documentId, name: cls.name, term: cls.term },
+          course: cls.course,
+          taught: progressService.summarise(outline, [...taught.keys()]),
+          students,
+        },
+      });
+
+    } catch (error) {
+      console.error('Error in teacher progress classProgress:', error);
+      return ctx.internalServerError('Failed to fetch class progress');
+    }
+  },
+
+  /**
+   * TEACHER: Lesson-level progress of one module for a class - when each lesson
+   * was taught, and how many students viewed / completed it
+   */
+  async moduleProgress(ctx) {
+    try {
+      const cls = await findClass(strapi, ctx);
+
+      if (!cls) {
+        return ctx.notFound();
+      }
+
+      if (!cls.course) {
+        return ctx.badRequest('This class has no course');
+      }
+
+      const progressService = strapi.service(PROGRESS_SERVICE);
+
+      const outline = await progressService.findCourseOutline(cls.course.documentId);
+      const module = outline.find((item) => item.documentId === ctx.params.moduleId);
+
+      if (!module) {
+        return ctx.notFound('Module not found in this class\'s course');
+      }
+
+      const [taught, studentProgress] = await Promise.all([
+        progressService.findTaughtLessons(cls),
+        progressService.findStudentProgress(cls.students.map((student) => student.id)),
+      ]);
+
+      const [summary] = progressService.summarise([module], [...taught.keys()]).modules;
+      const allStudents = [...studentProgress.values()];
+
+      const lessons = module.lessons.map((lesson) => ({
+        id: lesson.id,
+        documentId: lesson.documentId,
+        title: lesson.title,
+        order: lesson.order,
+        taughtAt: taught.get(lesson.documentId)?.taughtAt || null,
+        taughtBy: taught.get(lesson.documentId)?.taughtBy || null,
+        studentsViewed: allStudents.filter((progress) => progress.get(lesson.documentId)?.viewedAt).length,
+        studentsCompleted: allStudents.filter((progress) => progress.get(lesson.documentId)?.completedAt).length,
+      }));
+
+      return ctx.send({
+        data: {
+          class: { id: cls.id, documentId: cls.documentId, name: cls.name, term: cls.term },
+          module: { ...summary, lessons },
+          studentCount: cls.students.length,
+        },
+      });
+
+    } catch (error) {
+      console.error('Error in teacher progress moduleProgress:', error);
+      return ctx.internalServerError('Failed to fetch module progress');
+    }
+  },
+});
@@ -0,0 +1,40 @@
+'use strict';
+
+/**
+ * student progress routes (see controllers/student-progress.js)
+ */
+
+module.exports = {
+  routes: [
+    {
+      method: 'PUT',
+      path: '/students/me/lessons/:id/progress',
+      handler: 'student-progress.record',
+      config: {
+        auth: false,
+        policies: [],
+        middlewares: ['global::student-auth'],
+      },
+    },
+    {
+      method: 'GET',
+      path: '/students/me/progress/courses/:courseId',
+      handler: 'student-progress.courseProgress',
+      config: {
+        auth: false,
+        policies: [],
+        middlewares: ['global::student-auth'],
+      },
+    },
+    {
+      method: 'GET',
+      path: '/students/me/progress/modules/:moduleId',
+      handler: 'student-progress.moduleProgress',
+      config: {
+        auth: false,
+        policies: [],
+        middlewares: ['global::student-auth'],
+      },
+    },
+  ],
+};
@@ -0,0 +1,50 @@
+'use strict';
+
+/**
+ * teacher progress routes (see controllers/teacher-progress.js)
+ */
+
+module.exports = {
+  routes: [
+    {
+      method: 'PUT',
+      path: '/teachers/me/classes/:id/lessons/:lessonId/taught',
+      handler: 'teacher-progress.markTaught',
+      config: {
+        auth: false,
+        policies: [],
+        middlewares: ['global::teacher-auth'],
+      },
+    },
+    {
+      method: 'DELETE',
+      path: '/teachers/me/classes/:id/lessons/:lessonId/taught',
+      handler: 'teacher-progress.unmarkTaught',
+      config: {
+        auth: false,
+        policies: [],
+        middlewares: ['global::teacher-auth'],
+      },
+    },
+    {
+      method: 'GET',
+      path: '/teachers/me/classes/:id/progress',
+      handler: 'teacher-progress.classProgress',
+      config: {
+        auth: false,
+        policies: [],
+        middlewares: ['global::teacher-auth'],
+      },
+    },
+    {
+      method: 'GET',
+      path: '/teachers/me/classes/:id/progress/modules/:moduleId',
+      handler: 'teacher-progress.moduleProgress',
+      config: {
+        auth: false,
+        policies: [],
+        middlewares: ['global::teacher-auth'],
+      },
+    },
+  ],
+};
@@ -0,0 +1,228 @@
+'use strict';
+
+/**
+ * progress service
+ *
+ * Lesson progress at two levels:
+ * - per class: lessons a teacher marked as taught (api::progress.class-lesson-progress)
+ * - per student: lessons viewed / completed (api::progress.student-lesson-progress)
+ *
+ * Progress rows point at the published lesson row, but are matched by lesson
+ * documentId, which draft and published rows share. Aggregates walk the published
+ * course outline in module `order`, then lesson `order`, so "next lesson" is the
+ * first lesson in that order that is not done yet.
+ */
+
+const CLASS_PROGRESS_UID = 'api::progress.class-lesson-progress';
+const STUDENT_PROGRESS_UID = 'api::progress.student-lesson-progress';
+
+const STUDENT_STATUSES = ['viewed', 'completed'];
+
+const byOrder = (a, b) => (a.order ?? 0) - (b.order ?? 0);
+
+const percent = (done, total) => (total === 0 ? 0 : Math.round((done / total) * 100));
+
+const toLessonRef = (lesson) =>
+  lesson ? { id: lesson.id, documentId: lesson.documentId, title: lesson.title, order: lesson.order } : null;
+
+module.exports = ({ strapi }) => ({
+  STUDENT_STATUSES,
+
+  /**
+   * Published modules of a course in order, each with its published lessons in order
+   */
+  async findCourseOutline(courseDocumentId) {
+    const modules = await strapi.documents('api::module.module').findMany({
+      filters: { course: { documentId: courseDocumentId } },
+      status: 'published',
+      fields: ['module_uid_title', 'title', 'order'],
+      populate: { lessons: { fields: ['lesson_uid_title', 'title', 'order'] } },
+    });
+
+    return modules.sort(byOrder).map((module) => ({
+      id: module.id,
+      documentId: module.documentId,
+      title: module.title,
+      order: module.order,
+      lessons: (module.lessons || []).sort(byOrder),
+    }));
+  },
+
+  /**
+   * The published lesson behind a documentId, with its module and course documentIds (null if unknown)
+   */
+  async findLesson(lessonDocumentId) {
+    return strapi.documents('api::lesson.lesson').findOne({
+      documentId: lessonDocumentId,
+      status: 'published',
+      fields: ['title', 'order'],
+      populate: { module: { fields: ['title', 'order'], populate: { course: { fields: ['course_title'] } } } },
+    });
+  },
+
+  /**
+   * The published lesson behind a documentId, if it belongs to the class's course (null otherwise)
+   * cls: as returned by api::class.class findOneForTeacher
+   */
+  async findClassLesson(cls, lessonDocumentId) {
+    if (!cls.course) {
+      return null;
+    }
+
+    const lesson = await this.findLesson(lessonDocumentId);
+
+    if (!lesson || lesson.module?.course?.documentId !== cls.course.documentId) {
+      return null;
+    }
+
+    return lesson;
+  },
+
+  /**
+   * Percent complete for a course outline, given the documentIds of the lessons that are done.
+   * Returns course totals plus one entry per module.
+   */
+  summarise(outline, doneLessonIds) {
+    const done = new Set(doneLessonIds);
+    const allLessons = outline.flatMap((module) => module.lessons);
+
+    const modules = outline.map((module) => {
+      const completedLessons = module.lessons.filter((lesson) => done.has(lesson.documentId)).length;
+
+      return {
+        id: module.id,
+        documentId: module.documentId,
+        title: module.title,
+        order: module.order,
+        totalLessons: module.lessons.length,
+        completedLessons,
+        percent: percent(completedLessons, module.lessons.length),
+        nextLesson: toLessonRef(module.lessons.find((lesson) => !done.has(lesson.documentId))),
+      };
+    });
+
+    const completedLessons = allLessons.filter((lesson) => done.has(lesson.documentId)).length;
+
+    return {
+      totalLessons: allLessons.length,
+      completedLessons,
+      percent: percent(completedLessons, allLessons.length),
+      nextLesson: toLessonRef(allLessons.find((lesson) => !done.has(lesson.documentId))),
+      modules,
+    };
+  },
+
+  /**
+   * Mark a lesson as taught in a class (idempotent - keeps the first date)
+   */
+  async markTaught(cls, lesson, teacher, taughtAt = new Date()) {
+    const existing = await strapi.db.query(CLASS_PROGRESS_UID).findOne({
+      where: { class: { id: cls.id }, lesson: { documentId: lesson.documentId } },
+    });
+
+    if (existing) {
+      return existing;
+    }
+
+    return strapi.db.query(CLASS_PROGRESS_UID).create({
+      data: { class: cls.id, lesson: lesson.id, taughtAt, taughtBy: teacher.id },
+    });
+  },
+
+  /**
+   * Undo "taught" for a lesson in a class. Returns false when it was not marked.
+   */
+  async unmarkTaught(cls, lessonDocumentId) {
+    const existing = await strapi.db.query(CLASS_PROGRESS_UID).findOne({
+      where: { class: { id: cls.id }, lesson: { documentId: lessonDocumentId } },
+    });
+
+    if (!existing) {
+      return false;
+    }
+
+    await strapi.db.query(CLASS_PROGRESS_UID).delete({ where: { id: existing.id } });
+    return true;
+  },
+
+  /**
+   * Lessons taught in a class: Map of lesson documentId -> { taughtAt, taughtBy }
+   */
+  async findTaughtLessons(cls) {
+    const rows = await strapi.db.query(CLASS_PROGRESS_UID).findMany({
+      where: { class: { id: cls.id } },
+      populate: { lesson: { select: ['documentId'] }, taughtBy: { select: ['id', 'name'] } },
+    });
+
+    return new Map(
+      rows
+        .filter((row) => row.lesson)
+        .map((row) => [
+          row.lesson.documentId,
+          { taughtAt: row.taughtAt, taughtBy: row.taughtBy ? { id: row.taughtBy.id, name: row.taughtBy.name } : null },
+        ])
+    );
+  },
+
+  /**
+   * Record a student viewing or completing a lesson. Completing implies viewing;
+   * existing dates are kept, so repeated calls are harmless.
+   */
+  async recordStudentProgress(student, lesson, status) {
+    const now = new Date();
+
+    const existing = await strapi.db.query(STUDENT_PROGRESS_UID).findOne({
+      where: { student: { id: student.id }, lesson: { documentId: lesson.documentId } },
+    });
+
+    const data = {
+      viewedAt: existing?.viewedAt || now,
+      completedAt: existing?.completedAt || (status === 'completed' ? now : null),
+    };
+
+    if (!existing) {
+      return strapi.db.query(STUDENT_PROGRESS_UID).create({
+        data: { student: student.id, lesson: lesson.id, ...data },
+      });
+    }
+
+    return strapi.db.query(STUDENT_PROGRESS_UID).update({
+      where: { id: existing.id },
+      data,
+    });
+  },
+
+  /**
+   * Progress rows of some students: Map of student id -> Map of lesson documentId -> { viewedAt, completedAt }
+   */
+  async findStudentProgress(studentIds) {
+    const result = new Map(studentIds.map((id) => [id, new Map()]));
+
+    if (studentIds.length === 0) {
+      return result;
+    }
+
+    const rows = await strapi.db.query(STUDENT_PROGRESS_UID).findMany({
+      where: { student: { id: { $in: studentIds } } },
+      populate: { student: { select: ['id'] }, lesson: { select: ['documentId'] } },
+    });
+
+    for (const row of rows) {
+      if (row.student && row.lesson && result.has(row.student.id)) {
+        result.get(row.student.id).set(row.lesson.documentId, {
+          viewedAt: row.viewedAt,
+          completedAt: row.completedAt,
+        });
+      }
+    }
+
+    return result;
+  },
+
+  /**
+   * documentIds of the completed lessons in one student's entry from findStudentProgress
+   */
+  completedLessonIds(lessons) {
+    return [...lessons].filter(([, progress]) => progress.completedAt).map(([documentId]) => documentId);
+  },
+});
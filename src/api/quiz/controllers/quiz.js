@@ -0,0 +1,41 @@
+'use strict';
+
+/**
+ * quiz controller
+ *
+ * ADMIN CRUD (core actions); create and update check the questions first
+ * (see validateQuiz in services/quiz.js).
+ */
+
+const { createCoreController } = require('@strapi/strapi').factories;
+
+module.exports = createCoreController('api::quiz.quiz', ({ strapi }) => ({
+  /**
+   * Create a quiz
+   */
+  async create(ctx) {
+    const error = strapi.service('api::quiz.quiz').validateQuiz(ctx.request.body?.data || {});
+    if (error) {
+      return ctx.badRequest(error);
+    }
+
+    return super.create(ctx);
+  },
+
+  /**
+   * Update a quiz
+   */
+  async update(ctx) {
+    const quizService = strapi.service('api::quiz.quiz');
+
+    // Fields not being changed are checked at their stored value
+    const current = await quizService.findWithQuestions(ctx.params.id);
+
+    const error = quizService.validateQuiz({ ...current, ...(ctx.request.body?.data || {}) });
+    if (error) {
+      return ctx.badRequest(error);
+    }
+
+    return super.update(ctx);
+  },
+}));
@@ -0,0 +1,103 @@
+/**
+ * Student Quiz Controller
+ * File: src/api/quiz/controllers/student-quiz.js
+ *
+ * Quiz delivery and submission for the authenticated student (ctx.state.student,
+ * set by student-auth). Only quizzes on published lessons of the student's
+ * enrolled courses are reachable, and correct answers are never delivered.
+ */
+
+'use strict';
+
+const QUIZ_SERVICE = 'api::quiz.quiz';
+
+module.exports = ({ strapi }) => ({
+  /**
+   * STUDENT: One quiz by documentId, without its answers
+   */
+  async findOne(ctx) {
+    try {
+      const quizService = strapi.service(QUIZ_SERVICE);
+      const found = await quizService.findForStudent(ctx.state.student, ctx.params.id);
+
+      if (!found) {
+        return ctx.notFound();
+      }
+
+      const attemptsUsed = await quizService.countAttempts(found.quiz, ctx.state.student);
+
+      return ctx.send({
+        data: {
+          ...quizService.toDelivery(found.quiz, found.lesson),
+          attemptsUsed,
+        },
+      });
+
+    } catch (error) {
+      console.error('Error in student quiz findOne:', error);
+      return ctx.internalServerError('Failed to fetch quiz');
+    }
+  },
+
+  /**
+   * STUDENT: Submit answers - graded immediately
+   * Body: { answers: [{ question: <question id>, choices: [<choice id>, ...] }] }
+   */
+  async submit(ctx) {
+    const { answers } = ctx.request.body || {};
+
+    try {
+      const quizService = strapi.service(QUIZ_SERVICE);
+      const found = await quizService.findForStudent(ctx.state.student, ctx.params.id);
+
+      if (!found) {
+        return ctx.notFound();
+      }
+
+      const { quiz } = found;
+
+      if (quiz.type === 'external') {
+        return ctx.badRequest('This quiz is taken on an external form');
+      }
+
+      const answersError = quizService.validateAnswers(quiz, answers);
+      if (answersError) {
+        return ctx.badRequest(answersError);
+      }
+
+      const result = await quizService.submit(quiz, ctx.state.student, answers);
+
+      if (!result) {
+        return ctx.forbidden('No attempts left for this quiz');
+      }
+
+      return ctx.send({ data: result });
+
+    } catch (error) {
+      console.error('Error in student quiz submit:', error);
+      return ctx.internalServerError('Failed to submit quiz');
+    }
+  },
+
+  /**
+   * STUDENT: The student's previous attempts at a quiz, newest first
+   */
+  async attempts(ctx) {
+    try {
+      const quizService = strapi.service(QUIZ_SERVICE);
+      const found = await quizService.findForStudent(ctx.state.student, ctx.params.id);
+
+      if (!found) {
+        return ctx.notFound();
+      }
+
+      const attempts = await quizService.findAttempts(found.quiz, ctx.state.student);
+
+      return ctx.send({ data: attempts });
+
+    } catch (error) {
+      console.error('Error in student quiz attempts:', error);
+      return ctx.internalServerError('Failed to fetch attempts');
+    }
+  },
+});
@@ -0,0 +1,9 @@
+'use strict';
+
+/**
+ * quiz router
+ */
+
+const { createCoreRouter } = require('@strapi/strapi').factories;
+
+module.exports = createCoreRouter('api::quiz.quiz');
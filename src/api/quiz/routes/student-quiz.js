@@ -0,0 +1,40 @@
+'use strict';
+
+/**
+ * student quiz routes (see controllers/student-quiz.js)
+ */
+
+module.exports = {
+  routes: [
+    {
+      method: 'GET',
+      path: '/students/me/quizzes/:id',
+      handler: 'student-quiz.findOne',
+      config: {
+        auth: false,
+        policies: [],
+        middlewares: ['global::student-auth'],
+      },
+    },
+    {
+      method: 'POST',
+      path: '/students/me/quizzes/:id/attempts',
+      handler: 'student-quiz.submit',
+      config: {
+        auth: false,
+        policies: [],
+        middlewares: ['global::student-auth'],
+      },
+    },
+    {
+      method: 'GET',
+      path: '/students/me/quizzes/:id/attempts',
+      handler: 'student-quiz.attempts',
+      config: {
+        auth: false,
+        policies: [],
+        middlewares: ['global::student-auth'],
+      },
+    },
+  ],
+};
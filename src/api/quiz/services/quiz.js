@@ -0,0 +1,349 @@
+'use strict';
+
+/**
+ * quiz service
+ *
+ * A quiz belongs to a lesson and is either
+ * - "questions": single/multiple-choice questions, graded on submission, or
+ * - "external": a link to a form hosted elsewhere (what lesson.quizz_links used to hold).
+ *
+ * Grading is all-or-nothing per question: a question earns its points only when
+ * the chosen choices are exactly its correct choices. Students never see the
+ * correct answers while they still have attempts left.
+ */
+
+const { createCoreService } = require('@strapi/strapi').factories;
+
+const QUIZ_UID = 'api::quiz.quiz';
+const ATTEMPT_UID = 'api::quiz.quiz-attempt';
+
+const LEGACY_TABLE = 'lesson_quizz_links_legacy';
+
+const QUIZ_POPULATE = {
+  lesson: { select: ['id', 'documentId', 'title'] },
+  questions: { populate: { choices: true } },
+};
+
+const questionPoints = (question) => question.points ?? 1;
+
+module.exports = createCoreService(QUIZ_UID, ({ strapi }) => ({
+  /**
+   * Authoring rules for a quiz (create, or update merged over the stored quiz).
+   * Returns an error message, or null when the quiz is acceptable.
+   */
+  validateQuiz(data) {
+    const type = data.type || 'questions';
+
+    if (type === 'external') {
+      return data.externalLink ? null : 'An external quiz needs an externalLink';
+    }
+
+    if (!Array.isArray(data.questions) || data.questions.length === 0) {
+      return 'A quiz needs at least one question';
+    }
+
+    for (const [index, question] of data.questions.entries()) {
+      const label = `Question ${index + 1}`;
+      const choices = Array.isArray(question?.choices) ? question.choices : [];
+      const correct = choices.filter((choice) => choice?.isCorrect).length;
+
+      if (!question?.prompt) {
+        return `${label}: prompt is required`;
+      }
+
+      if (choices.length < 2) {
+        return `${label}: at least two choices are required`;
+      }
+
+      if (choices.some((choice) => !choice?.text)) {
+        return `${label}: every choice needs text`;
+      }
+
+      if ((question.type || 'single') === 'single' && correct !== 1) {
+        return `${label}: a single-choice question needs exactly one correct choice`;
+      }
+
+      if (question.type === 'multiple' && correct === 0) {
+        return `${label}: a multiple-choice question needs at least one correct choice`;
+      }
+    }
+
+    return null;
+  },
+
+  /**
+   * A quiz with its questions and choices (null if unknown)
+   */
+  async findWithQuestions(documentId) {
+    return strapi.db.query(QUIZ_UID).findOne({
+      where: { documentId },
+      populate: QUIZ_POPULATE,
+    });
+  },
+
+  /**
+   * A quiz a student may take: its lesson must be published and belong to one of
+   * their enrolled courses. Returns { quiz, lesson } or null.
+   */
+  async findForStudent(student, documentId) {
+    const quiz = await this.findWithQuestions(documentId);
+
+    if (!quiz || !quiz.lesson) {
+      return null;
+    }
+
+    const [courseIds, lesson] = await Promise.all([
+      strapi.service('api::student.student').findEnrolledCourseDocumentIds(student),
+      strapi.service('api::progress.progress').findLesson(quiz.lesson.documentId),
+    ]);
+
+    if (!lesson || !courseIds.includes(lesson.module?.course?.documentId)) {
+      return null;
+    }
+
+    return { quiz, lesson };
+  },
+
+  /**
+   * The quiz as delivered to students - correct answers and explanations removed
+   */
+  toDelivery(quiz, lesson) {
+    return {
+      id: quiz.id,
+      documentId: quiz.documentId,
+      title: quiz.title,
+      type: quiz.type,
+      instructions: quiz.instructions,
+      externalLink: quiz.type === 'external' ? quiz.externalLink : null,
+      passingPercent: quiz.passingPercent,
+      maxAttempts: quiz.maxAttempts,
+      lesson: lesson ? { id: lesson.id, documentId: lesson.documentId, title: lesson.title } : null,
+      questions: quiz.type === 'external' ? [] : (quiz.questions || []).map((question) => ({
+        id: question.id,
+        prompt: question.prompt,
+        type: question.type,
+        points: questionPoints(question),
+        choices: (question.choices || []).map(({ id, text }) => ({ id, text })),
+      })),
+    };
+  },
+
+  /**
+   * Check submitted answers against the quiz.
+   * answers: [{ question: <question id>, choices: [<choice id>, ...] }]
+   * Returns an error message, or null when every answer refers to this quiz.
+   */
+  validateAnswers(quiz, answers) {
+    if (!Array.isArray(answers)) {
+      return 'answers must be an array';
+    }
+
+    const questions = new Map((quiz.questions || []).map((question) => [question.id, question]));
+    const seen = new Set();
+
+    for (const answer of answers) {
+      const question = questions.get(Number(answer?.question));
+
+      if (!question) {
+        return `Unknown question: ${answer?.question}`;
+      }
+
+      if (seen.has(question.id)) {
+        return `Question ${question.id} is answered more than once`;
+      }
+      seen.add(question.id);
+
+      if (!Array.isArray(answer.choices)) {
+        return `Question ${question.id}: choices must be an array`;
+      }
+
+      const choiceIds = new Set((question.choices || []).map((choice) => choice.id));
+      if (answer.choices.some((choice) => !choiceIds.has(Number(choice)))) {
+        return `Question ${question.id}: unknown choice`;
+      }
+
+      if (question.type !== 'multiple' && answer.choices.length > 1) {
+        return `Question ${question.id}: only one choice is allowed`;
+      }
+    }
+
+    return null;
+  },
+
+  /**
+   * Grade validated answers. Unanswered questions score 0.
+   */
+  grade(quiz, answers) {
+    const chosen = new Map(
+      answers.map((answer) => [Number(answer.question), new Set(answer.choices.map(Number))])
+    );
+
+    let score = 0;
+    let maxScore = 0;
+
+    const results = (quiz.questions || []).map((question) => {
+      const correctIds = (question.choices || []).filter((choice) => choice.isCorrect).map((choice) => choice.id);
+      const picked = chosen.get(question.id) || new Set();
+      const correct = picked.size === correctIds.length && correctIds.every((id) => picked.has(id));
+      const points = questionPoints(question);
+
+      maxScore += points;
+      if (correct) score += points;
+
+      return {
+        question: question.id,
+        choices: [...picked],
+        correct,
+        points: correct ? points : 0,
+        correctChoices: correctIds,
+        explanation: question.explanation || null,
+      };
+    });
+
+    const percent = maxScore === 0 ? 0 : Math.round((score / maxScore) * 100);
+
+    return {
+      score,
+      maxScore,
+      percent,
+      passed: quiz.passingPercent == null ? null : percent >= quiz.passingPercent,
+      results,
+    };
+  },
+
+  /**
+   * Number of attempts a student has made at a quiz
+   */
+  async countAttempts(quiz, student) {
+    return strapi.db.query(ATTEMPT_UID).count({
+      where: { quiz: { id: quiz.id }, student: { id: student.id } },
+    });
+  },
+
+  /**
+   * Grade and store a student's submission. Correct answers are only included
+   * in the result once the student has used their last attempt.
+   * Returns null when the student has no attempts left.
+   */
+  async submit(quiz, student, answers) {
+    const graded = this.grade(quiz, answers);
+
+    // Counting and storing run in one transaction with the student's row locked, so
+    // parallel submissions by the same student can never exceed maxAttempts
+    const stored = await strapi.db.transaction(async () => {
+      await strapi.db
+        .queryBuilder('api::student.student')
+        .select('id')
+        .where({ id: student.id })
+        .forUpdate()
+        .first()
+        .execute();
+
+      const used = (await this.countAttempts(quiz, student)) + 1;
+
+      if (quiz.maxAttempts && used > quiz.maxAttempts) {
+        return null;
+      }
+
+      const created = await strapi.db.query(ATTEMPT_UID).create({
+        data: {
+          quiz: quiz.id,
+          student: student.id,
+          answers: graded.results.map(({ question, choices, correct, points }) => ({ question, choices, correct, points })),
+          score: graded.score,
+          maxScore: graded.maxScore,
+          percent: graded.percent,
+          passed: graded.passed,
+          submittedAt: new Date(),
+        },
+      });
+
+      return { attempt: created, attemptsUsed: used };
+    });
+
+    if (!stored) {
+      return null;
+    }
+
+    const { attempt, attemptsUsed } = stored;
+    const revealAnswers = Boolean(quiz.maxAttempts) && attemptsUsed >= quiz.maxAttempts;
+
+    return {
+      id: attempt.id,
+      score: graded.score,
+      maxScore: graded.maxScore,
+      percent: graded.percent,
+      passed: graded.passed,
+      submittedAt: attempt.submittedAt,
+      attemptsUsed,
+      attemptsLeft: quiz.maxAttempts ? Math.max(quiz.maxAttempts - attemptsUsed, 0) : null,
+      results: graded.results.map(({ correctChoices, explanation, ...result }) =>
+        revealAnswers ? { ...result, correctChoices, explanation } : result
+      ),
+    };
+  },
+
+  /**
+   * A student's attempts at a quiz, newest first (scores only)
+   */
+  async findAttempts(quiz, student) {
+    return strapi.db.query(ATTEMPT_UID).findMany({
+      where: { quiz: { id: quiz.id }, student: { id: student.id } },
+      select: ['id', 'score', 'maxScore', 'percent', 'passed', 'submittedAt'],
+      orderBy: { submittedAt: 'desc' },
+    });
+  },
+
+  /**
+   * Turn the lesson quizz_links saved by the preserve-lesson-quizz-links migration
+   * into external-link quizzes, then drop the holding table. Safe to run again:
+   * a lesson that already has a quiz with the same link is skipped.
+   */
+  async importLegacyLinks() {
+    const knex = strapi.db.connection;
+
+    if (!(await knex.schema.hasTable(LEGACY_TABLE))) {
+      return 0;
+    }
+
+    const rows = await knex(LEGACY_TABLE).select('document_id', 'quizz_links');
+    let imported = 0;
+
+    for (const row of rows) {
+      const lesson = await strapi.db.query('api::lesson.lesson').findOne({
+        where: { documentId: row.document_id },
+        select: ['title'],
+      });
+
+      if (!lesson) {
+        continue;
+      }
+
+      const existing = await strapi.db.query(QUIZ_UID).findOne({
+        where: { lesson: { documentId: row.document_id }, externalLink: row.quizz_links },
+        select: ['id'],
+      });
+
+      if (existing) {
+        continue;
+      }
+
+      await strapi.documents(QUIZ_UID).create({
+        data: {
+          title: `${lesson.title} quiz`,
+          type: 'external',
+          externalLink: row.quizz_links,
+          lesson: row.document_id,
+        },
+      });
+
+      imported += 1;
+    }
+
+    await knex.schema.dropTable(LEGACY_TABLE);
+
+    console.log(`✅ Imported ${imported} lesson quiz link(s) as external quizzes`);
+
+    return imported;
+  },
+}));
@@ -0,0 +1,26 @@
+"use strict";
+
+module.exports = {
+  /**
+   * New students start inactive until they set a password
+   */
+  async beforeCreate(event) {
+    event.params.data.isActive = false;
+  },
+
+  /**
+   * Send the invitation (password setup link) after a student is created
+   */
+  async afterCreate(event) {
+    const { result } = event;
+
+    try {
+      const expiresAt = await strapi.service("api::student.student").sendSetupEmail(result);
+
+      console.log(`✅ Student invitation queued for ${result.email} (expires ${expiresAt.toISOString()})`);
+
+    } catch (emailError) {
+      console.error("❌ Failed to queue student invitation:", emailError);
+    }
+  },
+};
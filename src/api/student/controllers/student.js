@@ -0,0 +1,394 @@
+"use strict";
+
+const { createCoreController } = require("@strapi/strapi").factories;
+const crypto = require("crypto");
+const bcrypt = require("bcrypt");
+const { formatDuration } = require("../../mailer/utils/render");
+
+/**
+ * Respond 429 with a Retry-After header
+ */
+const tooManyRequests = (ctx, message, retryAfter) => {
+  ctx.set("Retry-After", String(retryAfter));
+  return ctx.tooManyRequests(message, { retryAfter });
+};
+
+/**
+ * Device details stored on a login session
+ */
+const clientInfo = (ctx) => ({
+  ip: ctx.request.ip,
+  userAgent: ctx.request.headers["user-agent"],
+});
+
+/**
+ * Student profile as returned to the student themselves
+ */
+const toProfile = (student) => ({
+  id: student.id,
+  name: student.name,
+  email: student.email,
+  username: student.username,
+  isActive: student.isActive,
+  passwordSetAt: student.passwordSetAt,
+});
+
+module.exports = createCoreController("api::student.student", ({ strapi }) => ({
+  /**
+   * ADMIN: Create student (invitation email sent from the lifecycle)
+   * Admin only provides: name, email, username
+   */
+  async create(ctx) {
+    const { name, email, username } = ctx.request.body || {};
+    const studentService = strapi.service("api::student.student");
+
+    const validationError = studentService.validateNewStudent({ name, email, username });
+    if (validationError) {
+      return ctx.badRequest(validationError);
+    }
+
+    try {
+      const conflict = await studentService.findStudentConflict({ email, username });
+      if (conflict) {
+        return ctx.badRequest(conflict);
+      }
+
+      const student = await strapi.db.query("api::student.student").create({
+        data: { name, email, username },
+      });
+
+      console.log(`✅ Student created: ${email} (ID: ${student.id})`);
+
+      const { expiresInMinutes } = strapi.config.get("student-auth.invite");
+
+      return ctx.send({
+        message: `Student account created successfully. Password setup email has been sent (expires in ${formatDuration(expiresInMinutes * 60 * 1000)}).`,
+        data: {
+          id: student.id,
+          name: student.name,
+          email: student.email,
+          username: student.username,
+          isActive: false,
+        },
+      });
+
+    } catch (error) {
+      console.error("❌ Error creating student:", error);
+      return ctx.internalServerError("Failed to create student account. Please try again.");
+    }
+  },
+
+  /**
+   * ADMIN: Resend the password setup email to a student
+   * Body: { studentId }
+   */
+  async resendSetupEmail(ctx) {
+    const { studentId } = ctx.request.body || {};
+
+    if (!studentId) {
+      return ctx.badRequest("studentId is required");
+    }
+
+    try {
+      const student = await strapi.db.query("api::student.student").findOne({
+        where: { id: studentId },
+      });
+
+      if (!student) {
+        return ctx.notFound("Student not found");
+      }
+
+      if (student.deactivatedAt) {
+        return ctx.badRequest("Student is deactivated");
+      }
+
+      const expiresAt = await strapi.service("api::student.student").sendSetupEmail(student);
+
+      console.log(`✅ Setup email resent to student ${student.email}`);
+
+      return ctx.send({
+        message: student.isActive ? "Password reset email sent" : "Setup email resent",
+        data: { id: student.id, expiresAt },
+      });
+
+    } catch (error) {
+      console.error("❌ Error resending student setup email:", error);
+      return ctx.internalServerError("Failed to resend setup email");
+    }
+  },
+
+  /**
+   * PUBLIC: Set password from the invitation or reset link (activates the account)
+   */
+  async setPassword(ctx) {
+    const { token, password, passwordConfirmation } = ctx.request.body || {};
+
+    if (!token || !password || !passwordConfirmation) {
+      return ctx.badRequest("Token, password, and password confirmation are required");
+    }
+
+    if (password !== passwordConfirmation) {
+      return ctx.badRequest("Passwords do not match");
+    }
+
+    try {
+      const resetTokenHash = crypto.createHash("sha256").update(String(token)).digest("hex");
+
+      const student = await strapi.db.query("api::student.student").findOne({
+        where: { resetPasswordToken: resetTokenHash },
+      });
+
+      if (!student || student.deactivatedAt) {
+        return ctx.badRequest("Invalid or expired setup link");
+      }
+
+      if (student.resetPasswordExpires && new Date(student.resetPasswordExpires) < new Date()) {
+        return ctx.badRequest("Setup link has expired. Please ask your teacher or administrator for a new link.");
+      }
+
+      // Students follow the same password rules as teachers, minus the history students don't keep
+      const errors = await strapi
+        .service("api::teacher.password-policy")
+        .validate(password, student, { history: false });
+      if (errors.length > 0) {
+        return ctx.badRequest(errors[0], { errors });
+      }
+
+      await strapi.db.query("api::student.student").update({
+        where: { id: student.id },
+        data: {
+          password: await bcrypt.hash(password, 10),
+          isActive: true,
+          passwordSetAt: new Date(),
+          resetPasswordToken: null,
+          resetPasswordExpires: null,
+        },
+      });
+
+      // A password reset must sign out every device still holding the old credentials
+      await strapi.service("api::student.student").revokeAllSessions(student.id);
+
+      console.log(`✅ Password set and account activated for student: ${student.email}`);
+
+      return ctx.send({
+        message: "Password set successfully! Your account is now active. You can log in now.",
+        success: true,
+      });
+
+    } catch (error) {
+      console.error("❌ Error setting student password:", error);
+      return ctx.internalServerError("Failed to set password. Please try again.");
+    }
+  },
+
+  /**
+   * PUBLIC: Student login
+   */
+  async login(ctx) {
+    const { identifier, password } = ctx.request.body || {};
+
+    if (!identifier || !password) {
+      return ctx.badRequest("Email/username and password are required");
+    }
+
+    // Counters are shared with the teacher endpoints, so the keys are prefixed
+    const throttle = strapi.service("api::teacher.login-throttle");
+    const limits = strapi.config.get("student-auth.throttle.login");
+    const identifierKey = `student:login:id:${String(identifier).toLowerCase()}`;
+    const ipKey = `student:login:ip:${ctx.request.ip}`;
+
+    const retryAfter = Math.max(throttle.retryAfter(identifierKey), throttle.retryAfter(ipKey));
+
+    if (retryAfter > 0) {
+      return tooManyRequests(ctx, "Too many failed login attempts. Please try again later.", retryAfter);
+    }
+
+    const recordFailure = () => {
+      throttle.hit(identifierKey, { max: limits.maxPerIdentifier, windowMinutes: limits.windowMinutes });
+      throttle.hit(ipKey, { max: limits.maxPerIp, windowMinutes: limits.windowMinutes });
+    };
+
+    try {
+      const student = await strapi.db.query("api::student.student").findOne({
+        where: {
+          $or: [{ email: identifier }, { username: identifier }],
+        },
+      });
+
+      if (!student) {
+        recordFailure();
+        return ctx.badRequest("Invalid credentials");
+      }
+
+      if (student.deactivatedAt) {
+        return ctx.forbidden("Account has been deactivated. Please contact your administrator.");
+      }
+
+      if (!student.isActive) {
+        return ctx.badRequest("Account is not activated. Please check your email.");
+      }
+
+      const isPasswordValid = student.password ? await bcrypt.compare(password, student.password) : false;
+
+      if (!isPasswordValid) {
+        recordFailure();
+        return ctx.badRequest("Invalid credentials");
+      }
+
+      throttle.clear(identifierKey);
+
+      const { token, refreshToken } = await strapi
+        .service("api::student.student")
+        .createSession(student, clientInfo(ctx));
+
+      console.log(`✅ Student login: ${student.email}`);
+
+      return ctx.send({
+        message: "Login successful",
+        data: {
+          id: student.id,
+          name: student.name,
+          email: student.email,
+          username: student.username,
+        },
+        token,
+        refreshToken,
+      });
+
+    } catch (error) {
+      console.error("❌ Student login error:", error);
+      return ctx.internalServerError("Login failed. Please try again.");
+    }
+  },
+
+  /**
+   * PUBLIC: Exchange a refresh token for a new access/refresh token pair
+   */
+  async refresh(ctx) {
+    const { refreshToken } = ctx.request.body || {};
+
+    if (!refreshToken) {
+      return ctx.badRequest("Refresh token is required");
+    }
+
+    try {
+      const result = await strapi.service("api::student.student").refreshSession(refreshToken, clientInfo(ctx));
+
+      if (!result) {
+        return ctx.unauthorized("Invalid or expired refresh token");
+      }
+
+      return ctx.send({
+        token: result.token,
+        refreshToken: result.refreshToken,
+      });
+
+    } catch (error) {
+      console.error("❌ Error refreshing student token:", error);
+      return ctx.internalServerError("Failed to refresh token");
+    }
+  },
+
+  /**
+   * PUBLIC: Logout - revokes the session behind the given refresh token
+   */
+  async logout(ctx) {
+    const { refreshToken } = ctx.request.body || {};
+
+    if (!refreshToken) {
+      return ctx.badRequest("Refresh token is required");
+    }
+
+    try {
+      const studentService = strapi.service("api::student.student");
+      const session = await studentService.findSessionByRefreshToken(refreshToken);
+
+      if (session && !session.revokedAt) {
+        await studentService.revokeSession(session.id);
+        console.log(`✅ Session ${session.id} revoked for student ${session.student?.email}`);
+      }
+
+      return ctx.send({
+        message: "Logged out successfully",
+      });
+
+    } catch (error) {
+      console.error("❌ Error logging out student:", error);
+      return ctx.internalServerError("Failed to log out");
+    }
+  },
+
+  /**
+   * PUBLIC: Forgot password (for active accounts, configured reset expiry)
+   */
+  async forgotPassword(ctx) {
+    const { email } = ctx.request.body || {};
+
+    if (!email) {
+      return ctx.badRequest("Email is required");
+    }
+
+    const throttle = strapi.service("api::teacher.login-throttle");
+    const limits = strapi.config.get("student-auth.throttle.forgotPassword");
+    const identifierKey = `student:forgot:id:${String(email).toLowerCase()}`;
+    const ipKey = `student:forgot:ip:${ctx.request.ip}`;
+
+    const retryAfter = Math.max(throttle.retryAfter(identifierKey), throttle.retryAfter(ipKey));
+
+    if (retryAfter > 0) {
+      return tooManyRequests(ctx, "Too many password reset requests. Please try again later.", retryAfter);
+    }
+
+    // Every request counts - this endpoint sends email
+    throttle.hit(identifierKey, { max: limits.maxPerIdentifier, windowMinutes: limits.windowMinutes });
+    throttle.hit(ipKey, { max: limits.maxPerIp, windowMinutes: limits.windowMinutes });
+
+    const genericResponse = {
+      message: "If an account exists with this email, a password reset link has been sent.",
+    };
+
+    try {
+      const student = await strapi.db.query("api::student.student").findOne({
+        where: { email },
+      });
+
+      if (!student || !student.isActive || student.deactivatedAt) {
+        return ctx.send(genericResponse);
+      }
+
+      await strapi.service("api::student.student").sendSetupEmail(student);
+
+      console.log(`✅ Password reset email queued for student ${email}`);
+
+      return ctx.send(genericResponse);
+
+    } catch (error) {
+      console.error("❌ Error in student forgot password:", error);
+      return ctx.internalServerError("Failed to process request");
+    }
+  },
+
+  /**
+   * STUDENT: Current student profile
+   */
+  async me(ctx) {
+    return ctx.send({ data: toProfile(ctx.state.student) });
+  },
+
+  /**
+   * STUDENT: Courses the student is enrolled in through their classes
+   */
+  async myCourses(ctx) {
+    try {
+      const courses = await strapi
+        .service("api::student.student")
+        .findEnrolledCourses(ctx.state.student);
+
+      return ctx.send({ data: courses });
+
+    } catch (error) {
+      console.error("❌ Error fetching student courses:", error);
+      return ctx.internalServerError("Failed to fetch courses");
+    }
+  },
+}));
@@ -0,0 +1,100 @@
+"use strict";
+
+module.exports = {
+  routes: [
+    // ADMIN ROUTES
+    {
+      method: "POST",
+      path: "/students",
+      handler: "student.create",
+      config: {
+        policies: [],
+        middlewares: [],
+      },
+    },
+    {
+      method: "POST",
+      path: "/students/resend-setup-email",
+      handler: "student.resendSetupEmail",
+      config: {
+        policies: [],
+        middlewares: [],
+      },
+    },
+
+    // PUBLIC ROUTES
+    {
+      method: "POST",
+      path: "/students/set-password",
+      handler: "student.setPassword",
+      config: {
+        auth: false,
+        policies: [],
+        middlewares: [],
+      },
+    },
+    {
+      method: "POST",
+      path: "/students/login",
+      handler: "student.login",
+      config: {
+        auth: false,
+        policies: [],
+        middlewares: [],
+      },
+    },
+    {
+      method: "POST",
+      path: "/students/refresh",
+      handler: "student.refresh",
+      config: {
+        auth: false,
+        policies: [],
+        middlewares: [],
+      },
+    },
+    {
+      method: "POST",
+      path: "/students/logout",
+      handler: "student.logout",
+      config: {
+        auth: false,
+        policies: [],
+        middlewares: [],
+      },
+    },
+    {
+      method: "POST",
+      path: "/students/forgot-password",
+      handler: "student.forgotPassword",
+      config: {
+        auth: false,
+        policies: [],
+        middlewares: [],
+      },
+    },
+
+    // STUDENT ROUTES (student JWT, see src/middlewares/student-auth.js)
+    // Lesson reads live in the lesson API (src/api/lesson/routes/student-lesson.js)
+    {
+      method: "GET",
+      path: "/students/me",
+      handler: "student.me",
+      config: {
+        auth: false,
+        policies: [],
+        middlewares: ["global::student-auth"],
+      },
+    },
+    {
+      method: "GET",
+      path: "/students/me/courses",
+      handler: "student.myCourses",
+      config: {
+        auth: false,
+        policies: [],
+        middlewares: ["global::student-auth"],
+      },
+    },
+  ],
+};
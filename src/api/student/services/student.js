@@ -0,0 +1,167 @@
+'use strict';
+
+/**
+ * student service
+ *
+ * Auth and enrollment helpers shared by the student controllers. Sessions use the
+ * same helpers as teacher sessions (src/utils/sessions): a short-lived JWT with
+ * `type: "student"` bound to a student-session row, and a rotating refresh token
+ * stored hashed on that row. Students reach course content only through the
+ * classes they are enrolled in.
+ */
+
+const { createCoreService } = require('@strapi/strapi').factories;
+const crypto = require('crypto');
+const { formatDuration } = require('../../mailer/utils/render');
+const { createSessions, hashToken } = require('../../../utils/sessions');
+
+const STUDENT_UID = 'api::student.student';
+const SESSION_UID = 'api::student.student-session';
+
+const EMAIL_REGEX = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+module.exports = createCoreService(STUDENT_UID, ({ strapi }) => ({
+  ...createSessions(strapi, {
+    sessionUid: SESSION_UID,
+    owner: 'student',
+    type: 'student',
+    config: 'student-auth',
+    isOwnerActive: (student) => student.isActive && !student.deactivatedAt,
+  }),
+
+  /**
+   * Field rules for a new student account.
+   * Returns an error message, or null when the data is acceptable.
+   */
+  validateNewStudent({ name, email, username }) {
+    if (!email || !username || !name) {
+      return 'Email, username, and name are required';
+    }
+
+    if (!EMAIL_REGEX.test(email)) {
+      return 'Invalid email format';
+    }
+
+    return null;
+  },
+
+  /**
+   * Check email/username against existing students.
+   * Returns an error message, or null when both are free.
+   */
+  async findStudentConflict({ email, username }) {
+    const existingEmail = await strapi.db.query(STUDENT_UID).findOne({
+      where: { email },
+      select: ['id'],
+    });
+
+    if (existingEmail) {
+      return 'A student with this email already exists';
+    }
+
+    const existingUsername = await strapi.db.query(STUDENT_UID).findOne({
+      where: { username },
+      select: ['id'],
+    });
+
+    if (existingUsername) {
+      return 'This username is already taken';
+    }
+
+    return null;
+  },
+
+  /**
+   * Email a new password link: the invitation for students who have not set a
+   * password yet, a reset link otherwise. Returns the link expiry.
+   */
+  async sendSetupEmail(student) {
+    const minutes = student.isActive
+      ? strapi.config.get('student-auth.passwordReset').expiresInMinutes
+      : strapi.config.get('student-auth.invite').expiresInMinutes;
+
+    const resetToken = crypto.randomBytes(32).toString('hex');
+    const expiresAt = new Date(Date.now() + minutes * 60 * 1000);
+
+    await strapi.db.query(STUDENT_UID).update({
+      where: { id: student.id },
+      data: {
+        resetPasswordToken: hashToken(resetToken),
+        resetPasswordExpires: expiresAt,
+        ...(student.isActive ? {} : { inviteSentAt: new Date() }),
+      },
+    });
+
+    const frontendUrl = process.env.FRONTEND_URL || 'http://localhost:3000';
+
+    await strapi.service('api::mailer.mailer').send(
+      student.isActive ? 'student-password-reset' : 'student-welcome',
+      {
+        to: student.email,
+        variables: {
+          name: student.name,
+          username: student.username,
+          actionUrl: `${frontendUrl}/student/set-password?token=${resetToken}`,
+          expiresIn: formatDuration(minutes * 60 * 1000),
+        },
+      }
+    );
+
+    return expiresAt;
+  },
+
+  /**
+   * Classes a student is enrolled in, with their course documentId
+   */
+  async findClasses(student) {
+    return strapi.db.query('api::class.class').findMany({
+      where: { students: { id: student.id } },
+      select: ['id', 'documentId', 'name'],
+      populate: { course: { select: ['documentId'] } },
+    });
+  },
+
+  /**
+   * documentIds of the courses a student is enrolled in (draft and published
+   * rows of a course share one documentId)
+   */
+  async findEnrolledCourseDocumentIds(student) {
+    const classes = await this.findClasses(student);
+
+    return [...new Set(classes.filter((cls) => cls.course).map((cls) => cls.course.documentId))];
+  },
+
+  /**
+   * Published courses a student is enrolled in, each with the student's classes for it
+   */
+  async findEnrolledCourses(student) {
+    const classes = await this.findClasses(student);
+
+    const classesByCourse = new Map();
+    for (const cls of classes) {
+      if (!cls.course) continue;
+
+      const list = classesByCourse.get(cls.course.documentId) || [];
+      list.push({ id: cls.id, documentId: cls.documentId, name: cls.name });
+      classesByCourse.set(cls.course.documentId, list);
+    }
+
+    if (classesByCourse.size === 0) {
+      return [];
+    }
+
+    const courses = await strapi.documents('api::course.course').findMany({
+      filters: { documentId: { $in: [...classesByCourse.keys()] } },
+      fields: ['course_title', 'description'],
+      status: 'published',
+    });
+
+    return courses.map((course) => ({
+      id: course.id,
+      documentId: course.documentId,
+      course_title: course.course_title,
+      description: course.description,
+      classes: classesByCourse.get(course.documentId),
+    }));
+  },
+}));
@@ -1,6 +1,9 @@
 "use strict";
 
 const crypto = require("crypto");
+const { errors } = require("@strapi/utils");
+const { formatDuration } = require("../../../mailer/utils/render");
+const { describeActor } = require("../../../../utils/request-actor");
 
 module.exports = {
   /**
@@ -9,19 +12,27 @@ module.exports = {
   async beforeCreate(event) {
     const { data } = event.params;
 
+    // Created by an SSO login (services/oidc.js) - already verified, no password to set
+    if (data.ssoProvisioned) {
+      data.isActive = true;
+      return;
+    }
+
     // Auto-generate password reset token (hidden from admin)
     const resetToken = crypto.randomBytes(32).toString("hex");
     const resetTokenHash = crypto.createHash("sha256").update(resetToken).digest("hex");
-    
-    // Set expiry to 1 hour from now
-    const resetExpires = new Date(Date.now() + 60 * 60 * 1000); // 1 hour
+
+    // Invite lifetime comes from config/teacher-auth.js (invite.expiresInMinutes)
+    const { expiresInMinutes } = strapi.config.get("teacher-auth.invite");
+    const resetExpires = new Date(Date.now() + expiresInMinutes * 60 * 1000);
 
     // Add hidden fields to the data
     data.resetPasswordToken = resetTokenHash;
     data.resetPasswordExpires = resetExpires;
+    data.inviteSentAt = new Date();
     data.isActive = false; // Account inactive until password is set
 
-    console.log(`🔐 Auto-generated reset token for new teacher (expires in 1 hour)`);
+    console.log(`🔐 Auto-generated reset token for new teacher (expires in ${formatDuration(expiresInMinutes * 60 * 1000)})`);
 
     // Store the plain token temporarily so we can send it in email
     // We'll use it in afterCreate
@@ -35,6 +46,15 @@ module.exports = {
     const { result, params } = event;
     const plainResetToken = params._plainResetToken;
 
+    await strapi.service("api::teacher.auth-audit").record(null, "account_created", {
+      teacher: result,
+      metadata: { ssoProvisioned: Boolean(result.ssoProvisioned) },
+    });
+
+    if (result.ssoProvisioned) {
+      return;
+    }
+
     if (!plainResetToken) {
       console.error("❌ Reset token not found in params");
       return;
@@ -50,180 +70,86 @@ module.exports = {
       const frontendUrl = process.env.FRONTEND_URL || "http://localhost:3000";
       const setupUrl = `${frontendUrl}/set-password?token=${plainResetToken}`;
 
-      await strapi.plugins["email"].services.email.send({
+      const expiresInMs = result.resetPasswordExpires
+        ? new Date(result.resetPasswordExpires).getTime() - Date.now()
+        : strapi.config.get("teacher-auth.invite").expiresInMinutes * 60 * 1000;
+
+      await strapi.service("api::mailer.mailer").send("teacher-welcome", {
         to: result.email,
-        from: process.env.EMAIL_FROM || "noreply@yourapp.com",
-        subject: "🎉 Welcome! Set Up Your Teacher Account Password",
-        html: `
-          <!DOCTYPE html>
-          <html>
-          <head>
-            <style>
-              body { 
-                font-family: 'Segoe UI', Tahoma, Geneva, Verdana, sans-serif; 
-                line-height: 1.6; 
-                color: #333; 
-                margin: 0;
-                padding: 0;
-              }
-              .email-container { 
-                max-width: 600px; 
-                margin: 0 auto; 
-                padding: 20px; 
-                background-color: #f4f7fa; 
-              }
-              .email-content { 
-                background-color: white; 
-                padding: 40px 30px; 
-                border-radius: 10px; 
-                box-shadow: 0 2px 8px rgba(0,0,0,0.1);
-              }
-              .header { 
-                text-align: center; 
-                margin-bottom: 30px; 
-              }
-              .header h1 { 
-                color: #4F46E5; 
-                margin: 0;
-                font-size: 28px;
-              }
-              .welcome-badge {
-                background: linear-gradient(135deg, #667eea 0%, #764ba2 100%);
-                color: white;
-                padding: 15px;
-                border-radius: 8px;
-                text-align: center;
-                margin: 20px 0;
-              }
-              .info-box { 
-                background-color: #f8f9fa; 
-                padding: 20px; 
-                border-radius: 8px; 
-                margin: 20px 0;
-                border-left: 4px solid #4F46E5;
-              }
-              .info-box p {
-                margin: 8px 0;
-              }
-              .info-box strong {
-                color: #4F46E5;
-                min-width: 100px;
-                display: inline-block;
-              }
-              .button-container {
-                text-align: center; 
-                margin: 35px 0;
-              }
-              .button { 
-                display: inline-block; 
-                padding: 16px 32px; 
-                background: linear-gradient(135deg, #667eea 0%, #764ba2 100%);
-                color: white !important; 
-                text-decoration: none; 
-                border-radius: 8px; 
-                font-weight: bold;
-                font-size: 16px;
-                box-shadow: 0 4px 15px rgba(102, 126, 234, 0.4);
-              }
-              .link-box { 
-                background-color: #f5f5f5; 
-                padding: 15px; 
-                border-radius: 6px; 
-                word-break: break-all;
-                font-size: 13px;
-                margin: 15px 0;
-                border: 1px dashed #ddd;
-              }
-              .footer { 
-                color: #666; 
-                font-size: 13px; 
-                margin-top: 30px; 
-                padding-top: 20px;
-                border-top: 2px solid #f0f0f0;
-                text-align: center;
-              }
-              .urgent {
-                background-color: #fff3cd;
-                border-left: 4px solid #ffc107;
-                padding: 12px;
-                border-radius: 4px;
-                margin: 15px 0;
-              }
-              .steps {
-                background-color: #e7f3ff;
-                padding: 20px;
-                border-radius: 8px;
-                margin: 20px 0;
-              }
-              .steps ol {
-                margin: 10px 0;
-                padding-left: 20px;
-              }
-              .steps li {
-                margin: 8px 0;
-              }
-            </style>
-          </head>
-          <body>
-            <div class="email-container">
-              <div class="email-content">
-                <div class="header">
-                  <h1>🎓 Welcome to Our Platform!</h1>
-                </div>
-                
-                <div class="welcome-badge">
-                  <h2 style="margin: 0; font-size: 20px;">Hello, ${result.name}! 👋</h2>
-                  <p style="margin: 5px 0 0 0; opacity: 0.9;">Your teacher account has been created successfully</p>
-                </div>
-
-                <p style="font-size: 16px; margin: 20px 0;">We're excited to have you on board! Your account has been set up by our administrator.</p>
-
-                <div class="info-box">
-                  <p><strong>📧 Email:</strong> ${result.email}</p>
-                  <p><strong>👤 Username:</strong> ${result.username}</p>
-                  ${result.phone ? `<p><strong>📱 Phone:</strong> ${result.phone}</p>` : ''}
-                </div>
-
-                <div class="steps">
-                  <h3 style="margin-top: 0; color: #4F46E5;">📋 Next Steps:</h3>
-                  <ol>
-                    <li><strong>Click the button below</strong> to set your password</li>
-                    <li><strong>Create a strong password</strong> (minimum 8 characters)</li>
-                    <li><strong>Your account will be activated</strong> automatically</li>
-                    <li><strong>Log in</strong> with your username/email and new password</li>
-                  </ol>
-                </div>
-
-                <div class="button-container">
-                  <a href="${setupUrl}" class="button">🔐 Set Up My Password</a>
-                </div>
-
-                <p style="text-align: center; color: #666; font-size: 14px;">Or copy and paste this link into your browser:</p>
-                <div class="link-box">${setupUrl}</div>
-
-                <div class="urgent">
-                  <strong>⏰ URGENT:</strong> This link will expire in <strong>1 HOUR</strong>. Please set your password immediately!
-                </div>
-
-                <div class="footer">
-                  <p><strong>Need help?</strong> Contact your administrator if you have any questions.</p>
-                  <p style="margin: 5px 0;">This is an automated message, please do not reply to this email.</p>
-                </div>
-              </div>
-            </div>
-          </body>
-          </html>
-        `,
+        variables: {
+          name: result.name,
+          email: result.email,
+          username: result.username,
+          phone: result.phone,
+          actionUrl: setupUrl,
+          expiresIn: formatDuration(expiresInMs),
+        },
       });
 
-      console.log(`✅ Password setup email sent successfully to ${result.email} (expires in 1 hour)`);
+      console.log(`✅ Password setup email queued for ${result.email} (expires in ${formatDuration(expiresInMs)})`);
 
     } catch (emailError) {
-      console.error("❌ Failed to send password setup email:", emailError);
+      console.error("❌ Failed to queue password setup email:", emailError);
       console.error("Email error details:", {
         message: emailError.message,
         code: emailError.code,
       });
     }
   },
+
+  /**
+   * An email edit (e.g. by an admin in the content manager) does not switch the
+   * account over - it becomes a change request that the new address has to confirm
+   * (services/email-change.js). The confirmation itself uses updateMany, which
+   * does not run this hook.
+   */
+  async beforeUpdate(event) {
+    const { data, where } = event.params;
+
+    if (!data || data.email === undefined) {
+      return;
+    }
+
+    const current = await strapi.db.query("api::teacher.teacher").findOne({ where });
+
+    if (!current || String(data.email).toLowerCase() === current.email.toLowerCase()) {
+      return;
+    }
+
+    const error = await strapi.service("api::teacher.email-change").validate(current, data.email);
+    if (error) {
+      throw new errors.ApplicationError(error);
+    }
+
+    event.params._requestedEmail = data.email;
+    delete data.email;
+  },
+
+  /**
+   * Send the confirmation for an email edit intercepted in beforeUpdate
+   */
+  async afterUpdate(event) {
+    const { result, params } = event;
+    const requestedEmail = params._requestedEmail;
+
+    if (!requestedEmail) {
+      return;
+    }
+
+    const ctx = strapi.requestContext.get();
+    const requestedBy = ctx?.state?.auth ? describeActor(ctx) : "system";
+
+    try {
+      await strapi.service("api::teacher.email-change").request(result, requestedEmail, { requestedBy });
+
+      console.log(`✉️ Email change to ${requestedEmail} requested for ${result.email} by ${requestedBy} - waiting for confirmation`);
+      await strapi.service("api::teacher.auth-audit").record(ctx, "email_change_requested", {
+        teacher: result,
+        metadata: { newEmail: requestedEmail },
+      });
+
+    } catch (emailError) {
+      console.error("❌ Failed to request email change:", emailError);
+    }
+  },
 };
\ No newline at end of file
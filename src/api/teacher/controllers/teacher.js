@@ -2,8 +2,121 @@
 
 const { createCoreController } = require("@strapi/strapi").factories;
 const crypto = require("crypto");
+const fs = require("fs/promises");
 const bcrypt = require("bcrypt");
-const jwt = require("jsonwebtoken");
+const { formatDuration } = require("../../mailer/utils/render");
+const { describeActor } = require("../../../utils/request-actor");
+
+/**
+ * Respond 429 with a Retry-After header
+ */
+const tooManyRequests = (ctx, message, retryAfter) => {
+  ctx.set("Retry-After", String(retryAfter));
+  return ctx.tooManyRequests(message, { retryAfter });
+};
+
+/**
+ * Write a teacher auth audit event (see services/auth-audit.js) - never throws
+ */
+const audit = (strapi, ctx, event, details) =>
+  strapi.service("api::teacher.auth-audit").record(ctx, event, details);
+
+/**
+ * Device details stored on a login session (shown in the teacher's session list)
+ */
+const clientInfo = (ctx) => ({
+  ip: ctx.request.ip,
+  userAgent: ctx.request.headers["user-agent"],
+});
+
+/**
+ * Compare a password with the stored hash. SSO-provisioned teachers have no
+ * local password until they set one through forgot-password.
+ */
+const checkPassword = async (password, hash) => {
+  if (!hash) {
+    return false;
+  }
+
+  return bcrypt.compare(password, hash);
+};
+
+/**
+ * Password rules shared by every path that sets a password (see services/password-policy.js).
+ * Returns { message, errors }, or null when the password is acceptable.
+ */
+const validateNewPassword = async (strapi, teacher, password, passwordConfirmation) => {
+  if (password !== passwordConfirmation) {
+    return { message: "Passwords do not match", errors: ["Passwords do not match"] };
+  }
+
+  const errors = await strapi.service("api::teacher.password-policy").validate(password, teacher);
+
+  return errors.length > 0 ? { message: errors[0], errors } : null;
+};
+
+/**
+ * First factor passed (password or magic link): start a session, or hand out a
+ * 2FA challenge when the teacher has two-factor authentication enabled
+ */
+const completeLogin = async (strapi, ctx, teacher) => {
+  if (teacher.twoFactorEnabled) {
+    return ctx.send({
+      message: "Two-factor authentication required",
+      twoFactorRequired: true,
+      challengeToken: await strapi.service("api::teacher.two-factor").createChallengeToken(teacher),
+    });
+  }
+
+  const { token, refreshToken } = await strapi
+    .service("api::teacher.teacher")
+    .createSession(teacher, clientInfo(ctx));
+
+  return ctx.send({
+    message: "Login successful",
+    data: {
+      id: teacher.id,
+      name: teacher.name,
+      email: teacher.email,
+      username: teacher.username,
+      phone: teacher.phone,
+      qualification: teacher.qualification,
+    },
+    token,
+    refreshToken,
+  });
+};
+
+/**
+ * Invitation filters for the admin dashboard (see teacher service listInvitations)
+ */
+const INVITATION_STATUSES = ["pending", "expired"];
+
+/**
+ * Most teachers one bulk invitation resend may target
+ */
+const MAX_BULK_RESEND = 100;
+
+/**
+ * Profile fields a teacher may edit on their own account
+ */
+const EDITABLE_PROFILE_FIELDS = ["phone", "qualification"];
+
+/**
+ * Teacher profile as returned to the teacher themselves
+ */
+const toProfile = (teacher) => ({
+  id: teacher.id,
+  name: teacher.name,
+  email: teacher.email,
+  username: teacher.username,
+  phone: teacher.phone,
+  qualification: teacher.qualification,
+  isActive: teacher.isActive,
+  passwordSetAt: teacher.passwordSetAt,
+  twoFactorEnabled: teacher.twoFactorEnabled,
+  pendingEmail: teacher.pendingEmail || null,
+});
 
 module.exports = createCoreController("api::teacher.teacher", ({ strapi }) => ({
   /**
@@ -12,35 +125,19 @@ module.exports = createCoreController("api::teacher.teacher", ({ strapi }) => ({
    */
   async create(ctx) {
     const { name, email, username, phone, qualification } = ctx.request.body;
+    const teacherService = strapi.service("api::teacher.teacher");
 
-    // Validate required fields
-    if (!email || !username || !name) {
-      return ctx.badRequest("Email, username, and name are required");
-    }
-
-    // Validate email format
-    const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
-    if (!emailRegex.test(email)) {
-      return ctx.badRequest("Invalid email format");
+    // Validate required fields and email format
+    const validationError = teacherService.validateNewTeacher({ name, email, username });
+    if (validationError) {
+      return ctx.badRequest(validationError);
     }
 
     try {
-      // Check if email already exists
-      const existingEmail = await strapi.entityService.findMany("api::teacher.teacher", {
-        filters: { email },
-      });
-
-      if (existingEmail && existingEmail.length > 0) {
-        return ctx.badRequest("A teacher with this email already exists");
-      }
-
-      // Check if username is taken
-      const existingUsername = await strapi.entityService.findMany("api::teacher.teacher", {
-        filters: { username },
-      });
-
-      if (existingUsername && existingUsername.length > 0) {
-        return ctx.badRequest("This username is already taken");
+      // Check email and username are not taken
+      const conflict = await teacherService.findTeacherConflict({ email, username });
+      if (conflict) {
+        return ctx.badRequest(conflict);
       }
 
       // Create teacher - token and expiry auto-generated in lifecycle hook
@@ -56,8 +153,10 @@ module.exports = createCoreController("api::teacher.teacher", ({ strapi }) => ({
 
       console.log(`✅ Teacher created: ${email} (ID: ${teacher.id})`);
 
+      const { expiresInMinutes } = strapi.config.get("teacher-auth.invite");
+
       return ctx.send({
-        message: "Teacher account created successfully. Password setup email has been sent (expires in 1 hour).",
+        message: `Teacher account created successfully. Password setup email has been sent (expires in ${formatDuration(expiresInMinutes * 60 * 1000)}).`,
         data: {
           id: teacher.id,
           name: teacher.name,
@@ -76,7 +175,75 @@ module.exports = createCoreController("api::teacher.teacher", ({ strapi }) => ({
   },
 
   /**
-   * ADMIN: Resend password setup email (regenerates token with 1 hour expiry)
+   * ADMIN: Bulk create teachers from a CSV (columns: name, email, username, phone, qualification)
+   * Body: JSON { csv, dryRun } or multipart with a "file" upload and optional "dryRun" field.
+   * Defaults to a dry run - send dryRun: false to create the accounts.
+   */
+  async importTeachers(ctx) {
+    const body = ctx.request.body || {};
+    const upload = ctx.request.files?.file;
+    const dryRun = String(body.dryRun ?? ctx.query.dryRun ?? "true") !== "false";
+
+    try {
+      let csv = body.csv;
+
+      if (upload) {
+        const file = Array.isArray(upload) ? upload[0] : upload;
+        csv = await fs.readFile(file.filepath, "utf8");
+      }
+
+      if (!csv || typeof csv !== "string") {
+        return ctx.badRequest("Provide the CSV as a \"file\" upload or a \"csv\" string");
+      }
+
+      const teacherService = strapi.service("api::teacher.teacher");
+      const { rows, error } = teacherService.parseTeacherCsv(csv);
+
+      if (error) {
+        return ctx.badRequest(error);
+      }
+
+      const report = await teacherService.importTeachers(rows, { dryRun });
+
+      if (!dryRun && report.invalid > 0) {
+        return ctx.badRequest(
+          `${report.invalid} row(s) failed validation - no teachers were imported`,
+          report
+        );
+      }
+
+      const failed = report.rows.find((row) => row.status === "error");
+
+      if (failed) {
+        return ctx.internalServerError(
+          `Creating the teacher on line ${failed.line} failed - no teachers were imported`,
+          report
+        );
+      }
+
+      if (!dryRun) {
+        console.log(`✅ Teacher import: ${report.created}/${report.total} account(s) created`);
+        await audit(strapi, ctx, "teachers_imported", {
+          metadata: { total: report.total, created: report.created },
+        });
+      }
+
+      return ctx.send({
+        message: dryRun
+          ? `Dry run: ${report.valid} of ${report.total} row(s) valid, nothing was created`
+          : `${report.created} of ${report.total} teacher account(s) created`,
+        data: report,
+      });
+
+    } catch (error) {
+      console.error("❌ Error importing teachers:", error);
+      return ctx.internalServerError("Failed to import teachers");
+    }
+  },
+
+  /**
+   * ADMIN: Resend password setup email (regenerates the token - invite lifetime
+   * for teachers who have not set a password yet, reset lifetime otherwise)
    */
   async resendSetupEmail(ctx) {
     const { teacherId } = ctx.request.body;
@@ -92,60 +259,18 @@ module.exports = createCoreController("api::teacher.teacher", ({ strapi }) => ({
         return ctx.notFound("Teacher not found");
       }
 
-      // Generate new token with 1 hour expiry
-      const resetToken = crypto.randomBytes(32).toString("hex");
-      const resetTokenHash = crypto.createHash("sha256").update(resetToken).digest("hex");
-      const resetExpires = new Date(Date.now() + 60 * 60 * 1000); // 1 hour
-
-      // Update teacher with new token
-      await strapi.entityService.update("api::teacher.teacher", teacherId, {
-        data: {
-          resetPasswordToken: resetTokenHash,
-          resetPasswordExpires: resetExpires,
-        },
-      });
+      if (teacher.deactivatedAt) {
+        return ctx.badRequest("Teacher is deactivated - reactivate the account first");
+      }
 
-      const frontendUrl = process.env.FRONTEND_URL || "http://localhost:3000";
-      const setupUrl = `${frontendUrl}/set-password?token=${resetToken}`;
+      const expiresAt = await strapi.service("api::teacher.teacher").sendSetupEmail(teacher);
+      const expiresIn = formatDuration(expiresAt.getTime() - Date.now());
 
-      await strapi.plugins["email"].services.email.send({
-        to: teacher.email,
-        from: process.env.EMAIL_FROM || "noreply@yourapp.com",
-        subject: teacher.isActive ? "Password Reset Request" : "⏰ Reminder: Set Up Your Password (1 Hour)",
-        html: `
-          <!DOCTYPE html>
-          <html>
-          <body style="font-family: Arial, sans-serif; line-height: 1.6; color: #333;">
-            <div style="max-width: 600px; margin: 0 auto; padding: 20px; background-color: #f9f9f9;">
-              <div style="background-color: white; padding: 30px; border-radius: 8px;">
-                <h2 style="color: #4F46E5;">${teacher.isActive ? '🔐 Password Reset' : '⏰ Password Setup Reminder'}</h2>
-                <p>Hi <strong>${teacher.name}</strong>,</p>
-                <p>${teacher.isActive 
-                  ? 'You requested to reset your password.' 
-                  : 'This is a reminder to set up your password and activate your account.'
-                }</p>
-                <p><strong>Username:</strong> ${teacher.username}</p>
-                <div style="text-align: center; margin: 30px 0;">
-                  <a href="${setupUrl}" style="display: inline-block; padding: 14px 28px; background-color: #4F46E5; color: white; text-decoration: none; border-radius: 6px; font-weight: bold;">
-                    ${teacher.isActive ? 'Reset Password' : 'Set Up Password'}
-                  </a>
-                </div>
-                <p>Or copy this link:</p>
-                <div style="background-color: #f5f5f5; padding: 12px; border-radius: 4px; word-break: break-all; font-size: 13px;">${setupUrl}</div>
-                <div style="background-color: #fff3cd; border-left: 4px solid #ffc107; padding: 12px; border-radius: 4px; margin: 15px 0;">
-                  <strong>⏰ URGENT:</strong> This link will expire in <strong>1 HOUR</strong>!
-                </div>
-              </div>
-            </div>
-          </body>
-          </html>
-        `,
-      });
-
-      console.log(`✅ Setup email resent to ${teacher.email} (expires in 1 hour)`);
+      console.log(`✅ Setup email queued for ${teacher.email} (expires in ${expiresIn})`);
+      await audit(strapi, ctx, "setup_email_resent", { teacher });
 
       return ctx.send({
-        message: "Password setup email sent successfully (expires in 1 hour)",
+        message: `Password setup email sent successfully (expires in ${expiresIn})`,
       });
 
     } catch (error) {
@@ -155,266 +280,1653 @@ module.exports = createCoreController("api::teacher.teacher", ({ strapi }) => ({
   },
 
   /**
-   * PUBLIC: Set password (first time - activates account)
+   * ADMIN: Invitation dashboard - teachers who have not set their password yet
+   * ?status=pending|expired, ?page, ?pageSize
    */
-  async setPassword(ctx) {
-    const { token, password, passwordConfirmation } = ctx.request.body;
+  async invitations(ctx) {
+    const { status } = ctx.query;
+    const page = Math.max(parseInt(ctx.query.page, 10) || 1, 1);
+    const pageSize = Math.min(Math.max(parseInt(ctx.query.pageSize, 10) || 25, 1), 100);
 
-    if (!token || !password || !passwordConfirmation) {
-      return ctx.badRequest("Token, password, and password confirmation are required");
+    if (status && !INVITATION_STATUSES.includes(status)) {
+      return ctx.badRequest(`status must be one of: ${INVITATION_STATUSES.join(", ")}`);
     }
 
-    if (password !== passwordConfirmation) {
-      return ctx.badRequest("Passwords do not match");
-    }
+    try {
+      const { invitations, counts, pagination } = await strapi
+        .service("api::teacher.teacher")
+        .listInvitations({ status, page, pageSize });
 
-    if (password.length < 8) {
-      return ctx.badRequest("Password must be at least 8 characters long");
+      return ctx.send({ data: invitations, meta: { counts, pagination } });
+
+    } catch (error) {
+      console.error("❌ Error listing invitations:", error);
+      return ctx.internalServerError("Failed to list invitations");
     }
+  },
 
-    try {
-      // Hash the token to match stored hash
-      const resetTokenHash = crypto.createHash("sha256").update(token).digest("hex");
+  /**
+   * ADMIN: Resend setup emails to several invited teachers
+   * Body: { teacherIds: [...] } - active or deactivated teachers are skipped
+   */
+  async resendInvitations(ctx) {
+    const { teacherIds } = ctx.request.body || {};
 
-      // Find teacher with matching token
-    const teachers = await strapi.db.query("api::teacher.teacher").findMany({
-  where: { resetPasswordToken: resetTokenHash },
-});
+    if (!Array.isArray(teacherIds) || teacherIds.length === 0) {
+      return ctx.badRequest("teacherIds must be a non-empty array");
+    }
 
+    if (teacherIds.length > MAX_BULK_RESEND) {
+      return ctx.badRequest(`At most ${MAX_BULK_RESEND} teachers can be re-invited at once`);
+    }
 
-      if (!teachers || teachers.length === 0) {
-        return ctx.badRequest("Invalid or expired setup link");
-      }
+    const ids = [...new Set(teacherIds.map((id) => parseInt(id, 10)))];
+    if (ids.some((id) => !id)) {
+      return ctx.badRequest("teacherIds must contain teacher ids");
+    }
 
-      const teacher = teachers[0];
+    try {
+      const results = await strapi.service("api::teacher.teacher").resendInvitations(ids);
+      const sent = results.filter((result) => result.status === "sent");
 
-      if (teacher.resetPasswordExpires && new Date(teacher.resetPasswordExpires) < new Date()) {
-        return ctx.badRequest("Setup link has expired (valid for 1 hour only). Please contact your administrator for a new link.");
+      for (const result of sent) {
+        await audit(strapi, ctx, "setup_email_resent", {
+          teacher: { id: result.id, email: result.email },
+          metadata: { bulk: true },
+        });
       }
-      const hashedPassword = await bcrypt.hash(password, 10);
 
-      await strapi.entityService.update("api::teacher.teacher", teacher.id, {
-        data: {
-          password: hashedPassword,
-          isActive: true,
-          passwordSetAt: new Date(),
-          resetPasswordToken: null,
-          resetPasswordExpires: null,
-        },
-      });
-      console.log(`✅ Password set and account activated for: ${teacher.email}`);
+      console.log(`✅ Invitations resent: ${sent.length} of ${results.length}`);
+
       return ctx.send({
-        message: "Password set successfully! Your account is now active. You can log in now.",
-        success: true,
+        message: `${sent.length} invitation(s) resent`,
+        data: results,
+        meta: { sent: sent.length, skipped: results.length - sent.length },
       });
 
     } catch (error) {
-      console.error("❌ Error setting password:", error);
-      return ctx.internalServerError("Failed to set password. Please try again.");
+      console.error("❌ Error resending invitations:", error);
+      return ctx.internalServerError("Failed to resend invitations");
     }
   },
 
   /**
-   * PUBLIC: Teacher login
+   * ADMIN: List courses assigned to a teacher
    */
- async login(ctx) {
-  const { identifier, password } = ctx.request.body;
+  async courses(ctx) {
+    const { id } = ctx.params;
 
-  if (!identifier || !password) {
-    return ctx.badRequest("Email/username and password are required");
-  }
+    try {
+      const teacher = await strapi.entityService.findOne("api::teacher.teacher", id);
 
-  try {
-    const teachers = await strapi.db.query("api::teacher.teacher").findMany({
-      where: {
-        $or: [{ email: identifier }, { username: identifier }],
-      },
-      select: [
-        "id",
-        "name",
-        "email",
-        "username",
-        "password",
-        "phone",
-        "qualification",
-        "isActive",
-      ],
-    });
+      if (!teacher) {
+        return ctx.notFound("Teacher not found");
+      }
 
-    if (!teachers || teachers.length === 0) {
-      return ctx.badRequest("Invalid credentials");
-    }
+      const courses = await strapi.service("api::teacher.teacher").findAssignedCourses(teacher);
 
-    const teacher = teachers[0];
+      return ctx.send({ data: courses });
 
-    if (!teacher.isActive) {
-      return ctx.badRequest("Account is not activated. Please check your email.");
+    } catch (error) {
+      console.error("❌ Error fetching teacher courses:", error);
+      return ctx.internalServerError("Failed to fetch assigned courses");
     }
+  },
 
-    const isPasswordValid = await bcrypt.compare(password, teacher.password);
+  /**
+   * ADMIN: List a teacher's open sessions (signed-in devices)
+   */
+  async sessions(ctx) {
+    const { id } = ctx.params;
 
-    if (!isPasswordValid) {
-      return ctx.badRequest("Invalid credentials");
-    }
+    try {
+      const teacher = await strapi.db.query("api::teacher.teacher").findOne({
+        where: { id },
+      });
 
-    const jwtToken = jwt.sign(
-      {
-        id: teacher.id,
-        email: teacher.email,
-        username: teacher.username,
-        name: teacher.name,
-        type: "teacher",
-      },
-      process.env.JWT_SECRET || "default-secret-key",
-      { expiresIn: process.env.JWT_EXPIRES_IN || "7d" }
-    );
+      if (!teacher) {
+        return ctx.notFound("Teacher not found");
+      }
 
-    return ctx.send({
-      message: "Login successful",
-      data: {
-        id: teacher.id,
-        name: teacher.name,
-        email: teacher.email,
-        username: teacher.username,
-        phone: teacher.phone,
-        qualification: teacher.qualification,
-      },
-      token: jwtToken,
-    });
-  } catch (error) {
-    console.error("❌ Login error:", error);
-    return ctx.internalServerError("Login failed. Please try again.");
-  }
-},
+      const sessions = await strapi.service("api::teacher.teacher").listSessions(teacher.id);
+
+      return ctx.send({ data: sessions });
 
+    } catch (error) {
+      console.error("❌ Error fetching teacher sessions:", error);
+      return ctx.internalServerError("Failed to fetch sessions");
+    }
+  },
 
   /**
-   * PUBLIC: Forgot password (for active accounts, 1 hour expiry)
+   * ADMIN: Assign courses to a teacher
+   * Body: { courseIds: [...] } - numeric ids or documentIds
    */
-  async forgotPassword(ctx) {
-    const { email } = ctx.request.body;
+  async assignCourses(ctx) {
+    const { id } = ctx.params;
+    const { courseIds } = ctx.request.body;
 
-    if (!email) {
-      return ctx.badRequest("Email is required");
+    if (!Array.isArray(courseIds) || courseIds.length === 0) {
+      return ctx.badRequest("courseIds must be a non-empty array");
     }
 
     try {
-      const teachers = await strapi.entityService.findMany("api::teacher.teacher", {
-        filters: { email },
-      });
+      const teacher = await strapi.entityService.findOne("api::teacher.teacher", id);
 
-      if (!teachers || teachers.length === 0) {
-        return ctx.send({
-          message: "If an account exists with this email, a password reset link has been sent.",
-        });
+      if (!teacher) {
+        return ctx.notFound("Teacher not found");
       }
 
-      const teacher = teachers[0];
+      const teacherService = strapi.service("api::teacher.teacher");
+      const { documentIds, missing } = await teacherService.resolveCourseDocumentIds(courseIds);
 
-      if (!teacher.isActive) {
-        return ctx.send({
-          message: "If an account exists with this email, a password reset link has been sent.",
-        });
+      if (missing.length > 0) {
+        return ctx.badRequest(`Course(s) not found: ${missing.join(", ")}`);
       }
 
-      // Generate reset token with 1 hour expiry
-      const resetToken = crypto.randomBytes(32).toString("hex");
-      const resetTokenHash = crypto.createHash("sha256").update(resetToken).digest("hex");
-      const resetExpires = new Date(Date.now() + 60 * 60 * 1000); // 1 hour
+      const courses = await teacherService.updateCourseAssignments(teacher, { connect: documentIds });
 
-      await strapi.entityService.update("api::teacher.teacher", teacher.id, {
-        data: {
-          resetPasswordToken: resetTokenHash,
-          resetPasswordExpires: resetExpires,
-        },
+      console.log(`✅ Assigned ${documentIds.length} course(s) to teacher ${teacher.email}`);
+      await audit(strapi, ctx, "courses_assigned", { teacher, metadata: { courses: documentIds } });
+
+      return ctx.send({
+        message: "Courses assigned successfully",
+        data: courses,
       });
 
-      const frontendUrl = process.env.FRONTEND_URL || "http://localhost:3000";
-      const resetUrl = `${frontendUrl}/reset-password?token=${resetToken}`;
+    } catch (error) {
+      console.error("❌ Error assigning courses:", error);
+      return ctx.internalServerError("Failed to assign courses");
+    }
+  },
 
-      await strapi.plugins["email"].services.email.send({
-        to: email,
-        from: process.env.EMAIL_FROM || "noreply@yourapp.com",
-        subject: "Password Reset Request (1 Hour)",
-        html: `
-          <!DOCTYPE html>
-          <html>
-          <body style="font-family: Arial, sans-serif; line-height: 1.6; color: #333;">
-            <div style="max-width: 600px; margin: 0 auto; padding: 20px; background-color: #f9f9f9;">
-              <div style="background-color: white; padding: 30px; border-radius: 8px;">
-                <h2 style="color: #4F46E5;">🔐 Password Reset Request</h2>
-                <p>Hi <strong>${teacher.name}</strong>,</p>
-                <p>We received a request to reset your password.</p>
-                <div style="text-align: center; margin: 30px 0;">
-                  <a href="${resetUrl}" style="display: inline-block; padding: 14px 28px; background-color: #4F46E5; color: white; text-decoration: none; border-radius: 6px; font-weight: bold;">Reset Password</a>
-                </div>
-                <p>Or copy this link:</p>
-                <div style="background-color: #f5f5f5; padding: 12px; border-radius: 4px; word-break: break-all; font-size: 13px;">${resetUrl}</div>
-                <div style="background-color: #fff3cd; border-left: 4px solid #ffc107; padding: 12px; border-radius: 4px; margin: 15px 0;">
-                  <strong>⏰ This link will expire in 1 HOUR.</strong>
-                </div>
-                <p style="color: #666; font-size: 13px; margin-top: 20px;">
-                  If you didn't request this reset, please ignore this email.
-                </p>
-              </div>
-            </div>
-          </body>
-          </html>
-        `,
-      });
-
-      console.log(`✅ Password reset email sent to ${email} (expires in 1 hour)`);
+  /**
+   * ADMIN: Unassign a course from a teacher
+   */
+  async unassignCourse(ctx) {
+    const { id, courseId } = ctx.params;
+
+    try {
+      const teacher = await strapi.entityService.findOne("api::teacher.teacher", id);
+
+      if (!teacher) {
+        return ctx.notFound("Teacher not found");
+      }
+
+      const teacherService = strapi.service("api::teacher.teacher");
+      const { documentIds, missing } = await teacherService.resolveCourseDocumentIds([courseId]);
+
+      if (missing.length > 0) {
+        return ctx.notFound("Course not found");
+      }
+
+      const courses = await teacherService.updateCourseAssignments(teacher, { disconnect: documentIds });
+
+      console.log(`✅ Unassigned course ${courseId} from teacher ${teacher.email}`);
+      await audit(strapi, ctx, "course_unassigned", { teacher, metadata: { courses: documentIds } });
 
       return ctx.send({
-        message: "If an account exists with this email, a password reset link has been sent.",
+        message: "Course unassigned successfully",
+        data: courses,
       });
 
     } catch (error) {
-      console.error("❌ Error in forgot password:", error);
-      return ctx.internalServerError("Failed to process request");
+      console.error("❌ Error unassigning course:", error);
+      return ctx.internalServerError("Failed to unassign course");
     }
   },
 
   /**
-   * PUBLIC: Get teacher profile
+   * ADMIN: Unlock a teacher account locked by failed logins
    */
-  async me(ctx) {
+  async unlock(ctx) {
+    const { id } = ctx.params;
+
     try {
-      const authHeader = ctx.request.headers.authorization;
+      const teacher = await strapi.db.query("api::teacher.teacher").findOne({
+        where: { id },
+      });
 
-      if (!authHeader) {
-        return ctx.unauthorized("No authorization token provided");
+      if (!teacher) {
+        return ctx.notFound("Teacher not found");
       }
 
-      const token = authHeader.replace("Bearer ", "");
-      const decoded = jwt.verify(token, process.env.JWT_SECRET || "default-secret-key");
+      await strapi.service("api::teacher.login-throttle").unlockAccount(teacher);
+
+      console.log(`🔓 Teacher account unlocked: ${teacher.email}`);
+      await audit(strapi, ctx, "account_unlocked", { teacher });
+
+      return ctx.send({
+        message: "Teacher account unlocked successfully",
+      });
+
+    } catch (error) {
+      console.error("❌ Error unlocking teacher:", error);
+      return ctx.internalServerError("Failed to unlock teacher account");
+    }
+  },
+
+  /**
+   * ADMIN: Deactivate (offboard) a teacher
+   * Body: { reason, transferCoursesTo } - transferCoursesTo is an optional active teacher id
+   * that receives this teacher's course assignments.
+   */
+  async deactivate(ctx) {
+    const { id } = ctx.params;
+    const { reason, transferCoursesTo } = ctx.request.body || {};
 
-      const teacher = await strapi.entityService.findOne("api::teacher.teacher", decoded.id);
+    try {
+      const teacher = await strapi.db.query("api::teacher.teacher").findOne({
+        where: { id },
+      });
 
       if (!teacher) {
         return ctx.notFound("Teacher not found");
       }
 
-      if (!teacher.isActive) {
-        return ctx.unauthorized("Account is not active");
+      if (teacher.deactivatedAt) {
+        return ctx.badRequest("Teacher is already deactivated");
+      }
+
+      let transferTo = null;
+
+      if (transferCoursesTo) {
+        transferTo = await strapi.db.query("api::teacher.teacher").findOne({
+          where: { id: transferCoursesTo },
+        });
+
+        if (!transferTo || transferTo.id === teacher.id) {
+          return ctx.badRequest("transferCoursesTo must be another existing teacher");
+        }
+
+        if (transferTo.deactivatedAt) {
+          return ctx.badRequest("Cannot transfer courses to a deactivated teacher");
+        }
       }
 
+      const actor = describeActor(ctx);
+      const transferred = await strapi
+        .service("api::teacher.teacher")
+        .deactivateTeacher(teacher, { actor, reason, transferTo });
+
+      console.log(`⛔ Teacher deactivated: ${teacher.email} by ${actor}`);
+      await audit(strapi, ctx, "account_deactivated", {
+        teacher,
+        reason,
+        metadata: { transferredTo: transferTo ? transferTo.id : null, courses: transferred },
+      });
+
       return ctx.send({
+        message: "Teacher deactivated successfully",
         data: {
           id: teacher.id,
-          name: teacher.name,
-          email: teacher.email,
-          username: teacher.username,
-          phone: teacher.phone,
-          qualification: teacher.qualification,
-          isActive: teacher.isActive,
-          passwordSetAt: teacher.passwordSetAt,
+          deactivatedBy: actor,
+          deactivationReason: reason || null,
+          transferredCourses: transferred,
+          transferredTo: transferTo ? transferTo.id : null,
         },
       });
 
     } catch (error) {
-      console.error("❌ Error fetching profile:", error);
-      return ctx.unauthorized("Invalid or expired token");
+      console.error("❌ Error deactivating teacher:", error);
+      return ctx.internalServerError("Failed to deactivate teacher");
+    }
+  },
+
+  /**
+   * ADMIN: Reactivate a deactivated teacher
+   */
+  async reactivate(ctx) {
+    const { id } = ctx.params;
+
+    try {
+      const teacher = await strapi.db.query("api::teacher.teacher").findOne({
+        where: { id },
+      });
+
+      if (!teacher) {
+        return ctx.notFound("Teacher not found");
+      }
+
+      if (!teacher.deactivatedAt) {
+        return ctx.badRequest("Teacher is not deactivated");
+      }
+
+      if (teacher.erasedAt) {
+        return ctx.badRequest("Teacher's personal data has been erased - the account cannot be reactivated");
+      }
+
+      const actor = describeActor(ctx);
+      const updated = await strapi
+        .service("api::teacher.teacher")
+        .reactivateTeacher(teacher, { actor });
+
+      console.log(`✅ Teacher reactivated: ${teacher.email} by ${actor}`);
+      await audit(strapi, ctx, "account_reactivated", { teacher });
+
+      return ctx.send({
+        message: updated.isActive
+          ? "Teacher reactivated successfully"
+          : "Teacher reactivated - they still need to set a password (resend the setup email)",
+        data: {
+          id: teacher.id,
+          isActive: updated.isActive,
+          reactivatedBy: actor,
+        },
+      });
+
+    } catch (error) {
+      console.error("❌ Error reactivating teacher:", error);
+      return ctx.internalServerError("Failed to reactivate teacher");
+    }
+  },
+
+  /**
+   * ADMIN: Export everything stored about a teacher (data-subject access request)
+   * Responds with a JSON archive as a file download
+   */
+  async exportPersonalData(ctx) {
+    const { id } = ctx.params;
+
+    try {
+      const teacher = await strapi.db.query("api::teacher.teacher").findOne({
+        where: { id },
+      });
+
+      if (!teacher) {
+        return ctx.notFound("Teacher not found");
+      }
+
+      const archive = await strapi.service("api::teacher.personal-data").export(teacher);
+
+      console.log(`📦 Personal data exported: ${teacher.email} by ${describeActor(ctx)}`);
+      await audit(strapi, ctx, "personal_data_exported", { teacher });
+
+      ctx.set("Content-Disposition", `attachment; filename="teacher-${teacher.id}-personal-data.json"`);
+      return ctx.send(archive);
+
+    } catch (error) {
+      console.error("❌ Error exporting teacher personal data:", error);
+      return ctx.internalServerError("Failed to export personal data");
+    }
+  },
+
+  /**
+   * ADMIN: Erase a teacher's personal data (right to erasure)
+   * Body: { confirm } - must repeat the teacher's email.
+   * The teacher record is anonymised, not deleted, so course assignments and
+   * content they authored keep pointing at it.
+   */
+  async erasePersonalData(ctx) {
+    const { id } = ctx.params;
+    const { confirm } = ctx.request.body || {};
+
+    try {
+      const teacher = await strapi.db.query("api::teacher.teacher").findOne({
+        where: { id },
+      });
+
+      if (!teacher) {
+        return ctx.notFound("Teacher not found");
+      }
+
+      if (teacher.erasedAt) {
+        return ctx.badRequest("Teacher's personal data has already been erased");
+      }
+
+      if (typeof confirm !== "string" || confirm.trim().toLowerCase() !== teacher.email.toLowerCase()) {
+        return ctx.badRequest("confirm must repeat the teacher's email address");
+      }
+
+      const actor = describeActor(ctx);
+      const removed = await strapi
+        .service("api::teacher.personal-data")
+        .erase(teacher, { actor });
+
+      console.log(`🗑️ Personal data erased: teacher #${teacher.id} by ${actor}`);
+      // Only the id - the email is gone from the audit trail too
+      await audit(strapi, ctx, "personal_data_erased", {
+        teacher: { id: teacher.id },
+        metadata: removed,
+      });
+
+      return ctx.send({
+        message: "Teacher personal data erased",
+        data: {
+          id: teacher.id,
+          erasedBy: actor,
+          removed,
+        },
+      });
+
+    } catch (error) {
+      console.error("❌ Error erasing teacher personal data:", error);
+      return ctx.internalServerError("Failed to erase personal data");
+    }
+  },
+
+  /**
+   * ADMIN: Query the teacher auth audit trail (newest first)
+   * ?teacher=<id>, ?from/?to (ISO dates), ?event, ?outcome=success|failure, ?page, ?pageSize
+   */
+  async authEvents(ctx) {
+    const { teacher, from, to, event, outcome } = ctx.query;
+    const page = Math.max(parseInt(ctx.query.page, 10) || 1, 1);
+    const pageSize = Math.min(Math.max(parseInt(ctx.query.pageSize, 10) || 50, 1), 100);
+
+    const teacherId = teacher !== undefined ? parseInt(teacher, 10) : undefined;
+    if (teacher !== undefined && !teacherId) {
+      return ctx.badRequest("teacher must be a teacher id");
+    }
+
+    const fromDate = from ? new Date(from) : undefined;
+    const toDate = to ? new Date(to) : undefined;
+    if ((fromDate && isNaN(fromDate)) || (toDate && isNaN(toDate))) {
+      return ctx.badRequest("from and to must be ISO 8601 dates");
+    }
+
+    if (outcome && !["success", "failure"].includes(outcome)) {
+      return ctx.badRequest("outcome must be one of: success, failure");
+    }
+
+    try {
+      const { events, pagination } = await strapi
+        .service("api::teacher.auth-audit")
+        .find({ teacherId, event, outcome, from: fromDate, to: toDate, page, pageSize });
+
+      return ctx.send({ data: events, meta: { pagination } });
+
+    } catch (error) {
+      console.error("❌ Error listing auth events:", error);
+      return ctx.internalServerError("Failed to list auth events");
+    }
+  },
+
+  /**
+   * PUBLIC: Password rules, so the frontend can show them before submitting
+   */
+  async passwordPolicy(ctx) {
+    return ctx.send({ data: strapi.service("api::teacher.password-policy").getRules() });
+  },
+
+  /**
+   * PUBLIC: Set password (first time - activates account)
+   */
+  async setPassword(ctx) {
+    const { token, password, passwordConfirmation } = ctx.request.body;
+
+    if (!token || !password || !passwordConfirmation) {
+      return ctx.badRequest("Token, password, and password confirmation are required");
+    }
+
+    if (password !== passwordConfirmation) {
+      return ctx.badRequest("Passwords do not match");
+    }
+
+    try {
+      // Hash the token to match stored hash
+      const resetTokenHash = crypto.createHash("sha256").update(token).digest("hex");
+
+      // Find teacher with matching token
+    const teachers = await strapi.db.query("api::teacher.teacher").findMany({
+  where: { resetPasswordToken: resetTokenHash },
+});
+
+
+      if (!teachers || teachers.length === 0) {
+        await audit(strapi, ctx, "password_set", { outcome: "failure", reason: "invalid_token" });
+        return ctx.badRequest("Invalid or expired setup link");
+      }
+
+      const teacher = teachers[0];
+
+      if (teacher.deactivatedAt) {
+        await audit(strapi, ctx, "password_set", { outcome: "failure", teacher, reason: "deactivated" });
+        return ctx.badRequest("Invalid or expired setup link");
+      }
+
+      if (teacher.resetPasswordExpires && new Date(teacher.resetPasswordExpires) < new Date()) {
+        await audit(strapi, ctx, "password_set", { outcome: "failure", teacher, reason: "expired_token" });
+        return ctx.badRequest("Setup link has expired. Please contact your administrator for a new link.");
+      }
+
+      const passwordError = await validateNewPassword(strapi, teacher, password, passwordConfirmation);
+      if (passwordError) {
+        await audit(strapi, ctx, "password_set", { outcome: "failure", teacher, reason: "password_policy" });
+        return ctx.badRequest(passwordError.message, { errors: passwordError.errors });
+      }
+
+      const hashedPassword = await bcrypt.hash(password, 10);
+
+      await strapi.entityService.update("api::teacher.teacher", teacher.id, {
+        data: {
+          password: hashedPassword,
+          passwordHistory: strapi.service("api::teacher.password-policy").nextHistory(teacher),
+          isActive: true,
+          passwordSetAt: new Date(),
+          resetPasswordToken: null,
+          resetPasswordExpires: null,
+        },
+      });
+
+      // A password reset must sign out every device still holding the old credentials
+      await strapi.service("api::teacher.teacher").revokeAllSessions(teacher.id);
+
+      console.log(`✅ Password set and account activated for: ${teacher.email}`);
+      await audit(strapi, ctx, "password_set", {
+        teacher,
+        metadata: { firstActivation: !teacher.passwordSetAt },
+      });
+      return ctx.send({
+        message: "Password set successfully! Your account is now active. You can log in now.",
+        success: true,
+      });
+
+    } catch (error) {
+      console.error("❌ Error setting password:", error);
+      return ctx.internalServerError("Failed to set password. Please try again.");
+    }
+  },
+
+  /**
+   * PUBLIC: Teacher login
+   */
+ async login(ctx) {
+  const { identifier, password } = ctx.request.body;
+
+  if (!identifier || !password) {
+    return ctx.badRequest("Email/username and password are required");
+  }
+
+  const throttle = strapi.service("api::teacher.login-throttle");
+  const limits = strapi.config.get("teacher-auth.throttle.login");
+  const identifierKey = `login:id:${String(identifier).toLowerCase()}`;
+  const ipKey = `login:ip:${ctx.request.ip}`;
+
+  const retryAfter = Math.max(throttle.retryAfter(identifierKey), throttle.retryAfter(ipKey));
+
+  if (retryAfter > 0) {
+    await audit(strapi, ctx, "login", { outcome: "failure", identifier, reason: "throttled" });
+    return tooManyRequests(ctx, "Too many failed login attempts. Please try again later.", retryAfter);
+  }
+
+  const recordFailure = () => {
+    const windowMinutes = limits.windowMinutes;
+    throttle.hit(identifierKey, { max: limits.maxPerIdentifier, windowMinutes });
+    throttle.hit(ipKey, { max: limits.maxPerIp, windowMinutes });
+  };
+
+  const loginFailed = (reason, teacher) =>
+    audit(strapi, ctx, "login", { outcome: "failure", teacher, identifier, reason });
+
+  try {
+    const teachers = await strapi.db.query("api::teacher.teacher").findMany({
+      where: {
+        $or: [{ email: identifier }, { username: identifier }],
+      },
+      select: [
+        "id",
+        "name",
+        "email",
+        "username",
+        "password",
+        "phone",
+        "qualification",
+        "isActive",
+        "deactivatedAt",
+        "failedLoginAttempts",
+        "lockoutCount",
+        "lockedUntil",
+        "twoFactorEnabled",
+      ],
+    });
+
+    if (!teachers || teachers.length === 0) {
+      recordFailure();
+      await loginFailed("unknown_identifier");
+      return ctx.badRequest("Invalid credentials");
+    }
+
+    const teacher = teachers[0];
+
+    const lockedFor = throttle.accountLockedFor(teacher);
+    if (lockedFor > 0) {
+      await loginFailed("locked", teacher);
+      return tooManyRequests(ctx, "Account is temporarily locked due to too many failed login attempts.", lockedFor);
+    }
+
+    if (teacher.deactivatedAt) {
+      await loginFailed("deactivated", teacher);
+      return ctx.forbidden("Account has been deactivated. Please contact your administrator.");
+    }
+
+    if (!teacher.isActive) {
+      await loginFailed("inactive", teacher);
+      return ctx.badRequest("Account is not activated. Please check your email.");
+    }
+
+    const isPasswordValid = await checkPassword(password, teacher.password);
+
+    if (!isPasswordValid) {
+      recordFailure();
+
+      const lockedSeconds = await throttle.recordAccountFailure(teacher);
+      await loginFailed("invalid_password", teacher);
+
+      if (lockedSeconds > 0) {
+        await audit(strapi, ctx, "account_locked", { teacher, metadata: { lockedSeconds } });
+        return tooManyRequests(ctx, "Account is temporarily locked due to too many failed login attempts.", lockedSeconds);
+      }
+
+      return ctx.badRequest("Invalid credentials");
+    }
+
+    throttle.clear(identifierKey);
+    if (teacher.failedLoginAttempts || teacher.lockoutCount || teacher.lockedUntil) {
+      await throttle.clearAccountFailures(teacher);
+    }
+
+    await audit(strapi, ctx, "login", {
+      teacher,
+      identifier,
+      metadata: { method: "password", twoFactorRequired: Boolean(teacher.twoFactorEnabled) },
+    });
+
+    // Password is right - with 2FA on, the session is only issued by verifyTwoFactor
+    return completeLogin(strapi, ctx, teacher);
+  } catch (error) {
+    console.error("❌ Login error:", error);
+    return ctx.internalServerError("Login failed. Please try again.");
+  }
+},
+
+  /**
+   * PUBLIC: Second login step for teachers with 2FA enabled
+   * Body: { challengeToken, code } or { challengeToken, recoveryCode }
+   */
+  async verifyTwoFactor(ctx) {
+    const { challengeToken, code, recoveryCode } = ctx.request.body;
+
+    if (!challengeToken || (!code && !recoveryCode)) {
+      return ctx.badRequest("Challenge token and authentication code are required");
+    }
+
+    const twoFactor = strapi.service("api::teacher.two-factor");
+    const challenge = twoFactor.verifyChallengeToken(challengeToken);
+    const teacherId = challenge?.id;
+
+    if (!teacherId) {
+      await audit(strapi, ctx, "login_2fa", { outcome: "failure", reason: "invalid_challenge" });
+      return ctx.unauthorized("Invalid or expired login challenge. Please log in again.");
+    }
+
+    const throttle = strapi.service("api::teacher.login-throttle");
+    const limits = strapi.config.get("teacher-auth.throttle.login");
+    const challengeKey = `2fa:id:${teacherId}`;
+
+    const retryAfter = throttle.retryAfter(challengeKey);
+    if (retryAfter > 0) {
+      return tooManyRequests(ctx, "Too many invalid authentication codes. Please try again later.", retryAfter);
+    }
+
+    try {
+      const teacher = await strapi.db.query("api::teacher.teacher").findOne({
+        where: { id: teacherId },
+      });
+
+      if (!teacher || !teacher.isActive) {
+        await audit(strapi, ctx, "login_2fa", { outcome: "failure", teacher, reason: "inactive" });
+        return ctx.unauthorized("Invalid or expired login challenge. Please log in again.");
+      }
+
+      // Already used, replaced by a newer login, or issued before a password change
+      if (!twoFactor.isChallengeCurrent(teacher, challenge)) {
+        await audit(strapi, ctx, "login_2fa", { outcome: "failure", teacher, reason: "invalid_challenge" });
+        return ctx.unauthorized("Invalid or expired login challenge. Please log in again.");
+      }
+
+      const lockedFor = throttle.accountLockedFor(teacher);
+      if (lockedFor > 0) {
+        await audit(strapi, ctx, "login_2fa", { outcome: "failure", teacher, reason: "locked" });
+        return tooManyRequests(ctx, "Account is temporarily locked due to too many failed login attempts.", lockedFor);
+      }
+
+      const isValid = await twoFactor.verifySecondFactor(teacher, { code, recoveryCode });
+
+      if (!isValid) {
+        throttle.hit(challengeKey, { max: limits.maxPerIdentifier, windowMinutes: limits.windowMinutes });
+
+        const lockedSeconds = await throttle.recordAccountFailure(teacher);
+        await audit(strapi, ctx, "login_2fa", { outcome: "failure", teacher, reason: "invalid_code" });
+
+        if (lockedSeconds > 0) {
+          await audit(strapi, ctx, "account_locked", { teacher, metadata: { lockedSeconds } });
+          return tooManyRequests(ctx, "Account is temporarily locked due to too many failed login attempts.", lockedSeconds);
+        }
+
+        return ctx.badRequest("Invalid authentication code");
+      }
+
+      if (!(await twoFactor.consumeChallenge(teacher, challenge))) {
+        await audit(strapi, ctx, "login_2fa", { outcome: "failure", teacher, reason: "invalid_challenge" });
+        return ctx.unauthorized("Invalid or expired login challenge. Please log in again.");
+      }
+
+      throttle.clear(challengeKey);
+      if (teacher.failedLoginAttempts || teacher.lockoutCount || teacher.lockedUntil) {
+        await throttle.clearAccountFailures(teacher);
+      }
+
+      await audit(strapi, ctx, "login_2fa", {
+        teacher,
+        metadata: { method: recoveryCode ? "recovery_code" : "totp" },
+      });
+
+      const { token, refreshToken } = await strapi
+        .service("api::teacher.teacher")
+        .createSession(teacher, clientInfo(ctx));
+
+      return ctx.send({
+        message: "Login successful",
+        data: {
+          id: teacher.id,
+          name: teacher.name,
+          email: teacher.email,
+          username: teacher.username,
+          phone: teacher.phone,
+          qualification: teacher.qualification,
+        },
+        token,
+        refreshToken,
+      });
+
+    } catch (error) {
+      console.error("❌ 2FA verification error:", error);
+      return ctx.internalServerError("Login failed. Please try again.");
+    }
+  },
+
+  /**
+   * PUBLIC: Exchange a refresh token for a new access token (refresh token is rotated)
+   */
+  async refresh(ctx) {
+    const { refreshToken } = ctx.request.body;
+
+    if (!refreshToken) {
+      return ctx.badRequest("Refresh token is required");
+    }
+
+    try {
+      const result = await strapi.service("api::teacher.teacher").refreshSession(refreshToken, clientInfo(ctx));
+
+      if (!result) {
+        await audit(strapi, ctx, "token_refresh", { outcome: "failure", reason: "invalid_refresh_token" });
+        return ctx.unauthorized("Invalid or expired refresh token");
+      }
+
+      return ctx.send({
+        token: result.token,
+        refreshToken: result.refreshToken,
+      });
+
+    } catch (error) {
+      console.error("❌ Error refreshing token:", error);
+      return ctx.internalServerError("Failed to refresh token");
+    }
+  },
+
+  /**
+   * PUBLIC: Logout - revokes the session behind the given refresh token
+   */
+  async logout(ctx) {
+    const { refreshToken } = ctx.request.body;
+
+    if (!refreshToken) {
+      return ctx.badRequest("Refresh token is required");
+    }
+
+    try {
+      const teacherService = strapi.service("api::teacher.teacher");
+      const session = await teacherService.findSessionByRefreshToken(refreshToken);
+
+      if (session && !session.revokedAt) {
+        await teacherService.revokeSession(session.id);
+        console.log(`✅ Session ${session.id} revoked for teacher ${session.teacher?.email}`);
+        await audit(strapi, ctx, "logout", { teacher: session.teacher, metadata: { sessionId: session.id } });
+      }
+
+      return ctx.send({
+        message: "Logged out successfully",
+      });
+
+    } catch (error) {
+      console.error("❌ Error logging out:", error);
+      return ctx.internalServerError("Failed to log out");
+    }
+  },
+
+
+  /**
+   * PUBLIC: Forgot password (for active accounts, configured reset expiry)
+   */
+  async forgotPassword(ctx) {
+    const { email } = ctx.request.body;
+
+    if (!email) {
+      return ctx.badRequest("Email is required");
+    }
+
+    const throttle = strapi.service("api::teacher.login-throttle");
+    const limits = strapi.config.get("teacher-auth.throttle.forgotPassword");
+    const identifierKey = `forgot:id:${String(email).toLowerCase()}`;
+    const ipKey = `forgot:ip:${ctx.request.ip}`;
+
+    const retryAfter = Math.max(throttle.retryAfter(identifierKey), throttle.retryAfter(ipKey));
+
+    if (retryAfter > 0) {
+      await audit(strapi, ctx, "password_reset_requested", { outcome: "failure", identifier: email, reason: "throttled" });
+      return tooManyRequests(ctx, "Too many password reset requests. Please try again later.", retryAfter);
+    }
+
+    // Every request counts - this endpoint sends email
+    throttle.hit(identifierKey, { max: limits.maxPerIdentifier, windowMinutes: limits.windowMinutes });
+    throttle.hit(ipKey, { max: limits.maxPerIp, windowMinutes: limits.windowMinutes });
+
+    try {
+      const teachers = await strapi.entityService.findMany("api::teacher.teacher", {
+        filters: { email },
+      });
+
+      if (!teachers || teachers.length === 0) {
+        await audit(strapi, ctx, "password_reset_requested", { outcome: "failure", identifier: email, reason: "unknown_identifier" });
+        return ctx.send({
+          message: "If an account exists with this email, a password reset link has been sent.",
+        });
+      }
+
+      const teacher = teachers[0];
+
+      if (!teacher.isActive) {
+        await audit(strapi, ctx, "password_reset_requested", { outcome: "failure", teacher, reason: "inactive" });
+        return ctx.send({
+          message: "If an account exists with this email, a password reset link has been sent.",
+        });
+      }
+
+      // Reset link lifetime comes from config/teacher-auth.js (passwordReset.expiresInMinutes)
+      const { expiresInMinutes } = strapi.config.get("teacher-auth.passwordReset");
+      const expiresIn = formatDuration(expiresInMinutes * 60 * 1000);
+      const resetToken = crypto.randomBytes(32).toString("hex");
+      const resetTokenHash = crypto.createHash("sha256").update(resetToken).digest("hex");
+      const resetExpires = new Date(Date.now() + expiresInMinutes * 60 * 1000);
+
+      await strapi.entityService.update("api::teacher.teacher", teacher.id, {
+        data: {
+          resetPasswordToken: resetTokenHash,
+          resetPasswordExpires: resetExpires,
+        },
+      });
+
+      const frontendUrl = process.env.FRONTEND_URL || "http://localhost:3000";
+      const resetUrl = `${frontendUrl}/reset-password?token=${resetToken}`;
+
+      await strapi.service("api::mailer.mailer").send("teacher-password-reset", {
+        to: email,
+        variables: {
+          name: teacher.name,
+          actionUrl: resetUrl,
+          expiresIn,
+        },
+      });
+
+      console.log(`✅ Password reset email queued for ${email} (expires in ${expiresIn})`);
+      await audit(strapi, ctx, "password_reset_requested", { teacher });
+
+      return ctx.send({
+        message: "If an account exists with this email, a password reset link has been sent.",
+      });
+
+    } catch (error) {
+      console.error("❌ Error in forgot password:", error);
+      return ctx.internalServerError("Failed to process request");
+    }
+  },
+
+  /**
+   * PUBLIC: Email a single-use passwordless sign-in link
+   * Stored separately from resetPasswordToken so it never cancels a pending password reset.
+   */
+  async requestMagicLink(ctx) {
+    const { email } = ctx.request.body;
+
+    if (!email) {
+      return ctx.badRequest("Email is required");
+    }
+
+    const throttle = strapi.service("api::teacher.login-throttle");
+    const limits = strapi.config.get("teacher-auth.throttle.magicLink");
+    const identifierKey = `magic:id:${String(email).toLowerCase()}`;
+    const ipKey = `magic:ip:${ctx.request.ip}`;
+
+    const retryAfter = Math.max(throttle.retryAfter(identifierKey), throttle.retryAfter(ipKey));
+
+    if (retryAfter > 0) {
+      await audit(strapi, ctx, "magic_link_requested", { outcome: "failure", identifier: email, reason: "throttled" });
+      return tooManyRequests(ctx, "Too many sign-in link requests. Please try again later.", retryAfter);
+    }
+
+    // Every request counts - this endpoint sends email
+    throttle.hit(identifierKey, { max: limits.maxPerIdentifier, windowMinutes: limits.windowMinutes });
+    throttle.hit(ipKey, { max: limits.maxPerIp, windowMinutes: limits.windowMinutes });
+
+    const genericResponse = {
+      message: "If an active account exists with this email, a sign-in link has been sent.",
+    };
+
+    try {
+      const teacher = await strapi.db.query("api::teacher.teacher").findOne({
+        where: { email },
+      });
+
+      if (!teacher || !teacher.isActive || teacher.deactivatedAt) {
+        await audit(strapi, ctx, "magic_link_requested", {
+          outcome: "failure",
+          teacher,
+          identifier: email,
+          reason: teacher ? "inactive" : "unknown_identifier",
+        });
+        return ctx.send(genericResponse);
+      }
+
+      const { expiresInMinutes } = strapi.config.get("teacher-auth.magicLink");
+      const magicToken = crypto.randomBytes(32).toString("hex");
+      const magicTokenHash = crypto.createHash("sha256").update(magicToken).digest("hex");
+      const magicExpires = new Date(Date.now() + expiresInMinutes * 60 * 1000);
+
+      // A new link replaces any earlier unused one
+      await strapi.db.query("api::teacher.teacher").update({
+        where: { id: teacher.id },
+        data: {
+          magicLinkToken: magicTokenHash,
+          magicLinkExpires: magicExpires,
+        },
+      });
+
+      const frontendUrl = process.env.FRONTEND_URL || "http://localhost:3000";
+      const signInUrl = `${frontendUrl}/magic-link?token=${magicToken}`;
+
+      await strapi.service("api::mailer.mailer").send("teacher-magic-link", {
+        to: teacher.email,
+        variables: {
+          name: teacher.name,
+          actionUrl: signInUrl,
+          expiresIn: formatDuration(magicExpires.getTime() - Date.now()),
+        },
+      });
+
+      console.log(`✅ Sign-in link queued for ${teacher.email} (expires in ${expiresInMinutes} minutes)`);
+      await audit(strapi, ctx, "magic_link_requested", { teacher });
+
+      return ctx.send(genericResponse);
+
+    } catch (error) {
+      console.error("❌ Error sending sign-in link:", error);
+      return ctx.internalServerError("Failed to process request");
+    }
+  },
+
+  /**
+   * PUBLIC: Exchange a magic-link token for the normal teacher session
+   * (or a 2FA challenge, exactly like a password login)
+   */
+  async magicLinkLogin(ctx) {
+    const { token } = ctx.request.body;
+    const throttle = strapi.service("api::teacher.login-throttle");
+
+    if (!token) {
+      return ctx.badRequest("Token is required");
+    }
+
+    try {
+      const magicTokenHash = crypto.createHash("sha256").update(String(token)).digest("hex");
+
+      const teacher = await strapi.db.query("api::teacher.teacher").findOne({
+        where: { magicLinkToken: magicTokenHash },
+      });
+
+      if (!teacher) {
+        await audit(strapi, ctx, "magic_link_login", { outcome: "failure", reason: "invalid_token" });
+        return ctx.badRequest("Invalid or expired sign-in link");
+      }
+
+      // Burn the token first - only one request can win the conditional update
+      const { count } = await strapi.db.query("api::teacher.teacher").updateMany({
+        where: { id: teacher.id, magicLinkToken: magicTokenHash },
+        data: { magicLinkToken: null, magicLinkExpires: null },
+      });
+
+      if (count === 0) {
+        await audit(strapi, ctx, "magic_link_login", { outcome: "failure", teacher, reason: "invalid_token" });
+        return ctx.badRequest("Invalid or expired sign-in link");
+      }
+
+      if (teacher.magicLinkExpires && new Date(teacher.magicLinkExpires) < new Date()) {
+        await audit(strapi, ctx, "magic_link_login", { outcome: "failure", teacher, reason: "expired_token" });
+        return ctx.badRequest("Invalid or expired sign-in link");
+      }
+
+      const lockedFor = throttle.accountLockedFor(teacher);
+      if (lockedFor > 0) {
+        await audit(strapi, ctx, "magic_link_login", { outcome: "failure", teacher, reason: "locked" });
+        return tooManyRequests(ctx, "Account is temporarily locked due to too many failed login attempts.", lockedFor);
+      }
+
+      if (teacher.deactivatedAt) {
+        await audit(strapi, ctx, "magic_link_login", { outcome: "failure", teacher, reason: "deactivated" });
+        return ctx.forbidden("Account has been deactivated. Please contact your administrator.");
+      }
+
+      if (!teacher.isActive) {
+        await audit(strapi, ctx, "magic_link_login", { outcome: "failure", teacher, reason: "inactive" });
+        return ctx.badRequest("Account is not activated. Please check your email.");
+      }
+
+      console.log(`✅ Magic-link sign-in for ${teacher.email}`);
+      await audit(strapi, ctx, "magic_link_login", { teacher });
+
+      return completeLogin(strapi, ctx, teacher);
+
+    } catch (error) {
+      console.error("❌ Magic-link login error:", error);
+      return ctx.internalServerError("Login failed. Please try again.");
+    }
+  },
+
+  /**
+   * PUBLIC: Confirm an email change with the token from the link sent to the new address
+   */
+  async confirmEmailChange(ctx) {
+    const { token } = ctx.request.body || {};
+
+    if (!token) {
+      return ctx.badRequest("Token is required");
+    }
+
+    try {
+      const { teacher, previousEmail, error } = await strapi
+        .service("api::teacher.email-change")
+        .confirm(token);
+
+      if (error) {
+        await audit(strapi, ctx, "email_changed", { outcome: "failure", teacher, reason: error });
+
+        if (error === "conflict") {
+          return ctx.badRequest("A teacher with this email already exists");
+        }
+
+        return ctx.badRequest("Invalid or expired confirmation link");
+      }
+
+      console.log(`✅ Email changed: ${previousEmail} -> ${teacher.email}`);
+      await audit(strapi, ctx, "email_changed", { teacher, metadata: { previousEmail } });
+
+      return ctx.send({
+        message: teacher.isActive
+          ? "Email address updated. Use it to sign in from now on."
+          : "Email address updated. A password setup link has been sent to it.",
+        data: { email: teacher.email },
+      });
+
+    } catch (error) {
+      console.error("❌ Error confirming email change:", error);
+      return ctx.internalServerError("Failed to confirm email change");
+    }
+  },
+
+  /**
+   * PUBLIC: Start an OpenID Connect sign-in (see services/oidc.js for the full flow)
+   */
+  async oidcAuthorize(ctx) {
+    const oidc = strapi.service("api::teacher.oidc");
+
+    if (!oidc.isEnabled()) {
+      return ctx.notFound("Single sign-on is not enabled");
+    }
+
+    try {
+      const { authorizationUrl, flowToken } = await oidc.createAuthorization();
+
+      return ctx.send({ authorizationUrl, flowToken });
+
+    } catch (error) {
+      console.error("❌ OIDC authorize error:", error);
+      return ctx.internalServerError("Single sign-on is currently unavailable");
+    }
+  },
+
+  /**
+   * PUBLIC: Finish an OpenID Connect sign-in
+   * Body: { code, state, flowToken } - returns the same response as teacher.login
+   */
+  async oidcCallback(ctx) {
+    const { code, state, flowToken } = ctx.request.body;
+    const oidc = strapi.service("api::teacher.oidc");
+
+    if (!oidc.isEnabled()) {
+      return ctx.notFound("Single sign-on is not enabled");
+    }
+
+    if (!code || !state || !flowToken) {
+      return ctx.badRequest("Code, state, and flowToken are required");
+    }
+
+    try {
+      const { claims, error } = await oidc.completeAuthorization({ code, state, flowToken });
+
+      if (error) {
+        await audit(strapi, ctx, "sso_login", { outcome: "failure", reason: error });
+        return ctx.unauthorized(error);
+      }
+
+      const resolved = await oidc.resolveTeacher(claims);
+
+      if (resolved.error) {
+        await audit(strapi, ctx, "sso_login", { outcome: "failure", identifier: claims.email, reason: resolved.error });
+        return ctx.forbidden(resolved.error);
+      }
+
+      const { teacher } = resolved;
+
+      if (teacher.deactivatedAt) {
+        await audit(strapi, ctx, "sso_login", { outcome: "failure", teacher, reason: "deactivated" });
+        return ctx.forbidden("Account has been deactivated. Please contact your administrator.");
+      }
+
+      // The provider verified the email, which is all the setup link would prove
+      const updated = await strapi.db.query("api::teacher.teacher").update({
+        where: { id: teacher.id },
+        data: { isActive: true, lastSsoLoginAt: new Date() },
+      });
+
+      console.log(`✅ SSO sign-in for ${teacher.email}`);
+      await audit(strapi, ctx, "sso_login", { teacher, metadata: { subject: claims.sub } });
+
+      return completeLogin(strapi, ctx, updated);
+
+    } catch (error) {
+      console.error("❌ OIDC callback error:", error);
+      return ctx.internalServerError("Login failed. Please try again.");
+    }
+  },
+
+  /**
+   * TEACHER: Get own profile (authenticated by the teacher-auth middleware)
+   */
+  async me(ctx) {
+    const { teacher } = ctx.state;
+
+    return ctx.send({
+      data: toProfile(teacher),
+    });
+  },
+
+  /**
+   * TEACHER: Update own profile (only EDITABLE_PROFILE_FIELDS - strings, trimmed,
+   * within the schema maxLength; empty or null clears a field)
+   */
+  async updateMe(ctx) {
+    const { teacher } = ctx.state;
+    const body = ctx.request.body || {};
+
+    const { attributes } = strapi.contentType("api::teacher.teacher");
+
+    const data = {};
+    for (const field of EDITABLE_PROFILE_FIELDS) {
+      const value = body[field];
+
+      if (value === undefined) {
+        continue;
+      }
+
+      if (value !== null && typeof value !== "string") {
+        return ctx.badRequest(`${field} must be a string`);
+      }
+
+      const trimmed = value === null ? "" : value.trim();
+      const { maxLength } = attributes[field];
+
+      if (maxLength && trimmed.length > maxLength) {
+        return ctx.badRequest(`${field} must be at most ${maxLength} characters`);
+      }
+
+      data[field] = trimmed === "" ? null : trimmed;
+    }
+
+    if (Object.keys(data).length === 0) {
+      return ctx.badRequest(`Nothing to update. Editable fields: ${EDITABLE_PROFILE_FIELDS.join(", ")}`);
+    }
+
+    try {
+      const updated = await strapi.db.query("api::teacher.teacher").update({
+        where: { id: teacher.id },
+        data,
+      });
+
+      console.log(`✅ Profile updated for ${teacher.email}`);
+      await audit(strapi, ctx, "profile_updated", { teacher, metadata: { fields: Object.keys(data) } });
+
+      return ctx.send({
+        message: "Profile updated successfully",
+        data: toProfile(updated),
+      });
+
+    } catch (error) {
+      console.error("❌ Error updating profile:", error);
+      return ctx.internalServerError("Failed to update profile");
+    }
+  },
+
+  /**
+   * TEACHER: Request an email change (see services/email-change.js)
+   * Body: { email, currentPassword } - currentPassword is required when the account has one.
+   * The address switches only once the link sent to the new email is confirmed.
+   */
+  async requestEmailChange(ctx) {
+    const { teacher } = ctx.state;
+    const { email, currentPassword } = ctx.request.body || {};
+
+    if (!email) {
+      return ctx.badRequest("Email is required");
+    }
+
+    try {
+      if (teacher.password && !(await checkPassword(currentPassword || "", teacher.password))) {
+        await audit(strapi, ctx, "email_change_requested", { outcome: "failure", teacher, reason: "invalid_password" });
+        return ctx.badRequest("Current password is incorrect");
+      }
+
+      const emailChange = strapi.service("api::teacher.email-change");
+
+      const validationError = await emailChange.validate(teacher, email);
+      if (validationError) {
+        return ctx.badRequest(validationError);
+      }
+
+      const expiresAt = await emailChange.request(teacher, email, { requestedBy: "teacher" });
+
+      console.log(`✉️ Email change to ${email} requested by ${teacher.email} - waiting for confirmation`);
+      await audit(strapi, ctx, "email_change_requested", { teacher, metadata: { newEmail: email } });
+
+      return ctx.send({
+        message: `A confirmation link has been sent to ${email}. Your email will change once you open it.`,
+        data: { pendingEmail: email, expiresAt },
+      });
+
+    } catch (error) {
+      console.error("❌ Error requesting email change:", error);
+      return ctx.internalServerError("Failed to request email change");
+    }
+  },
+
+  /**
+   * TEACHER: Cancel a pending email change
+   */
+  async cancelEmailChange(ctx) {
+    const { teacher } = ctx.state;
+
+    try {
+      const cancelled = await strapi.service("api::teacher.email-change").cancel(teacher);
+
+      if (!cancelled) {
+        return ctx.notFound("No pending email change");
+      }
+
+      await audit(strapi, ctx, "email_change_cancelled", { teacher, metadata: { newEmail: teacher.pendingEmail } });
+
+      return ctx.send({ message: "Email change cancelled" });
+
+    } catch (error) {
+      console.error("❌ Error cancelling email change:", error);
+      return ctx.internalServerError("Failed to cancel email change");
+    }
+  },
+
+  /**
+   * TEACHER: Change password (requires the current password, signs out other sessions)
+   */
+  async changePassword(ctx) {
+    const { teacher, teacherToken } = ctx.state;
+    const { currentPassword, password, passwordConfirmation } = ctx.request.body;
+
+    if (!currentPassword || !password || !passwordConfirmation) {
+      return ctx.badRequest("Current password, new password, and password confirmation are required");
+    }
+
+    try {
+      const isPasswordValid = await checkPassword(currentPassword, teacher.password);
+
+      if (!isPasswordValid) {
+        await audit(strapi, ctx, "password_changed", { outcome: "failure", teacher, reason: "invalid_password" });
+        return ctx.badRequest("Current password is incorrect");
+      }
+
+      const passwordError = await validateNewPassword(strapi, teacher, password, passwordConfirmation);
+      if (passwordError) {
+        await audit(strapi, ctx, "password_changed", { outcome: "failure", teacher, reason: "password_policy" });
+        return ctx.badRequest(passwordError.message, { errors: passwordError.errors });
+      }
+
+      const hashedPassword = await bcrypt.hash(password, 10);
+
+      await strapi.db.query("api::teacher.teacher").update({
+        where: { id: teacher.id },
+        data: {
+          password: hashedPassword,
+          passwordHistory: strapi.service("api::teacher.password-policy").nextHistory(teacher),
+          passwordSetAt: new Date(),
+        },
+      });
+
+      // Keep the session that made the change, sign out everything else
+      await strapi
+        .service("api::teacher.teacher")
+        .revokeAllSessions(teacher.id, { exceptSessionId: teacherToken.sid });
+
+      console.log(`✅ Password changed for ${teacher.email}`);
+      await audit(strapi, ctx, "password_changed", { teacher });
+
+      return ctx.send({
+        message: "Password changed successfully. Other devices have been signed out.",
+        success: true,
+      });
+
+    } catch (error) {
+      console.error("❌ Error changing password:", error);
+      return ctx.internalServerError("Failed to change password. Please try again.");
+    }
+  },
+
+  /**
+   * TEACHER: List own signed-in devices (the one making the request is marked `current`)
+   */
+  async mySessions(ctx) {
+    const { teacher, teacherToken } = ctx.state;
+
+    try {
+      const sessions = await strapi
+        .service("api::teacher.teacher")
+        .listSessions(teacher.id, { currentSessionId: teacherToken.sid });
+
+      return ctx.send({ data: sessions });
+
+    } catch (error) {
+      console.error("❌ Error fetching sessions:", error);
+      return ctx.internalServerError("Failed to fetch sessions");
+    }
+  },
+
+  /**
+   * TEACHER: Sign out one device. Revoking the current session works like logout.
+   */
+  async revokeMySession(ctx) {
+    const { teacher, teacherToken } = ctx.state;
+    const sessionId = parseInt(ctx.params.id, 10);
+
+    if (!sessionId) {
+      return ctx.badRequest("Invalid session id");
+    }
+
+    try {
+      const teacherService = strapi.service("api::teacher.teacher");
+      const session = await teacherService.findOpenSession(teacher.id, sessionId);
+
+      if (!session) {
+        return ctx.notFound("Session not found");
+      }
+
+      await teacherService.revokeSession(session.id);
+
+      console.log(`✅ Session ${session.id} revoked by ${teacher.email}`);
+      await audit(strapi, ctx, "session_revoked", {
+        teacher,
+        metadata: { sessionId: session.id, current: session.id === teacherToken.sid },
+      });
+
+      return ctx.send({
+        message: "Session revoked",
+        data: { id: session.id, current: session.id === teacherToken.sid },
+      });
+
+    } catch (error) {
+      console.error("❌ Error revoking session:", error);
+      return ctx.internalServerError("Failed to revoke session");
+    }
+  },
+
+  /**
+   * TEACHER: List own personal API tokens (the token values themselves are never shown again)
+   */
+  async myTokens(ctx) {
+    const { teacher } = ctx.state;
+
+    try {
+      const tokens = await strapi.service("api::teacher.api-token").list(teacher.id);
+
+      return ctx.send({ data: tokens });
+
+    } catch (error) {
+      console.error("❌ Error fetching API tokens:", error);
+      return ctx.internalServerError("Failed to fetch API tokens");
+    }
+  },
+
+  /**
+   * TEACHER: Create a personal API token for scripts and integrations
+   * Body: { name, scope: "read-only" | "read-write" (default read-only), expiresInDays (optional) }
+   */
+  async createMyToken(ctx) {
+    const { teacher } = ctx.state;
+    const { name, scope, expiresInDays } = ctx.request.body || {};
+    const apiTokens = strapi.service("api::teacher.api-token");
+
+    try {
+      const validationError = await apiTokens.validateNewToken(teacher, { name, scope, expiresInDays });
+      if (validationError) {
+        return ctx.badRequest(validationError);
+      }
+
+      const created = await apiTokens.create(teacher, { name, scope, expiresInDays });
+
+      console.log(`✅ API token "${created.name}" (${created.scope}) created for ${teacher.email}`);
+      await audit(strapi, ctx, "api_token_created", {
+        teacher,
+        metadata: { tokenId: created.id, name: created.name, scope: created.scope, expiresAt: created.expiresAt },
+      });
+
+      return ctx.send({
+        message: "API token created. Copy it now - it will not be shown again.",
+        data: created,
+      });
+
+    } catch (error) {
+      console.error("❌ Error creating API token:", error);
+      return ctx.internalServerError("Failed to create API token");
+    }
+  },
+
+  /**
+   * TEACHER: Revoke one of own personal API tokens
+   */
+  async revokeMyToken(ctx) {
+    const { teacher } = ctx.state;
+    const tokenId = parseInt(ctx.params.id, 10);
+
+    if (!tokenId) {
+      return ctx.badRequest("Invalid token id");
+    }
+
+    try {
+      const revoked = await strapi.service("api::teacher.api-token").revoke(teacher.id, tokenId);
+
+      if (!revoked) {
+        return ctx.notFound("API token not found");
+      }
+
+      console.log(`✅ API token "${revoked.name}" revoked by ${teacher.email}`);
+      await audit(strapi, ctx, "api_token_revoked", {
+        teacher,
+        metadata: { tokenId: revoked.id, name: revoked.name },
+      });
+
+      return ctx.send({
+        message: "API token revoked",
+        data: { id: revoked.id },
+      });
+
+    } catch (error) {
+      console.error("❌ Error revoking API token:", error);
+      return ctx.internalServerError("Failed to revoke API token");
+    }
+  },
+
+  /**
+   * TEACHER: Start 2FA enrolment - returns the secret and the otpauth:// URI to render as a QR code
+   */
+  async setupTwoFactor(ctx) {
+    const { teacher } = ctx.state;
+
+    if (teacher.twoFactorEnabled) {
+      return ctx.badRequest("Two-factor authentication is already enabled");
+    }
+
+    try {
+      const { secret, otpauthUrl } = await strapi.service("api::teacher.two-factor").setup(teacher);
+      await audit(strapi, ctx, "two_factor_setup", { teacher });
+
+      return ctx.send({
+        message: "Scan the QR code with your authenticator app, then confirm with a code to enable 2FA",
+        data: { secret, otpauthUrl },
+      });
+
+    } catch (error) {
+      console.error("❌ Error starting 2FA setup:", error);
+      return ctx.internalServerError("Failed to start two-factor setup");
+    }
+  },
+
+  /**
+   * TEACHER: Confirm enrolment with a code from the app - returns one-time recovery codes
+   */
+  async enableTwoFactor(ctx) {
+    const { teacher } = ctx.state;
+    const { code } = ctx.request.body;
+
+    if (!code) {
+      return ctx.badRequest("Authentication code is required");
+    }
+
+    if (teacher.twoFactorEnabled) {
+      return ctx.badRequest("Two-factor authentication is already enabled");
+    }
+
+    if (!teacher.twoFactorSecret) {
+      return ctx.badRequest("Start two-factor setup first");
+    }
+
+    try {
+      const recoveryCodes = await strapi.service("api::teacher.two-factor").enable(teacher, code);
+
+      if (!recoveryCodes) {
+        await audit(strapi, ctx, "two_factor_enabled", { outcome: "failure", teacher, reason: "invalid_code" });
+        return ctx.badRequest("Invalid authentication code");
+      }
+
+      console.log(`✅ 2FA enabled for ${teacher.email}`);
+      await audit(strapi, ctx, "two_factor_enabled", { teacher });
+
+      return ctx.send({
+        message: "Two-factor authentication enabled. Store these recovery codes somewhere safe - they will not be shown again.",
+        data: { recoveryCodes },
+      });
+
+    } catch (error) {
+      console.error("❌ Error enabling 2FA:", error);
+      return ctx.internalServerError("Failed to enable two-factor authentication");
+    }
+  },
+
+  /**
+   * TEACHER: Disable 2FA (requires password and a current code or recovery code)
+   */
+  async disableTwoFactor(ctx) {
+    const { teacher } = ctx.state;
+    const { password, code, recoveryCode } = ctx.request.body;
+
+    if (!password || (!code && !recoveryCode)) {
+      return ctx.badRequest("Password and authentication code are required");
+    }
+
+    if (!teacher.twoFactorEnabled) {
+      return ctx.badRequest("Two-factor authentication is not enabled");
+    }
+
+    try {
+      const isPasswordValid = await checkPassword(password, teacher.password);
+      const twoFactor = strapi.service("api::teacher.two-factor");
+
+      if (!isPasswordValid || !(await twoFactor.verifySecondFactor(teacher, { code, recoveryCode }))) {
+        await audit(strapi, ctx, "two_factor_disabled", { outcome: "failure", teacher, reason: "invalid_credentials" });
+        return ctx.badRequest("Invalid password or authentication code");
+      }
+
+      await twoFactor.disable(teacher);
+
+      console.log(`✅ 2FA disabled for ${teacher.email}`);
+      await audit(strapi, ctx, "two_factor_disabled", { teacher, metadata: { usedRecoveryCode: !code } });
+
+      return ctx.send({
+        message: "Two-factor authentication disabled",
+      });
+
+    } catch (error) {
+      console.error("❌ Error disabling 2FA:", error);
+      return ctx.internalServerError("Failed to disable two-factor authentication");
+    }
+  },
+
+  /**
+   * TEACHER: Replace recovery codes (requires a current code)
+   */
+  async regenerateRecoveryCodes(ctx) {
+    const { teacher } = ctx.state;
+    const { code } = ctx.request.body;
+
+    if (!code) {
+      return ctx.badRequest("Authentication code is required");
+    }
+
+    if (!teacher.twoFactorEnabled) {
+      return ctx.badRequest("Two-factor authentication is not enabled");
+    }
+
+    try {
+      const twoFactor = strapi.service("api::teacher.two-factor");
+
+      if (!(await twoFactor.verifySecondFactor(teacher, { code }))) {
+        return ctx.badRequest("Invalid authentication code");
+      }
+
+      const recoveryCodes = await twoFactor.regenerateRecoveryCodes(teacher);
+      await audit(strapi, ctx, "two_factor_recovery_codes_regenerated", { teacher });
+
+      return ctx.send({
+        message: "New recovery codes generated. Previous codes no longer work.",
+        data: { recoveryCodes },
+      });
+
+    } catch (error) {
+      console.error("❌ Error regenerating recovery codes:", error);
+      return ctx.internalServerError("Failed to regenerate recovery codes");
     }
   },
 }));
\ No newline at end of file
@@ -1,5 +1,12 @@
 "use strict";
 
+// Account routes: the teacher's own JWT only - personal API tokens and admin
+// impersonation tokens are refused (see src/middlewares/teacher-auth.js)
+const accountAuth = {
+  name: "global::teacher-auth",
+  config: { allowApiTokens: false, allowImpersonation: false },
+};
+
 module.exports = {
   routes: [
     // ADMIN ROUTES
@@ -12,6 +19,15 @@ module.exports = {
         middlewares: [],
       },
     },
+    {
+      method: "POST",
+      path: "/teachers/import",
+      handler: "teacher.importTeachers",
+      config: {
+        policies: [],
+        middlewares: [],
+      },
+    },
     {
       method: "POST",
       path: "/teachers/resend-setup-email",
@@ -21,8 +37,127 @@ module.exports = {
         middlewares: [],
       },
     },
+    {
+      method: "GET",
+      path: "/teachers/invitations",
+      handler: "teacher.invitations",
+      config: {
+        policies: [],
+        middlewares: [],
+      },
+    },
+    {
+      method: "POST",
+      path: "/teachers/invitations/resend",
+      handler: "teacher.resendInvitations",
+      config: {
+        policies: [],
+        middlewares: [],
+      },
+    },
+    {
+      method: "GET",
+      path: "/teachers/:id/courses",
+      handler: "teacher.courses",
+      config: {
+        policies: [],
+        middlewares: [],
+      },
+    },
+    {
+      method: "POST",
+      path: "/teachers/:id/courses",
+      handler: "teacher.assignCourses",
+      config: {
+        policies: [],
+        middlewares: [],
+      },
+    },
+    {
+      method: "DELETE",
+      path: "/teachers/:id/courses/:courseId",
+      handler: "teacher.unassignCourse",
+      config: {
+        policies: [],
+        middlewares: [],
+      },
+    },
+    {
+      method: "POST",
+      path: "/teachers/:id/unlock",
+      handler: "teacher.unlock",
+      config: {
+        policies: [],
+        middlewares: [],
+      },
+    },
+    {
+      // Numeric ids only, so GET /teachers/me/sessions reaches the teacher route below
+      method: "GET",
+      path: "/teachers/:id(\\d+)/sessions",
+      handler: "teacher.sessions",
+      config: {
+        policies: [],
+        middlewares: [],
+      },
+    },
+    {
+      method: "GET",
+      path: "/teachers/auth-events",
+      handler: "teacher.authEvents",
+      config: {
+        policies: [],
+        middlewares: [],
+      },
+    },
+    {
+      method: "POST",
+      path: "/teachers/:id/deactivate",
+      handler: "teacher.deactivate",
+      config: {
+        policies: [],
+        middlewares: [],
+      },
+    },
+    {
+      method: "POST",
+      path: "/teachers/:id/reactivate",
+      handler: "teacher.reactivate",
+      config: {
+        policies: [],
+        middlewares: [],
+      },
+    },
+    {
+      method: "GET",
+      path: "/teachers/:id/personal-data",
+      handler: "teacher.exportPersonalData",
+      config: {
+        policies: [],
+        middlewares: [],
+      },
+    },
+    {
+      method: "POST",
+      path: "/teachers/:id/erase",
+      handler: "teacher.erasePersonalData",
+      config: {
+        policies: [],
+        middlewares: [],
+      },
+    },
 
     // PUBLIC ROUTES
+    {
+      method: "GET",
+      path: "/teachers/password-policy",
+      handler: "teacher.passwordPolicy",
+      config: {
+        auth: false,
+        policies: [],
+        middlewares: [],
+      },
+    },
     {
       method: "POST",
       path: "/teachers/set-password",
@@ -43,6 +178,76 @@ module.exports = {
         middlewares: [],
       },
     },
+    {
+      method: "POST",
+      path: "/teachers/login/2fa",
+      handler: "teacher.verifyTwoFactor",
+      config: {
+        auth: false,
+        policies: [],
+        middlewares: [],
+      },
+    },
+    {
+      method: "POST",
+      path: "/teachers/magic-link",
+      handler: "teacher.requestMagicLink",
+      config: {
+        auth: false,
+        policies: [],
+        middlewares: [],
+      },
+    },
+    {
+      method: "POST",
+      path: "/teachers/magic-link/login",
+      handler: "teacher.magicLinkLogin",
+      config: {
+        auth: false,
+        policies: [],
+        middlewares: [],
+      },
+    },
+    {
+      method: "GET",
+      path: "/teachers/oidc/authorize",
+      handler: "teacher.oidcAuthorize",
+      config: {
+        auth: false,
+        policies: [],
+        middlewares: [],
+      },
+    },
+    {
+      method: "POST",
+      path: "/teachers/oidc/callback",
+      handler: "teacher.oidcCallback",
+      config: {
+        auth: false,
+        policies: [],
+        middlewares: [],
+      },
+    },
+    {
+      method: "POST",
+      path: "/teachers/refresh",
+      handler: "teacher.refresh",
+      config: {
+        auth: false,
+        policies: [],
+        middlewares: [],
+      },
+    },
+    {
+      method: "POST",
+      path: "/teachers/logout",
+      handler: "teacher.logout",
+      config: {
+        auth: false,
+        policies: [],
+        middlewares: [],
+      },
+    },
     {
       method: "POST",
       path: "/teachers/forgot-password",
@@ -53,6 +258,18 @@ module.exports = {
         middlewares: [],
       },
     },
+    {
+      method: "POST",
+      path: "/teachers/email/confirm",
+      handler: "teacher.confirmEmailChange",
+      config: {
+        auth: false,
+        policies: [],
+        middlewares: [],
+      },
+    },
+
+    // TEACHER ROUTES (teacher JWT or personal API token, see src/middlewares/teacher-auth.js)
     {
       method: "GET",
       path: "/teachers/me",
@@ -60,7 +277,137 @@ module.exports = {
       config: {
         auth: false,
         policies: [],
-        middlewares: [],
+        middlewares: ["global::teacher-auth"],
+      },
+    },
+    {
+      method: "PUT",
+      path: "/teachers/me",
+      handler: "teacher.updateMe",
+      config: {
+        auth: false,
+        policies: [],
+        middlewares: ["global::teacher-auth"],
+      },
+    },
+    {
+      method: "POST",
+      path: "/teachers/me/password",
+      handler: "teacher.changePassword",
+      config: {
+        auth: false,
+        policies: [],
+        middlewares: [accountAuth],
+      },
+    },
+    {
+      method: "POST",
+      path: "/teachers/me/email",
+      handler: "teacher.requestEmailChange",
+      config: {
+        auth: false,
+        policies: [],
+        middlewares: [accountAuth],
+      },
+    },
+    {
+      method: "DELETE",
+      path: "/teachers/me/email",
+      handler: "teacher.cancelEmailChange",
+      config: {
+        auth: false,
+        policies: [],
+        middlewares: [accountAuth],
+      },
+    },
+    {
+      method: "GET",
+      path: "/teachers/me/sessions",
+      handler: "teacher.mySessions",
+      config: {
+        auth: false,
+        policies: [],
+        middlewares: [accountAuth],
+      },
+    },
+    {
+      method: "DELETE",
+      path: "/teachers/me/sessions/:id",
+      handler: "teacher.revokeMySession",
+      config: {
+        auth: false,
+        policies: [],
+        middlewares: [accountAuth],
+      },
+    },
+    {
+      method: "GET",
+      path: "/teachers/me/tokens",
+      handler: "teacher.myTokens",
+      config: {
+        auth: false,
+        policies: [],
+        middlewares: [accountAuth],
+      },
+    },
+    {
+      method: "POST",
+      path: "/teachers/me/tokens",
+      handler: "teacher.createMyToken",
+      config: {
+        auth: false,
+        policies: [],
+        middlewares: [accountAuth],
+      },
+    },
+    {
+      method: "DELETE",
+      path: "/teachers/me/tokens/:id",
+      handler: "teacher.revokeMyToken",
+      config: {
+        auth: false,
+        policies: [],
+        middlewares: [accountAuth],
+      },
+    },
+    {
+      method: "POST",
+      path: "/teachers/me/2fa/setup",
+      handler: "teacher.setupTwoFactor",
+      config: {
+        auth: false,
+        policies: [],
+        middlewares: [accountAuth],
+      },
+    },
+    {
+      method: "POST",
+      path: "/teachers/me/2fa/enable",
+      handler: "teacher.enableTwoFactor",
+      config: {
+        auth: false,
+        policies: [],
+        middlewares: [accountAuth],
+      },
+    },
+    {
+      method: "POST",
+      path: "/teachers/me/2fa/disable",
+      handler: "teacher.disableTwoFactor",
+      config: {
+        auth: false,
+        policies: [],
+        middlewares: [accountAuth],
+      },
+    },
+    {
+      method: "POST",
+      path: "/teachers/me/2fa/recovery-codes",
+      handler: "teacher.regenerateRecoveryCodes",
+      config: {
+        auth: false,
+        policies: [],
+        middlewares: [accountAuth],
       },
     },
   ],
@@ -0,0 +1,186 @@
+'use strict';
+
+/**
+ * api-token service
+ *
+ * Personal API tokens teachers create for scripts and classroom-tool integrations
+ * (api::teacher.teacher-api-token). A token is shown once at creation; only its
+ * SHA-256 hash is stored. The teacher-auth middleware accepts them wherever a
+ * teacher access token is accepted, except on account routes (password, 2FA,
+ * sessions, tokens), and "read-only" tokens only for GET/HEAD requests.
+ */
+
+const crypto = require('crypto');
+
+const TOKEN_UID = 'api::teacher.teacher-api-token';
+
+// Recognisable prefix, so the middleware can tell API tokens from JWTs
+const TOKEN_PREFIX = 'tpat_';
+
+const SCOPES = ['read-only', 'read-write'];
+
+// Characters of the token kept in clear text to tell tokens apart in lists
+const DISPLAY_PREFIX_LENGTH = TOKEN_PREFIX.length + 6;
+
+// "Last used" is refreshed at most this often
+const LAST_USED_RESOLUTION_MS = 5 * 60 * 1000;
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+const isOpen = (token, now = new Date()) =>
+  !token.revokedAt && (!token.expiresAt || new Date(token.expiresAt) > now);
+
+const toListItem = (token) => ({
+  id: token.id,
+  name: token.name,
+  scope: token.scope,
+  tokenPrefix: token.tokenPrefix,
+  createdAt: token.createdAt,
+  expiresAt: token.expiresAt,
+  lastUsedAt: token.lastUsedAt,
+});
+
+module.exports = ({ strapi }) => ({
+  /**
+   * Whether a bearer credential looks like a personal API token (rather than a JWT)
+   */
+  isApiToken(credential) {
+    return typeof credential === 'string' && credential.startsWith(TOKEN_PREFIX);
+  },
+
+  /**
+   * Check a new token request. Returns an error message, or null when it is acceptable.
+   */
+  async validateNewToken(teacher, { name, scope, expiresInDays }) {
+    const { maxPerTeacher, maxExpiresInDays } = strapi.config.get('teacher-auth.apiTokens');
+
+    if (!name || typeof name !== 'string' || !name.trim() || name.trim().length > 100) {
+      return 'Name is required (at most 100 characters)';
+    }
+
+    if (scope !== undefined && !SCOPES.includes(scope)) {
+      return `scope must be one of: ${SCOPES.join(', ')}`;
+    }
+
+    if (expiresInDays !== undefined && expiresInDays !== null) {
+      if (!Number.isInteger(expiresInDays) || expiresInDays < 1) {
+        return 'expiresInDays must be a positive whole number of days';
+      }
+
+      if (maxExpiresInDays > 0 && expiresInDays > maxExpiresInDays) {
+        return `expiresInDays may be at most ${maxExpiresInDays}`;
+      }
+    } else if (maxExpiresInDays > 0) {
+      return `expiresInDays is required (at most ${maxExpiresInDays})`;
+    }
+
+    const tokens = await this.list(teacher.id);
+
+    if (tokens.length >= maxPerTeacher) {
+      return `You can have at most ${maxPerTeacher} API tokens. Revoke one first.`;
+    }
+
+    if (tokens.some((token) => token.name.toLowerCase() === name.trim().toLowerCase())) {
+      return 'You already have an API token with this name';
+    }
+
+    return null;
+  },
+
+  /**
+   * Create a token (call validateNewToken first). Returns the list item plus the
+   * plain token, which is never retrievable again.
+   */
+  async create(teacher, { name, scope = 'read-only', expiresInDays }) {
+    const token = `${TOKEN_PREFIX}${crypto.randomBytes(32).toString('hex')}`;
+
+    const created = await strapi.db.query(TOKEN_UID).create({
+      data: {
+        teacher: teacher.id,
+        name: name.trim(),
+        scope,
+        tokenHash: hashToken(token),
+        tokenPrefix: token.slice(0, DISPLAY_PREFIX_LENGTH),
+        expiresAt: expiresInDays ? new Date(Date.now() + expiresInDays * 24 * 60 * 60 * 1000) : null,
+      },
+    });
+
+    return { ...toListItem(created), token };
+  },
+
+  /**
+   * A teacher's usable (not revoked, not expired) tokens, newest first
+   */
+  async list(teacherId) {
+    const tokens = await strapi.db.query(TOKEN_UID).findMany({
+      where: { teacher: { id: teacherId }, revokedAt: null },
+      orderBy: [{ createdAt: 'desc' }, { id: 'desc' }],
+    });
+
+    return tokens.filter((token) => isOpen(token)).map(toListItem);
+  },
+
+  /**
+   * Revoke one of a teacher's tokens. Returns the token, or null if it is not theirs or already revoked.
+   */
+  async revoke(teacherId, tokenId) {
+    const token = await strapi.db.query(TOKEN_UID).findOne({
+      where: { id: tokenId, teacher: { id: teacherId }, revokedAt: null },
+    });
+
+    if (!token) {
+      return null;
+    }
+
+    await strapi.db.query(TOKEN_UID).update({
+      where: { id: token.id },
+      data: { revokedAt: new Date() },
+    });
+
+    return toListItem(token);
+  },
+
+  /**
+   * Revoke every token of a teacher (used when the account is deactivated)
+   */
+  async revokeAll(teacherId) {
+    // updateMany can't filter through relations, so resolve the token ids first
+    const tokens = await strapi.db.query(TOKEN_UID).findMany({
+      where: { teacher: { id: teacherId }, revokedAt: null },
+      select: ['id'],
+    });
+
+    if (tokens.length === 0) {
+      return;
+    }
+
+    await strapi.db.query(TOKEN_UID).updateMany({
+      where: { id: { $in: tokens.map((token) => token.id) } },
+      data: { revokedAt: new Date() },
+    });
+  },
+
+  /**
+   * Resolve a presented token. Returns the token row (with teacher id), or null
+   * if it is unknown, revoked or expired.
+   */
+  async verify(credential) {
+    const token = await strapi.db.query(TOKEN_UID).findOne({
+      where: { tokenHash: hashToken(credential) },
+      populate: { teacher: { select: ['id'] } },
+    });
+
+    if (!token || !token.teacher || !isOpen(token)) {
+      return null;
+    }
+
+    if (!token.lastUsedAt || Date.now() - new Date(token.lastUsedAt).getTime() > LAST_USED_RESOLUTION_MS) {
+      await strapi.db.query(TOKEN_UID).update({
+        where: { id: token.id },
+        data: { lastUsedAt: new Date() },
+      });
+    }
+
+    return token;
+  },
+});
@@ -0,0 +1,102 @@
+'use strict';
+
+/**
+ * auth-audit service
+ *
+ * Persisted trail of teacher authentication and account events
+ * (api::teacher.teacher-auth-event), written by the teacher controller and lifecycle.
+ * Recording never throws: a failing audit write is logged and the request carries on.
+ * Events older than config teacher-auth.audit.retentionDays are pruned by the
+ * teacherAuthAuditPrune cron task (config/cron-tasks.js).
+ */
+
+const { describeActor } = require('../../../utils/request-actor');
+
+const EVENT_UID = 'api::teacher.teacher-auth-event';
+
+const MAX_USER_AGENT_LENGTH = 255;
+
+module.exports = ({ strapi }) => ({
+  /**
+   * Record an event.
+   * ctx is the request context (falls back to the current request, e.g. in lifecycles);
+   * details: { outcome = "success", teacher, identifier, reason, actor, metadata } -
+   * actor defaults to the authenticated admin/API caller of the request
+   */
+  async record(ctx, event, { outcome = 'success', teacher, identifier, reason, actor, metadata } = {}) {
+    const requestCtx = ctx || strapi.requestContext.get();
+
+    try {
+      await strapi.db.query(EVENT_UID).create({
+        data: {
+          event,
+          outcome,
+          teacher: teacher?.id || null,
+          identifier: identifier || teacher?.email || null,
+          reason: reason || null,
+          actor: actor || (requestCtx?.state?.auth ? describeActor(requestCtx) : null),
+          ip: requestCtx?.request?.ip || null,
+          userAgent: (requestCtx?.request?.headers?.['user-agent'] || '').slice(0, MAX_USER_AGENT_LENGTH) || null,
+          metadata: metadata || null,
+        },
+      });
+    } catch (error) {
+      console.error(`❌ Failed to record auth event "${event}":`, error.message);
+    }
+  },
+
+  /**
+   * Events newest first, filtered by teacher, event, outcome and date range
+   */
+  async find({ teacherId, event, outcome, from, to, page = 1, pageSize = 50 } = {}) {
+    const where = {};
+
+    if (teacherId) where.teacher = { id: teacherId };
+    if (event) where.event = event;
+    if (outcome) where.outcome = outcome;
+
+    if (from || to) {
+      where.createdAt = {};
+      if (from) where.createdAt.$gte = from;
+      if (to) where.createdAt.$lte = to;
+    }
+
+    const [events, total] = await Promise.all([
+      strapi.db.query(EVENT_UID).findMany({
+        where,
+        populate: { teacher: { select: ['id', 'name', 'email', 'username'] } },
+        orderBy: [{ createdAt: 'desc' }, { id: 'desc' }],
+        offset: (page - 1) * pageSize,
+        limit: pageSize,
+      }),
+      strapi.db.query(EVENT_UID).count({ where }),
+    ]);
+
+    return {
+      events,
+      pagination: { page, pageSize, pageCount: Math.ceil(total / pageSize), total },
+    };
+  },
+
+  /**
+   * Delete events older than the retention period - returns the number removed
+   */
+  async prune() {
+    const { retentionDays } = strapi.config.get('teacher-auth.audit');
+
+    if (!retentionDays || retentionDays <= 0) {
+      return 0;
+    }
+
+    const cutoff = new Date(Date.now() - retentionDays * 24 * 60 * 60 * 1000);
+    const { count } = await strapi.db.query(EVENT_UID).deleteMany({
+      where: { createdAt: { $lt: cutoff } },
+    });
+
+    if (count > 0) {
+      console.log(`🧹 Pruned ${count} teacher auth event(s) older than ${retentionDays} days`);
+    }
+
+    return count;
+  },
+});
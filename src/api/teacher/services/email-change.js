@@ -0,0 +1,162 @@
+'use strict';
+
+/**
+ * email-change service
+ *
+ * A teacher's email only changes once the new address is confirmed. A request
+ * stores the address as pendingEmail with a one-time token, emails a confirmation
+ * link to the new address and a notice to the current one. Requests come from the
+ * teacher (POST /teachers/me/email) or from an admin editing the email in the
+ * content manager - the teacher lifecycle turns that edit into a request instead
+ * of switching the account over.
+ */
+
+const crypto = require('crypto');
+const { formatDuration } = require('../../mailer/utils/render');
+
+const TEACHER_UID = 'api::teacher.teacher';
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+module.exports = ({ strapi }) => ({
+  /**
+   * Check a requested address. Returns an error message, or null when it is acceptable.
+   */
+  async validate(teacher, email) {
+    const teacherService = strapi.service(TEACHER_UID);
+
+    const formatError = teacherService.validateEmail(email);
+    if (formatError) {
+      return formatError;
+    }
+
+    if (email.toLowerCase() === teacher.email.toLowerCase()) {
+      return 'This is already the account email';
+    }
+
+    return teacherService.findTeacherConflict({ email });
+  },
+
+  /**
+   * Start a change (call validate first). A new request replaces any pending one.
+   * Returns the confirmation link expiry.
+   */
+  async request(teacher, email, { requestedBy } = {}) {
+    const { expiresInMinutes } = strapi.config.get('teacher-auth.emailChange');
+    const token = crypto.randomBytes(32).toString('hex');
+    const expiresAt = new Date(Date.now() + expiresInMinutes * 60 * 1000);
+
+    await strapi.db.query(TEACHER_UID).update({
+      where: { id: teacher.id },
+      data: {
+        pendingEmail: email,
+        emailChangeToken: hashToken(token),
+        emailChangeExpires: expiresAt,
+        emailChangeRequestedBy: requestedBy || null,
+      },
+    });
+
+    const frontendUrl = process.env.FRONTEND_URL || 'http://localhost:3000';
+    const mailer = strapi.service('api::mailer.mailer');
+    const expiresIn = formatDuration(expiresInMinutes * 60 * 1000);
+
+    await mailer.send('teacher-email-change', {
+      to: email,
+      variables: {
+        name: teacher.name,
+        newEmail: email,
+        actionUrl: `${frontendUrl}/confirm-email?token=${token}`,
+        expiresIn,
+      },
+    });
+
+    await mailer.send('teacher-email-change-notice', {
+      to: teacher.email,
+      variables: {
+        name: teacher.name,
+        newEmail: email,
+        expiresIn,
+      },
+    });
+
+    return expiresAt;
+  },
+
+  /**
+   * Drop a pending change. Returns false when there was none.
+   */
+  async cancel(teacher) {
+    if (!teacher.pendingEmail) {
+      return false;
+    }
+
+    await strapi.db.query(TEACHER_UID).update({
+      where: { id: teacher.id },
+      data: {
+        pendingEmail: null,
+        emailChangeToken: null,
+        emailChangeExpires: null,
+        emailChangeRequestedBy: null,
+      },
+    });
+
+    return true;
+  },
+
+  /**
+   * Apply the change behind a confirmation token.
+   * Returns { teacher, previousEmail } or { error, teacher? } ("invalid_token", "expired_token", "conflict").
+   */
+  async confirm(token) {
+    const tokenHash = hashToken(String(token));
+
+    const teacher = await strapi.db.query(TEACHER_UID).findOne({
+      where: { emailChangeToken: tokenHash },
+    });
+
+    if (!teacher || !teacher.pendingEmail) {
+      return { error: 'invalid_token' };
+    }
+
+    if (teacher.emailChangeExpires && new Date(teacher.emailChangeExpires) < new Date()) {
+      await this.cancel(teacher);
+      return { error: 'expired_token', teacher };
+    }
+
+    // The address may have been taken since the request
+    if (await strapi.service(TEACHER_UID).findTeacherConflict({ email: teacher.pendingEmail })) {
+      await this.cancel(teacher);
+      return { error: 'conflict', teacher };
+    }
+
+    // Burn the token and switch in one conditional update - only one request can win.
+    // updateMany also skips the beforeUpdate lifecycle that turns email edits into requests.
+    const { count } = await strapi.db.query(TEACHER_UID).updateMany({
+      where: { id: teacher.id, emailChangeToken: tokenHash },
+      data: {
+        email: teacher.pendingEmail,
+        pendingEmail: null,
+        emailChangeToken: null,
+        emailChangeExpires: null,
+        emailChangeRequestedBy: null,
+        // Links already sent to the old address stop working
+        magicLinkToken: null,
+        magicLinkExpires: null,
+        ...(teacher.isActive ? { resetPasswordToken: null, resetPasswordExpires: null } : {}),
+      },
+    });
+
+    if (count === 0) {
+      return { error: 'invalid_token' };
+    }
+
+    const updated = await strapi.db.query(TEACHER_UID).findOne({ where: { id: teacher.id } });
+
+    // An invitation still waiting for a password goes to the confirmed address
+    if (!updated.isActive && !updated.deactivatedAt) {
+      await strapi.service(TEACHER_UID).sendSetupEmail(updated);
+    }
+
+    return { teacher: updated, previousEmail: teacher.email };
+  },
+});
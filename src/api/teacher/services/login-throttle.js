@@ -0,0 +1,155 @@
+'use strict';
+
+/**
+ * login-throttle service
+ *
+ * Two layers of protection for the public teacher auth endpoints:
+ * - in-memory counters per identifier and per IP, blocked with progressive back-off
+ *   once the configured limit is hit (per instance, cleared on restart)
+ * - a persisted account lockout on the teacher record after repeated bad passwords
+ *
+ * Limits live in config/teacher-auth.js (`lockout` and `throttle`).
+ */
+
+const counters = new Map();
+
+const MAX_BLOCK_MS = 24 * 60 * 60 * 1000;
+
+const minutesToMs = (minutes) => minutes * 60 * 1000;
+
+const secondsUntil = (timestamp) => Math.max(0, Math.ceil((timestamp - Date.now()) / 1000));
+
+/**
+ * Drop expired counters so the map can't grow without bound
+ */
+const pruneCounters = () => {
+  const now = Date.now();
+  for (const [key, entry] of counters) {
+    if (entry.expiresAt < now) {
+      counters.delete(key);
+    }
+  }
+};
+
+module.exports = ({ strapi }) => ({
+  /**
+   * Seconds the given counter key is still blocked for (0 when allowed)
+   */
+  retryAfter(key) {
+    const entry = counters.get(key);
+
+    if (!entry) {
+      return 0;
+    }
+
+    if (entry.expiresAt < Date.now()) {
+      counters.delete(key);
+      return 0;
+    }
+
+    return entry.blockedUntil ? secondsUntil(entry.blockedUntil) : 0;
+  },
+
+  /**
+   * Count one attempt against a key. Once `max` is reached the key is blocked for
+   * the window, doubling with every further attempt.
+   */
+  hit(key, { max, windowMinutes }) {
+    const now = Date.now();
+    let entry = counters.get(key);
+
+    if (!entry || entry.expiresAt < now) {
+      if (counters.size > 10000) {
+        pruneCounters();
+      }
+
+      entry = { count: 0, expiresAt: now + minutesToMs(windowMinutes), blockedUntil: null };
+      counters.set(key, entry);
+    }
+
+    entry.count += 1;
+
+    if (entry.count >= max) {
+      const backoff = minutesToMs(windowMinutes) * 2 ** (entry.count - max);
+      entry.blockedUntil = now + Math.min(backoff, MAX_BLOCK_MS);
+      entry.expiresAt = Math.max(entry.expiresAt, entry.blockedUntil);
+    }
+  },
+
+  /**
+   * Forget a counter (e.g. after a successful login)
+   */
+  clear(key) {
+    counters.delete(key);
+  },
+
+  /**
+   * Seconds the teacher account is still locked for (0 when not locked)
+   */
+  accountLockedFor(teacher) {
+    if (!teacher.lockedUntil) {
+      return 0;
+    }
+
+    return secondsUntil(new Date(teacher.lockedUntil).getTime());
+  },
+
+  /**
+   * Record a bad password on the account. Locks it once the limit is reached,
+   * each further lockout lasting twice as long. Returns the lockout in seconds (0 if not locked).
+   */
+  async recordAccountFailure(teacher) {
+    const { maxFailedAttempts, lockoutMinutes, maxLockoutMinutes } = strapi.config.get('teacher-auth.lockout');
+    const failedLoginAttempts = (teacher.failedLoginAttempts || 0) + 1;
+
+    if (failedLoginAttempts < maxFailedAttempts) {
+      await strapi.db.query('api::teacher.teacher').update({
+        where: { id: teacher.id },
+        data: { failedLoginAttempts },
+      });
+      return 0;
+    }
+
+    const lockoutCount = (teacher.lockoutCount || 0) + 1;
+    const duration = Math.min(lockoutMinutes * 2 ** (lockoutCount - 1), maxLockoutMinutes);
+    const lockedUntil = new Date(Date.now() + minutesToMs(duration));
+
+    await strapi.db.query('api::teacher.teacher').update({
+      where: { id: teacher.id },
+      data: {
+        failedLoginAttempts: 0,
+        lockoutCount,
+        lockedUntil,
+      },
+    });
+
+    console.warn(`🔒 Teacher account ${teacher.email} locked for ${duration} minutes`);
+
+    return duration * 60;
+  },
+
+  /**
+   * Reset the account failure state (successful login or admin unlock)
+   */
+  async clearAccountFailures(teacher) {
+    await strapi.db.query('api::teacher.teacher').update({
+      where: { id: teacher.id },
+      data: {
+        failedLoginAttempts: 0,
+        lockoutCount: 0,
+        lockedUntil: null,
+      },
+    });
+  },
+
+  /**
+   * ADMIN unlock: clear the persisted lockout and the identifier counters
+   */
+  async unlockAccount(teacher) {
+    await this.clearAccountFailures(teacher);
+
+    for (const identifier of [teacher.email, teacher.username]) {
+      this.clear(`login:id:${String(identifier).toLowerCase()}`);
+    }
+  },
+});
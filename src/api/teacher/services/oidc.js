@@ -0,0 +1,294 @@
+'use strict';
+
+/**
+ * oidc service
+ *
+ * OpenID Connect sign-in for teachers (authorization code flow with PKCE),
+ * configured in config/teacher-auth.js (oidc). The frontend:
+ *   1. GET  /teachers/oidc/authorize -> { authorizationUrl, flowToken }, keeps flowToken
+ *      and sends the browser to authorizationUrl
+ *   2. the provider redirects to oidc.redirectUri with ?code&state
+ *   3. POST /teachers/oidc/callback { code, state, flowToken } -> normal teacher login response
+ *
+ * The flow token is a short-lived JWT holding state, nonce and the PKCE verifier,
+ * so nothing is stored server-side between the two requests.
+ *
+ * A teacher is matched by email (which the provider must mark verified) only on
+ * their first SSO sign-in; the ID token's issuer and subject are then stored on
+ * the account and used for every later sign-in.
+ *
+ * Local testing works against any mock provider, e.g.
+ *   docker run -p 8080:8080 ghcr.io/navikt/mock-oauth2-server
+ * with TEACHER_OIDC_ISSUER=http://localhost:8080/default and any client id/secret.
+ */
+
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+
+const TEACHER_UID = 'api::teacher.teacher';
+
+// Provider metadata and signing keys are cached; keys are refetched when an unknown kid shows up
+const METADATA_TTL_MS = 60 * 60 * 1000;
+const ID_TOKEN_ALGORITHMS = ['RS256', 'RS384', 'RS512', 'PS256', 'PS384', 'PS512', 'ES256', 'ES384', 'ES512'];
+
+const cache = { issuer: null, metadata: null, metadataExpiresAt: 0, jwks: null };
+
+const base64url = (buffer) => buffer.toString('base64url');
+
+const fetchJson = async (url, options) => {
+  const response = await fetch(url, options);
+  const body = await response.json().catch(() => null);
+
+  if (!response.ok) {
+    const reason = body?.error_description || body?.error || response.statusText;
+    throw new Error(`${url} responded ${response.status}: ${reason}`);
+  }
+
+  return body;
+};
+
+module.exports = ({ strapi }) => ({
+  /**
+   * Whether SSO is switched on and fully configured
+   */
+  isEnabled() {
+    const { enabled, issuer, clientId } = strapi.config.get('teacher-auth.oidc');
+    return Boolean(enabled && issuer && clientId);
+  },
+
+  /**
+   * Provider metadata from /.well-known/openid-configuration
+   */
+  async discover() {
+    const { issuer } = strapi.config.get('teacher-auth.oidc');
+
+    if (cache.issuer !== issuer || !cache.metadata || cache.metadataExpiresAt < Date.now()) {
+      const url = `${issuer.replace(/\/$/, '')}/.well-known/openid-configuration`;
+
+      cache.metadata = await fetchJson(url);
+      cache.issuer = issuer;
+      cache.metadataExpiresAt = Date.now() + METADATA_TTL_MS;
+      cache.jwks = null;
+    }
+
+    return cache.metadata;
+  },
+
+  /**
+   * Public key for an ID token header (by kid, or the only key when the provider has one)
+   */
+  async getSigningKey({ kid }) {
+    const metadata = await this.discover();
+
+    const findKey = () =>
+      (cache.jwks?.keys || []).find((key) => (kid ? key.kid === kid : key.use !== 'enc'));
+
+    let jwk = findKey();
+
+    if (!jwk) {
+      cache.jwks = await fetchJson(metadata.jwks_uri);
+      jwk = findKey();
+    }
+
+    if (!jwk) {
+      throw new Error(`No signing key found for kid "${kid}"`);
+    }
+
+    return crypto.createPublicKey({ key: jwk, format: 'jwk' });
+  },
+
+  /**
+   * Build the provider authorization URL plus the flow token the frontend sends back
+   */
+  async createAuthorization() {
+    const { clientId, redirectUri, scopes, flowExpiresIn } = strapi.config.get('teacher-auth.oidc');
+    const { secret } = strapi.config.get('teacher-auth.jwt');
+    const metadata = await this.discover();
+
+    const state = base64url(crypto.randomBytes(24));
+    const nonce = base64url(crypto.randomBytes(24));
+    const codeVerifier = base64url(crypto.randomBytes(48));
+    const codeChallenge = base64url(crypto.createHash('sha256').update(codeVerifier).digest());
+
+    const url = new URL(metadata.authorization_endpoint);
+    url.search = new URLSearchParams({
+      response_type: 'code',
+      client_id: clientId,
+      redirect_uri: redirectUri,
+      scope: scopes,
+      state,
+      nonce,
+      code_challenge: codeChallenge,
+      code_challenge_method: 'S256',
+    }).toString();
+
+    const flowToken = jwt.sign(
+      { type: 'teacher-oidc-flow', state, nonce, codeVerifier },
+      secret,
+      { expiresIn: flowExpiresIn }
+    );
+
+    return { authorizationUrl: url.toString(), flowToken };
+  },
+
+  /**
+   * Exchange the authorization code and verify the ID token.
+   * Returns { claims } or { error } with a message safe to show the user.
+   */
+  async completeAuthorization({ code, state, flowToken }) {
+    const { clientId, clientSecret, redirectUri } = strapi.config.get('teacher-auth.oidc');
+    const { secret } = strapi.config.get('teacher-auth.jwt');
+
+    let flow;
+    try {
+      flow = jwt.verify(flowToken, secret);
+    } catch (error) {
+      return { error: 'Sign-in session expired. Please start again.' };
+    }
+
+    if (flow.type !== 'teacher-oidc-flow' || flow.state !== state) {
+      return { error: 'Invalid sign-in state. Please start again.' };
+    }
+
+    const metadata = await this.discover();
+
+    const params = new URLSearchParams({
+      grant_type: 'authorization_code',
+      code,
+      redirect_uri: redirectUri,
+      client_id: clientId,
+      code_verifier: flow.codeVerifier,
+    });
+    const headers = { 'Content-Type': 'application/x-www-form-urlencoded', Accept: 'application/json' };
+
+    if (clientSecret) {
+      const methods = metadata.token_endpoint_auth_methods_supported || ['client_secret_basic'];
+
+      if (methods.includes('client_secret_post') && !methods.includes('client_secret_basic')) {
+        params.set('client_secret', clientSecret);
+      } else {
+        const credentials = `${encodeURIComponent(clientId)}:${encodeURIComponent(clientSecret)}`;
+        headers.Authorization = `Basic ${Buffer.from(credentials).toString('base64')}`;
+      }
+    }
+
+    let tokens;
+    try {
+      tokens = await fetchJson(metadata.token_endpoint, { method: 'POST', headers, body: params });
+    } catch (error) {
+      console.error('❌ OIDC code exchange failed:', error.message);
+      return { error: 'Sign-in with your school account failed. Please try again.' };
+    }
+
+    if (!tokens?.id_token) {
+      return { error: 'Identity provider did not return an ID token' };
+    }
+
+    let claims;
+    try {
+      const { header } = jwt.decode(tokens.id_token, { complete: true }) || {};
+      const key = await this.getSigningKey(header || {});
+
+      claims = jwt.verify(tokens.id_token, key, {
+        algorithms: ID_TOKEN_ALGORITHMS,
+        issuer: metadata.issuer,
+        audience: clientId,
+      });
+    } catch (error) {
+      console.error('❌ OIDC ID token rejected:', error.message);
+      return { error: 'Identity provider returned an invalid ID token' };
+    }
+
+    if (claims.nonce !== flow.nonce) {
+      return { error: 'Invalid sign-in state. Please start again.' };
+    }
+
+    return { claims };
+  },
+
+  /**
+   * Map ID token claims to a teacher: by the stored issuer + subject when the
+   * account is already linked, otherwise by verified email (linking the account),
+   * creating one when auto-provisioning is on.
+   * Returns { teacher } or { error }.
+   */
+  async resolveTeacher(claims) {
+    const { autoProvision, allowedDomains, trustUnverifiedEmail } = strapi.config.get('teacher-auth.oidc');
+
+    if (!claims.iss || !claims.sub) {
+      return { error: 'Identity provider did not identify your account' };
+    }
+
+    const identity = { oidcIssuer: String(claims.iss), oidcSubject: String(claims.sub) };
+    const email = String(claims.email || '').trim().toLowerCase();
+
+    const domains = allowedDomains.map((domain) => domain.trim().toLowerCase()).filter(Boolean);
+    if (domains.length > 0 && !domains.includes(email.split('@')[1])) {
+      return { error: 'Sign-in with this email domain is not allowed' };
+    }
+
+    const linked = await strapi.db.query(TEACHER_UID).findOne({ where: identity });
+
+    if (linked) {
+      return { teacher: linked };
+    }
+
+    if (!email) {
+      return { error: 'Your school account did not share an email address' };
+    }
+
+    const verified = claims.email_verified === true || claims.email_verified === 'true';
+    if (!verified && !trustUnverifiedEmail) {
+      return { error: 'Your school account email address is not verified' };
+    }
+
+    let teacher = await strapi.db.query(TEACHER_UID).findOne({
+      where: { email: { $eqi: email } },
+    });
+
+    if (teacher?.oidcSubject) {
+      return { error: 'This teacher account is linked to a different school account' };
+    }
+
+    if (teacher) {
+      teacher = await strapi.db.query(TEACHER_UID).update({ where: { id: teacher.id }, data: identity });
+      console.log(`✅ Teacher ${teacher.id} linked to SSO subject ${identity.oidcSubject}`);
+    }
+
+    if (!teacher && autoProvision) {
+      teacher = await this.provisionTeacher(claims, email, identity);
+      console.log(`✅ Teacher auto-provisioned from SSO: ${email} (ID: ${teacher.id})`);
+    }
+
+    if (!teacher) {
+      return { error: 'No teacher account exists for this email. Please contact your administrator.' };
+    }
+
+    return { teacher };
+  },
+
+  /**
+   * Create an active, password-less teacher from ID token claims, linked to the
+   * provider identity (see lifecycles.js)
+   */
+  async provisionTeacher(claims, email, identity) {
+    const localPart = email.split('@')[0].replace(/[^a-z0-9._-]/g, '') || 'teacher';
+
+    let username = localPart;
+    for (let suffix = 2; await strapi.db.query(TEACHER_UID).findOne({ where: { username } }); suffix += 1) {
+      username = `${localPart}${suffix}`;
+    }
+
+    const created = await strapi.entityService.create(TEACHER_UID, {
+      data: {
+        name: claims.name || [claims.given_name, claims.family_name].filter(Boolean).join(' ') || email,
+        email,
+        username,
+        ssoProvisioned: true,
+        ...identity,
+      },
+    });
+
+    return strapi.db.query(TEACHER_UID).findOne({ where: { id: created.id } });
+  },
+});
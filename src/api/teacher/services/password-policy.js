@@ -0,0 +1,133 @@
+'use strict';
+
+/**
+ * password-policy service
+ *
+ * Rules for new teacher passwords, configured in config/teacher-auth.js (passwordPolicy):
+ * length, character classes, no username/email, no reuse of recent passwords
+ * (bcrypt hashes kept in the private passwordHistory field) and no password
+ * from the breached-password list in data/breached-passwords.txt.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const bcrypt = require('bcrypt');
+
+const BUNDLED_LIST_PATH = path.join(__dirname, '..', 'data', 'breached-passwords.txt');
+
+// Loaded lazily, once per list file
+let breached = { path: null, passwords: null };
+
+const loadBreachedPasswords = (listPath) => {
+  if (breached.path !== listPath) {
+    const passwords = new Set(
+      fs
+        .readFileSync(listPath, 'utf8')
+        .split(/\r?\n/)
+        .map((line) => line.trim().toLowerCase())
+        .filter((line) => line && !line.startsWith('#'))
+    );
+
+    breached = { path: listPath, passwords };
+  }
+
+  return breached.passwords;
+};
+
+module.exports = ({ strapi }) => ({
+  /**
+   * The active rules, as shown to users
+   */
+  getRules() {
+    const { breachedListPath, ...rules } = strapi.config.get('teacher-auth.passwordPolicy');
+    return rules;
+  },
+
+  /**
+   * Check a new password for a teacher.
+   * options: { history } - false for accounts that keep no password history (students)
+   * Returns a list of error messages (empty when the password is acceptable).
+   */
+  async validate(password, teacher = {}, { history = true } = {}) {
+    const policy = strapi.config.get('teacher-auth.passwordPolicy');
+    const errors = [];
+
+    if (typeof password !== 'string' || password.length < policy.minLength) {
+      errors.push(`Password must be at least ${policy.minLength} characters long`);
+    }
+
+    password = String(password || '');
+
+    if (policy.requireLowercase && !/[a-z]/.test(password)) {
+      errors.push('Password must contain a lowercase letter');
+    }
+
+    if (policy.requireUppercase && !/[A-Z]/.test(password)) {
+      errors.push('Password must contain an uppercase letter');
+    }
+
+    if (policy.requireDigit && !/[0-9]/.test(password)) {
+      errors.push('Password must contain a number');
+    }
+
+    if (policy.requireSymbol && !/[^A-Za-z0-9]/.test(password)) {
+      errors.push('Password must contain a symbol');
+    }
+
+    if (policy.disallowPersonalInfo) {
+      const lowered = password.toLowerCase();
+      const personal = [teacher.username, (teacher.email || '').split('@')[0]]
+        .map((value) => String(value || '').toLowerCase())
+        .filter((value) => value.length >= 3);
+
+      if (personal.some((value) => lowered.includes(value))) {
+        errors.push('Password must not contain your username or email');
+      }
+    }
+
+    if (policy.checkBreached) {
+      const passwords = loadBreachedPasswords(policy.breachedListPath || BUNDLED_LIST_PATH);
+
+      if (passwords.has(password.toLowerCase())) {
+        errors.push('This password is too common and has appeared in data breaches');
+      }
+    }
+
+    // Only worth the bcrypt work once everything else passes
+    if (errors.length === 0 && history && policy.historySize > 0 && (await this.isReused(password, teacher))) {
+      errors.push(`Password must not match any of your last ${policy.historySize} passwords`);
+    }
+
+    return errors;
+  },
+
+  /**
+   * Whether the password matches the current one or one in the history
+   */
+  async isReused(password, teacher) {
+    const hashes = [teacher.password, ...(teacher.passwordHistory || [])].filter(Boolean);
+
+    for (const hash of hashes) {
+      if (await bcrypt.compare(password, hash)) {
+        return true;
+      }
+    }
+
+    return false;
+  },
+
+  /**
+   * passwordHistory value to store when the current password is replaced
+   */
+  nextHistory(teacher) {
+    const { historySize } = strapi.config.get('teacher-auth.passwordPolicy');
+
+    if (historySize <= 0) {
+      return [];
+    }
+
+    return [teacher.password, ...(teacher.passwordHistory || [])]
+      .filter(Boolean)
+      .slice(0, historySize - 1);
+  },
+});
@@ -0,0 +1,177 @@
+'use strict';
+
+/**
+ * personal-data service
+ *
+ * Data-subject requests for teachers: a JSON export of everything stored about a
+ * teacher, and erasure. Erasure anonymises the teacher row instead of deleting it,
+ * so course assignments and any other relation to it stay intact, and removes or
+ * scrubs the rows that hold personal data (sessions, API tokens, auth events, emails).
+ *
+ * "Uploads" are media library files created by an admin user with the teacher's
+ * email - teachers who also author lesson material in the admin panel. Those files
+ * are course content and are left in place on erasure.
+ */
+
+const TEACHER_UID = 'api::teacher.teacher';
+const SESSION_UID = 'api::teacher.teacher-session';
+const TOKEN_UID = 'api::teacher.teacher-api-token';
+const EVENT_UID = 'api::teacher.teacher-auth-event';
+const EMAIL_UID = 'api::mailer.email-message';
+
+// Teacher fields never exported: secrets, or hashes of them
+const SECRET_FIELDS = [
+  'password',
+  'passwordHistory',
+  'resetPasswordToken',
+  'magicLinkToken',
+  'emailChangeToken',
+  'twoFactorSecret',
+  'twoFactorRecoveryCodes',
+  'twoFactorLastStep',
+  'twoFactorChallengeId',
+];
+
+// Outbox messages to the teacher's address, or to an address they asked to switch to
+const emailsTo = (teacher) => ({
+  $or: [teacher.email, teacher.pendingEmail].filter(Boolean).map((address) => ({ to: { $eqi: address } })),
+});
+
+const omit = (object, keys) =>
+  Object.fromEntries(Object.entries(object).filter(([key]) => !keys.includes(key)));
+
+module.exports = ({ strapi }) => ({
+  /**
+   * Media library files uploaded by the admin user sharing the teacher's email
+   */
+  async findUploads(teacher) {
+    const adminUser = await strapi.db.query('admin::user').findOne({
+      where: { email: { $eqi: teacher.email } },
+      select: ['id'],
+    });
+
+    if (!adminUser) {
+      return [];
+    }
+
+    return strapi.db.query('plugin::upload.file').findMany({
+      where: { createdBy: { id: adminUser.id } },
+      select: ['id', 'documentId', 'name', 'url', 'mime', 'size', 'folderPath', 'createdAt'],
+      orderBy: { createdAt: 'asc' },
+    });
+  },
+
+  /**
+   * Everything stored about a teacher, as one JSON-serialisable archive
+   */
+  async export(teacher) {
+    const byTeacher = { teacher: { id: teacher.id } };
+
+    const [courses, classes, sessions, apiTokens, authEvents, emails, uploads] = await Promise.all([
+      strapi.service(TEACHER_UID).findAssignedCourses(teacher),
+      strapi.service('api::class.class').findForTeacher(teacher),
+      strapi.db.query(SESSION_UID).findMany({ where: byTeacher, orderBy: { createdAt: 'asc' } }),
+      strapi.db.query(TOKEN_UID).findMany({ where: byTeacher, orderBy: { createdAt: 'asc' } }),
+      strapi.db.query(EVENT_UID).findMany({ where: byTeacher, orderBy: { createdAt: 'asc' } }),
+      strapi.db.query(EMAIL_UID).findMany({
+        where: emailsTo(teacher),
+        select: ['id', 'template', 'to', 'subject', 'status', 'createdAt', 'sentAt'],
+        orderBy: { createdAt: 'asc' },
+      }),
+      this.findUploads(teacher),
+    ]);
+
+    return {
+      exportedAt: new Date().toISOString(),
+      teacher: {
+        ...omit(teacher, SECRET_FIELDS),
+        hasPassword: Boolean(teacher.password),
+      },
+      courses,
+      classes,
+      sessions: sessions.map((session) => omit(session, ['refreshTokenHash', 'previousRefreshTokenHash'])),
+      apiTokens: apiTokens.map((token) => omit(token, ['tokenHash'])),
+      authEvents,
+      emails,
+      uploads,
+    };
+  },
+
+  /**
+   * Anonymise a teacher and remove their personal data.
+   * Returns counts of what was removed or scrubbed.
+   */
+  async erase(teacher, { actor } = {}) {
+    const byTeacher = { teacher: { id: teacher.id } };
+    const now = new Date();
+
+    // updateMany/deleteMany can't filter through relations, so resolve ids first
+    const idsOf = async (uid, where) =>
+      (await strapi.db.query(uid).findMany({ where, select: ['id'] })).map((row) => row.id);
+
+    const [sessionIds, tokenIds, eventIds] = await Promise.all([
+      idsOf(SESSION_UID, byTeacher),
+      idsOf(TOKEN_UID, byTeacher),
+      // Failed logins for the address are recorded with the email as identifier
+      idsOf(EVENT_UID, { $or: [byTeacher, { identifier: { $eqi: teacher.email } }] }),
+    ]);
+
+    const { count: emails } = await strapi.db.query(EMAIL_UID).deleteMany({
+      where: emailsTo(teacher),
+    });
+
+    await strapi.db.query(SESSION_UID).deleteMany({ where: { id: { $in: sessionIds } } });
+    await strapi.db.query(TOKEN_UID).deleteMany({ where: { id: { $in: tokenIds } } });
+
+    // Auth events stay as an anonymous security trail
+    await strapi.db.query(EVENT_UID).updateMany({
+      where: { id: { $in: eventIds } },
+      data: { identifier: null, ip: null, userAgent: null, metadata: null },
+    });
+
+    // updateMany skips the lifecycle that turns email edits into confirmation requests
+    await strapi.db.query(TEACHER_UID).updateMany({
+      where: { id: teacher.id },
+      data: {
+        name: `Erased teacher #${teacher.id}`,
+        email: `erased-${teacher.id}@erased.invalid`,
+        username: `erased-${teacher.id}`,
+        phone: null,
+        qualification: null,
+        password: null,
+        passwordHistory: null,
+        resetPasswordToken: null,
+        resetPasswordExpires: null,
+        magicLinkToken: null,
+        magicLinkExpires: null,
+        pendingEmail: null,
+        emailChangeToken: null,
+        emailChangeExpires: null,
+        emailChangeRequestedBy: null,
+        twoFactorEnabled: false,
+        twoFactorSecret: null,
+        twoFactorLastStep: null,
+        twoFactorRecoveryCodes: null,
+        twoFactorChallengeId: null,
+        oidcIssuer: null,
+        oidcSubject: null,
+        failedLoginAttempts: 0,
+        lockoutCount: 0,
+        lockedUntil: null,
+        isActive: false,
+        deactivatedAt: teacher.deactivatedAt || now,
+        deactivatedBy: teacher.deactivatedBy || actor,
+        deactivationReason: 'Personal data erased',
+        erasedAt: now,
+        erasedBy: actor,
+      },
+    });
+
+    return {
+      sessions: sessionIds.length,
+      apiTokens: tokenIds.length,
+      authEvents: eventIds.length,
+      emails,
+    };
+  },
+});
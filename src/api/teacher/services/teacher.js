@@ -2,8 +2,564 @@
 
 /**
  * teacher service
+ *
+ * Token/session helpers shared by the teacher controller.
+ * Access and refresh tokens come from the shared session helpers (src/utils/sessions),
+ * bound to teacher-session rows. Each session remembers the device (User-Agent) and
+ * IP it was last used from, so teachers can review and revoke their sign-ins.
  */
 
 const { createCoreService } = require('@strapi/strapi').factories;
+const crypto = require('crypto');
+const { parseCsv } = require('../utils/csv');
+const { describeUserAgent } = require('../utils/user-agent');
+const { formatDuration } = require('../../mailer/utils/render');
+const { createSessions, clientData, hashToken } = require('../../../utils/sessions');
 
-module.exports = createCoreService('api::teacher.teacher');
+const SESSION_UID = 'api::teacher.teacher-session';
+
+const EMAIL_REGEX = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+// Columns accepted by the bulk import (name, email and username are required)
+const IMPORT_COLUMNS = ['name', 'email', 'username', 'phone', 'qualification'];
+const REQUIRED_IMPORT_COLUMNS = ['name', 'email', 'username'];
+const MAX_IMPORT_ROWS = 500;
+
+module.exports = createCoreService('api::teacher.teacher', ({ strapi }) => ({
+  ...createSessions(strapi, {
+    sessionUid: SESSION_UID,
+    owner: 'teacher',
+    type: 'teacher',
+    config: 'teacher-auth',
+    trackLastSeen: true,
+  }),
+
+  /**
+   * Start a support session as the teacher for an admin (see the teacher-admin plugin).
+   * The access token carries `impersonation: true` and `impersonatedBy`; it cannot be
+   * refreshed and the session shows up, flagged, in the teacher's own session list.
+   * impersonator: { id, email } of the admin user
+   */
+  async createImpersonationSession(teacher, impersonator, client) {
+    const { expiresInMinutes } = strapi.config.get('teacher-auth.impersonation');
+    const expiresAt = new Date(Date.now() + expiresInMinutes * 60 * 1000);
+
+    const session = await strapi.db.query(SESSION_UID).create({
+      data: {
+        teacher: teacher.id,
+        expiresAt,
+        lastUsedAt: new Date(),
+        impersonatedBy: `admin:${impersonator.id} (${impersonator.email})`,
+        ...clientData(client),
+      },
+    });
+
+    const token = this.signAccessToken(teacher, session.id, {
+      expiresIn: expiresInMinutes * 60,
+      claims: {
+        impersonation: true,
+        impersonatedBy: { id: impersonator.id, email: impersonator.email },
+      },
+    });
+
+    return { token, sessionId: session.id, expiresAt };
+  },
+
+  /**
+   * Open (not revoked, not expired) sessions of a teacher, most recently used first.
+   * currentSessionId marks the session making the request.
+   */
+  async listSessions(teacherId, { currentSessionId } = {}) {
+    const sessions = await strapi.db.query(SESSION_UID).findMany({
+      where: {
+        teacher: { id: teacherId },
+        revokedAt: null,
+        expiresAt: { $gt: new Date() },
+      },
+      orderBy: [{ lastUsedAt: 'desc' }, { id: 'desc' }],
+    });
+
+    return sessions.map((session) => ({
+      id: session.id,
+      device: describeUserAgent(session.userAgent),
+      userAgent: session.userAgent,
+      ip: session.ip,
+      signedInAt: session.createdAt,
+      lastSeenAt: session.lastUsedAt,
+      expiresAt: session.expiresAt,
+      impersonatedBy: session.impersonatedBy || null,
+      current: session.id === currentSessionId,
+    }));
+  },
+
+  /**
+   * Find an open session belonging to a teacher (null if unknown, revoked or someone else's)
+   */
+  async findOpenSession(teacherId, sessionId) {
+    return strapi.db.query(SESSION_UID).findOne({
+      where: {
+        id: sessionId,
+        teacher: { id: teacherId },
+        revokedAt: null,
+        expiresAt: { $gt: new Date() },
+      },
+    });
+  },
+
+  /**
+   * Resolve course references (numeric ids or documentIds) to course documentIds.
+   * Returns the documentIds found plus the references that matched nothing.
+   */
+  async resolveCourseDocumentIds(courseRefs) {
+    const refs = courseRefs.map(String);
+    const numericIds = refs.filter((ref) => /^\d+$/.test(ref)).map(Number);
+
+    const courses = await strapi.db.query('api::course.course').findMany({
+      where: {
+        $or: [{ id: { $in: numericIds } }, { documentId: { $in: refs } }],
+      },
+      select: ['id', 'documentId'],
+    });
+
+    const missing = refs.filter(
+      (ref) => !courses.some((course) => String(course.id) === ref || course.documentId === ref)
+    );
+
+    return {
+      documentIds: [...new Set(courses.map((course) => course.documentId))],
+      missing,
+    };
+  },
+
+  /**
+   * Connect/disconnect courses on a teacher (document service keeps draft and published course rows in sync).
+   * Connected courses count as assigned by hand: api::class.class syncTeacherCourses no longer removes them.
+   */
+  async updateCourseAssignments(teacher, { connect = [], disconnect = [] }) {
+    await strapi.documents('api::teacher.teacher').update({
+      documentId: teacher.documentId,
+      data: {
+        courses: { connect, disconnect },
+      },
+    });
+
+    const { classCourses } = await strapi.db.query('api::teacher.teacher').findOne({
+      where: { id: teacher.id },
+      select: ['classCourses'],
+    });
+
+    if (classCourses && classCourses.some((documentId) => connect.includes(documentId))) {
+      await strapi.db.query('api::teacher.teacher').update({
+        where: { id: teacher.id },
+        data: { classCourses: classCourses.filter((documentId) => !connect.includes(documentId)) },
+      });
+    }
+
+    return this.findAssignedCourses(teacher);
+  },
+
+  /**
+   * Courses currently assigned to a teacher
+   */
+  async findAssignedCourses(teacher) {
+    const result = await strapi.documents('api::teacher.teacher').findOne({
+      documentId: teacher.documentId,
+      populate: {
+        courses: { fields: ['documentId', 'course_title'] },
+      },
+    });
+
+    return (result?.courses || []).map((course) => ({
+      id: course.id,
+      documentId: course.documentId,
+      course_title: course.course_title,
+    }));
+  },
+
+  /**
+   * Field rules for a new teacher account (shared by create and the bulk import).
+   * Returns an error message, or null when the data is acceptable.
+   */
+  validateNewTeacher({ name, email, username }) {
+    if (!email || !username || !name) {
+      return 'Email, username, and name are required';
+    }
+
+    return this.validateEmail(email);
+  },
+
+  /**
+   * Check an email address format. Returns an error message, or null when it is acceptable.
+   */
+  validateEmail(email) {
+    if (typeof email !== 'string' || !EMAIL_REGEX.test(email)) {
+      return 'Invalid email format';
+    }
+
+    return null;
+  },
+
+  /**
+   * Check email/username against existing teachers (username is optional, for email changes).
+   * Both compare case-insensitively, so Jane@school.org can't sit next to jane@school.org.
+   * Returns an error message, or null when both are free.
+   */
+  async findTeacherConflict({ email, username }) {
+    const existingEmail = await strapi.db.query('api::teacher.teacher').findOne({
+      where: { email: { $eqi: email } },
+      select: ['id'],
+    });
+
+    if (existingEmail) {
+      return 'A teacher with this email already exists';
+    }
+
+    if (username === undefined) {
+      return null;
+    }
+
+    const existingUsername = await strapi.db.query('api::teacher.teacher').findOne({
+      where: { username: { $eqi: username } },
+      select: ['id'],
+    });
+
+    if (existingUsername) {
+      return 'This username is already taken';
+    }
+
+    return null;
+  },
+
+  /**
+   * Parse a teacher import CSV (header row required, columns in any order).
+   * Returns { rows } or { error } when the file itself is unusable.
+   */
+  parseTeacherCsv(csv) {
+    let records;
+    try {
+      records = parseCsv(csv);
+    } catch (error) {
+      return { error: error.message };
+    }
+
+    if (records.length === 0) {
+      return { error: 'CSV is empty' };
+    }
+
+    const [header, ...body] = records;
+    const columns = header.values.map((column) => column.trim().toLowerCase());
+
+    const missing = REQUIRED_IMPORT_COLUMNS.filter((column) => !columns.includes(column));
+    if (missing.length > 0) {
+      return { error: `CSV is missing required column(s): ${missing.join(', ')}` };
+    }
+
+    const unknown = columns.filter((column) => !IMPORT_COLUMNS.includes(column));
+    if (unknown.length > 0) {
+      return {
+        error: `Unknown CSV column(s): ${unknown.join(', ')} (allowed: ${IMPORT_COLUMNS.join(', ')})`,
+      };
+    }
+
+    if (body.length === 0) {
+      return { error: 'CSV has no teacher rows' };
+    }
+
+    if (body.length > MAX_IMPORT_ROWS) {
+      return { error: `CSV has ${body.length} rows, the maximum per import is ${MAX_IMPORT_ROWS}` };
+    }
+
+    const rows = body.map(({ line, values }) => {
+      const row = { line };
+
+      columns.forEach((column, index) => {
+        row[column] = (values[index] || '').trim() || null;
+      });
+
+      return row;
+    });
+
+    return { rows };
+  },
+
+  /**
+   * Validate every row, then (unless dryRun) create all accounts in one transaction.
+   * Nothing is created when any row is invalid or any create fails (that row is reported
+   * with status "error"), so a corrected file can simply be re-imported.
+   * Setup emails are queued by the teacher lifecycle exactly as for a single create.
+   */
+  async importTeachers(rows, { dryRun = true } = {}) {
+    const seenEmails = new Map();
+    const seenUsernames = new Map();
+
+    const report = [];
+
+    for (const row of rows) {
+      const entry = {
+        line: row.line,
+        email: row.email,
+        username: row.username,
+        status: 'valid',
+        errors: [],
+      };
+
+      const error = this.validateNewTeacher(row);
+
+      if (error) {
+        entry.errors.push(error);
+      } else {
+        const emailKey = row.email.toLowerCase();
+        const usernameKey = row.username.toLowerCase();
+
+        if (seenEmails.has(emailKey)) {
+          entry.errors.push(`Duplicate email in CSV (line ${seenEmails.get(emailKey)})`);
+        }
+
+        if (seenUsernames.has(usernameKey)) {
+          entry.errors.push(`Duplicate username in CSV (line ${seenUsernames.get(usernameKey)})`);
+        }
+
+        seenEmails.set(emailKey, seenEmails.get(emailKey) || row.line);
+        seenUsernames.set(usernameKey, seenUsernames.get(usernameKey) || row.line);
+
+        const conflict = await this.findTeacherConflict(row);
+        if (conflict) {
+          entry.errors.push(conflict);
+        }
+      }
+
+      if (entry.errors.length > 0) {
+        entry.status = 'invalid';
+      }
+
+      report.push(entry);
+    }
+
+    const invalid = report.filter((entry) => entry.status === 'invalid').length;
+    const summary = { dryRun, total: rows.length, valid: rows.length - invalid, invalid, created: 0 };
+
+    if (dryRun || invalid > 0) {
+      return { ...summary, rows: report };
+    }
+
+    // All or nothing: a failing create rolls back the rows before it (and their queued emails)
+    let current = null;
+
+    try {
+      const ids = await strapi.db.transaction(async () => {
+        const created = [];
+
+        for (const [index, row] of rows.entries()) {
+          current = report[index];
+
+          const teacher = await strapi.entityService.create('api::teacher.teacher', {
+            data: {
+              name: row.name,
+              email: row.email,
+              username: row.username,
+              phone: row.phone || null,
+              qualification: row.qualification || null,
+            },
+          });
+
+          created.push(teacher.id);
+        }
+
+        return created;
+      });
+
+      ids.forEach((id, index) => Object.assign(report[index], { status: 'created', id }));
+      summary.created = ids.length;
+    } catch (error) {
+      console.error(`❌ Import of teacher on line ${current.line} failed, nothing was imported:`, error);
+      current.status = 'error';
+      current.errors.push(error.message);
+    }
+
+    return { ...summary, rows: report };
+  },
+
+  /**
+   * Deactivate (offboard) a teacher: block the account, revoke every session, API token
+   * and pending setup/reset/sign-in link, and optionally hand their courses to another teacher.
+   * Returns the documentIds of the transferred courses.
+   */
+  async deactivateTeacher(teacher, { actor, reason, transferTo } = {}) {
+    await strapi.db.query('api::teacher.teacher').update({
+      where: { id: teacher.id },
+      data: {
+        isActive: false,
+        deactivatedAt: new Date(),
+        deactivatedBy: actor,
+        deactivationReason: reason || null,
+        resetPasswordToken: null,
+        resetPasswordExpires: null,
+        magicLinkToken: null,
+        magicLinkExpires: null,
+      },
+    });
+
+    await this.revokeAllSessions(teacher.id);
+    await strapi.service('api::teacher.api-token').revokeAll(teacher.id);
+
+    if (!transferTo) {
+      return [];
+    }
+
+    const courses = await this.findAssignedCourses(teacher);
+    const documentIds = courses.map((course) => course.documentId);
+
+    if (documentIds.length > 0) {
+      await this.updateCourseAssignments(transferTo, { connect: documentIds });
+      await this.updateCourseAssignments(teacher, { disconnect: documentIds });
+    }
+
+    return documentIds;
+  },
+
+  /**
+   * Lift a deactivation. Teachers who never set a password go back to the
+   * invited state (inactive until they complete the setup link).
+   */
+  async reactivateTeacher(teacher, { actor } = {}) {
+    return strapi.db.query('api::teacher.teacher').update({
+      where: { id: teacher.id },
+      data: {
+        isActive: Boolean(teacher.password),
+        deactivatedAt: null,
+        reactivatedAt: new Date(),
+        reactivatedBy: actor,
+      },
+    });
+  },
+
+  /**
+   * Issue a fresh setup link and email it. Invited (inactive) teachers get the setup
+   * reminder with the configured invite lifetime, active teachers a reset link with the
+   * configured password reset lifetime.
+   * Returns the new expiry.
+   */
+  async sendSetupEmail(teacher) {
+    const minutes = teacher.isActive
+      ? strapi.config.get('teacher-auth.passwordReset').expiresInMinutes
+      : strapi.config.get('teacher-auth.invite').expiresInMinutes;
+
+    const resetToken = crypto.randomBytes(32).toString('hex');
+    const expiresAt = new Date(Date.now() + minutes * 60 * 1000);
+
+    await strapi.db.query('api::teacher.teacher').update({
+      where: { id: teacher.id },
+      data: {
+        resetPasswordToken: hashToken(resetToken),
+        resetPasswordExpires: expiresAt,
+        ...(teacher.isActive ? {} : { inviteSentAt: new Date() }),
+      },
+    });
+
+    const frontendUrl = process.env.FRONTEND_URL || 'http://localhost:3000';
+
+    await strapi.service('api::mailer.mailer').send(
+      teacher.isActive ? 'teacher-password-reset' : 'teacher-setup-reminder',
+      {
+        to: teacher.email,
+        variables: {
+          name: teacher.name,
+          username: teacher.username,
+          actionUrl: `${frontendUrl}/set-password?token=${resetToken}`,
+          expiresIn: formatDuration(minutes * 60 * 1000),
+        },
+      }
+    );
+
+    return expiresAt;
+  },
+
+  /**
+   * Teachers who were invited but have not set a password yet (deactivated accounts excluded).
+   * status: "pending" (link still valid) or "expired"; anything else lists both.
+   * Returns { invitations, counts: { pending, expired }, pagination }.
+   */
+  async listInvitations({ status, page = 1, pageSize = 25 } = {}) {
+    const now = new Date();
+    const invited = { isActive: false, deactivatedAt: null };
+    const byStatus = {
+      pending: { ...invited, resetPasswordExpires: { $gt: now } },
+      expired: {
+        ...invited,
+        $or: [{ resetPasswordExpires: null }, { resetPasswordExpires: { $lte: now } }],
+      },
+    };
+    const where = byStatus[status] || invited;
+
+    const [teachers, total, pending, expired] = await Promise.all([
+      strapi.db.query('api::teacher.teacher').findMany({
+        where,
+        orderBy: [{ inviteSentAt: 'desc' }, { id: 'desc' }],
+        offset: (page - 1) * pageSize,
+        limit: pageSize,
+      }),
+      strapi.db.query('api::teacher.teacher').count({ where }),
+      strapi.db.query('api::teacher.teacher').count({ where: byStatus.pending }),
+      strapi.db.query('api::teacher.teacher').count({ where: byStatus.expired }),
+    ]);
+
+    const invitations = teachers.map((teacher) => {
+      const expiresAt = teacher.resetPasswordExpires;
+
+      return {
+        id: teacher.id,
+        name: teacher.name,
+        email: teacher.email,
+        username: teacher.username,
+        createdAt: teacher.createdAt,
+        // Teachers created before invite tracking fall back to their creation time
+        inviteSentAt: teacher.inviteSentAt || teacher.createdAt,
+        expiresAt,
+        status: expiresAt && new Date(expiresAt) > now ? 'pending' : 'expired',
+      };
+    });
+
+    return {
+      invitations,
+      counts: { pending, expired },
+      pagination: { page, pageSize, pageCount: Math.ceil(total / pageSize), total },
+    };
+  },
+
+  /**
+   * Resend setup emails to several invited teachers.
+   * Returns one result per id: { id, email, status: "sent" | "skipped" | "not_found", reason, expiresAt }.
+   */
+  async resendInvitations(teacherIds) {
+    const results = [];
+
+    for (const id of teacherIds) {
+      const teacher = await strapi.db.query('api::teacher.teacher').findOne({ where: { id } });
+
+      if (!teacher) {
+        results.push({ id, status: 'not_found' });
+        continue;
+      }
+
+      if (teacher.deactivatedAt || teacher.isActive) {
+        results.push({
+          id,
+          email: teacher.email,
+          status: 'skipped',
+          reason: teacher.deactivatedAt ? 'Teacher is deactivated' : 'Teacher has already set a password',
+        });
+        continue;
+      }
+
+      try {
+        const expiresAt = await this.sendSetupEmail(teacher);
+        results.push({ id, email: teacher.email, status: 'sent', expiresAt });
+      } catch (error) {
+        console.error(`❌ Failed to resend invitation to ${teacher.email}:`, error.message);
+        results.push({ id, email: teacher.email, status: 'skipped', reason: 'Failed to queue email' });
+      }
+    }
+
+    return results;
+  },
+}));
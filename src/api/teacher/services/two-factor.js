@@ -0,0 +1,216 @@
+'use strict';
+
+/**
+ * two-factor service
+ *
+ * Optional TOTP second factor for teacher accounts: enrolment, recovery codes and
+ * the short-lived challenge token teacher.login returns when 2FA is enabled.
+ *
+ * A challenge token is single use: its id (jti) is stored on the teacher and
+ * cleared when the second step succeeds, and a newer login replaces it. It is
+ * also bound to passwordSetAt, so a password change invalidates it.
+ */
+
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const totp = require('../utils/totp');
+
+const TEACHER_UID = 'api::teacher.teacher';
+
+// Ties a challenge token to the password it was issued for
+const passwordStamp = (teacher) => (teacher.passwordSetAt ? new Date(teacher.passwordSetAt).getTime() : null);
+
+const hashCode = (code) =>
+  crypto.createHash('sha256').update(String(code).trim().toLowerCase()).digest('hex');
+
+module.exports = ({ strapi }) => ({
+  /**
+   * Start enrolment: store a fresh (not yet enabled) secret and return the provisioning data
+   */
+  async setup(teacher) {
+    const { issuer } = strapi.config.get('teacher-auth.twoFactor');
+    const secret = totp.generateSecret();
+
+    await strapi.db.query(TEACHER_UID).update({
+      where: { id: teacher.id },
+      data: {
+        twoFactorSecret: secret,
+        twoFactorEnabled: false,
+        twoFactorLastStep: null,
+      },
+    });
+
+    return {
+      secret,
+      otpauthUrl: totp.provisioningUri({ secret, accountName: teacher.email, issuer }),
+    };
+  },
+
+  /**
+   * Confirm enrolment with a first code. Returns the plain recovery codes (shown once),
+   * or null if the code is wrong.
+   */
+  async enable(teacher, code) {
+    const step = totp.verifyCode(teacher.twoFactorSecret, code);
+
+    if (step === null) {
+      return null;
+    }
+
+    const recoveryCodes = this.generateRecoveryCodes();
+
+    await strapi.db.query(TEACHER_UID).update({
+      where: { id: teacher.id },
+      data: {
+        twoFactorEnabled: true,
+        twoFactorLastStep: step,
+        twoFactorRecoveryCodes: recoveryCodes.map(hashCode),
+      },
+    });
+
+    return recoveryCodes;
+  },
+
+  /**
+   * Turn 2FA off and forget the secret
+   */
+  async disable(teacher) {
+    await strapi.db.query(TEACHER_UID).update({
+      where: { id: teacher.id },
+      data: {
+        twoFactorEnabled: false,
+        twoFactorSecret: null,
+        twoFactorLastStep: null,
+        twoFactorRecoveryCodes: null,
+      },
+    });
+  },
+
+  /**
+   * Replace the recovery codes - returns the new plain codes
+   */
+  async regenerateRecoveryCodes(teacher) {
+    const recoveryCodes = this.generateRecoveryCodes();
+
+    await strapi.db.query(TEACHER_UID).update({
+      where: { id: teacher.id },
+      data: { twoFactorRecoveryCodes: recoveryCodes.map(hashCode) },
+    });
+
+    return recoveryCodes;
+  },
+
+  generateRecoveryCodes() {
+    const { recoveryCodeCount } = strapi.config.get('teacher-auth.twoFactor');
+
+    return Array.from({ length: recoveryCodeCount }, () => {
+      const raw = crypto.randomBytes(5).toString('hex');
+      return `${raw.slice(0, 5)}-${raw.slice(5)}`;
+    });
+  },
+
+  /**
+   * Check a TOTP code or a recovery code for an enrolled teacher.
+   * Used codes are burnt: the TOTP step can't be replayed, a recovery code is removed.
+   */
+  async verifySecondFactor(teacher, { code, recoveryCode }) {
+    if (!teacher.twoFactorEnabled || !teacher.twoFactorSecret) {
+      return false;
+    }
+
+    if (code) {
+      const lastStep = teacher.twoFactorLastStep ?? -1;
+      const step = totp.verifyCode(teacher.twoFactorSecret, code, { afterStep: lastStep });
+
+      if (step === null) {
+        return false;
+      }
+
+      await strapi.db.query(TEACHER_UID).update({
+        where: { id: teacher.id },
+        data: { twoFactorLastStep: step },
+      });
+
+      return true;
+    }
+
+    if (recoveryCode) {
+      const remaining = Array.isArray(teacher.twoFactorRecoveryCodes) ? teacher.twoFactorRecoveryCodes : [];
+      const hash = hashCode(recoveryCode);
+
+      if (!remaining.includes(hash)) {
+        return false;
+      }
+
+      await strapi.db.query(TEACHER_UID).update({
+        where: { id: teacher.id },
+        data: { twoFactorRecoveryCodes: remaining.filter((stored) => stored !== hash) },
+      });
+
+      console.log(`🔑 Recovery code used by ${teacher.email} (${remaining.length - 1} left)`);
+
+      return true;
+    }
+
+    return false;
+  },
+
+  /**
+   * Short-lived token proving the password step succeeded
+   */
+  async createChallengeToken(teacher) {
+    const { secret } = strapi.config.get('teacher-auth.jwt');
+    const { challengeExpiresIn } = strapi.config.get('teacher-auth.twoFactor');
+    const challengeId = crypto.randomBytes(16).toString('hex');
+
+    // The updated row, so the password stamp does not depend on the caller's select
+    const updated = await strapi.db.query(TEACHER_UID).update({
+      where: { id: teacher.id },
+      data: { twoFactorChallengeId: challengeId },
+    });
+
+    return jwt.sign(
+      { id: teacher.id, type: 'teacher-2fa-challenge', pwd: passwordStamp(updated) },
+      secret,
+      { expiresIn: challengeExpiresIn, jwtid: challengeId }
+    );
+  },
+
+  /**
+   * Decoded claims of a valid challenge token ({ id, jti, pwd }), or null
+   */
+  verifyChallengeToken(challengeToken) {
+    const { secret } = strapi.config.get('teacher-auth.jwt');
+
+    try {
+      const decoded = jwt.verify(challengeToken, secret);
+      return decoded.type === 'teacher-2fa-challenge' && decoded.jti ? decoded : null;
+    } catch (error) {
+      return null;
+    }
+  },
+
+  /**
+   * Whether a verified challenge is still the teacher's current, unused one
+   * and was issued for their current password
+   */
+  isChallengeCurrent(teacher, challenge) {
+    return (
+      Boolean(teacher.twoFactorChallengeId) &&
+      teacher.twoFactorChallengeId === challenge.jti &&
+      passwordStamp(teacher) === challenge.pwd
+    );
+  },
+
+  /**
+   * Burn a challenge - only one request can win the conditional update
+   */
+  async consumeChallenge(teacher, challenge) {
+    const { count } = await strapi.db.query(TEACHER_UID).updateMany({
+      where: { id: teacher.id, twoFactorChallengeId: challenge.jti },
+      data: { twoFactorChallengeId: null },
+    });
+
+    return count > 0;
+  },
+});
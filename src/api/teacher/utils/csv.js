@@ -0,0 +1,69 @@
+'use strict';
+
+/**
+ * Minimal RFC 4180 CSV parser for admin imports.
+ * Handles quoted fields (with "" escapes and embedded commas/newlines),
+ * CRLF or LF line endings and a leading UTF-8 BOM. Blank lines are skipped.
+ * Returns an array of { line, values } where line is the 1-based source line.
+ */
+const parseCsv = (input) => {
+  const text = String(input).replace(/^\uFEFF/, '');
+  const records = [];
+
+  let values = [];
+  let field = '';
+  let quoted = false;
+  let line = 1;
+  let recordLine = 1;
+
+  const endRecord = () => {
+    values.push(field);
+
+    if (values.length > 1 || values[0].trim() !== '') {
+      records.push({ line: recordLine, values });
+    }
+
+    values = [];
+    field = '';
+  };
+
+  for (let i = 0; i < text.length; i += 1) {
+    const char = text[i];
+
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i += 1;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        if (char === '\n') line += 1;
+        field += char;
+      }
+    } else if (char === '"' && field === '') {
+      quoted = true;
+    } else if (char === ',') {
+      values.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i += 1;
+      endRecord();
+      line += 1;
+      recordLine = line;
+    } else {
+      field += char;
+    }
+  }
+
+  if (quoted) {
+    throw new Error(`Unterminated quoted field starting on line ${recordLine}`);
+  }
+
+  if (field !== '' || values.length > 0) {
+    endRecord();
+  }
+
+  return records;
+};
+
+module.exports = { parseCsv };
@@ -0,0 +1,46 @@
+'use strict';
+
+/**
+ * Turn a User-Agent header into a short device label for the session list,
+ * e.g. "Chrome on Windows" or "Safari on iPhone". Only the common browsers and
+ * platforms are recognised; anything else falls back to "Unknown browser/device".
+ */
+
+// Order matters: Edge and Opera also claim to be Chrome, Chrome also claims to be Safari
+const BROWSERS = [
+  ['Edge', /Edg(e|A|iOS)?\//],
+  ['Opera', /OPR\/|Opera/],
+  ['Samsung Internet', /SamsungBrowser\//],
+  ['Firefox', /Firefox\/|FxiOS\//],
+  ['Chrome', /Chrome\/|CriOS\//],
+  ['Safari', /Version\/[\d.]+.*Safari\//],
+];
+
+const PLATFORMS = [
+  ['iPhone', /iPhone/],
+  ['iPad', /iPad/],
+  ['Android', /Android/],
+  ['Windows', /Windows/],
+  ['macOS', /Mac OS X|Macintosh/],
+  ['ChromeOS', /CrOS/],
+  ['Linux', /Linux/],
+];
+
+const match = (list, userAgent) => (list.find(([, pattern]) => pattern.test(userAgent)) || [])[0];
+
+const describeUserAgent = (userAgent) => {
+  if (!userAgent) {
+    return 'Unknown device';
+  }
+
+  const browser = match(BROWSERS, userAgent);
+  const platform = match(PLATFORMS, userAgent);
+
+  if (browser && platform) {
+    return `${browser} on ${platform}`;
+  }
+
+  return browser || platform || 'Unknown browser/device';
+};
+
+module.exports = { describeUserAgent };
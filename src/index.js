@@ -59,5 +59,12 @@ module.exports = {
     });
     
     console.log('✅ Lesson lifecycle subscribed - files will be moved to S3 folders after lesson save');
+
+    // Lesson quizz_links kept by the preserve-lesson-quizz-links migration become external-link quizzes
+    try {
+      await strapi.service('api::quiz.quiz').importLegacyLinks();
+    } catch (error) {
+      console.error('❌ Failed to import lesson quiz links:', error);
+    }
   },
 };
\ No newline at end of file
@@ -0,0 +1,53 @@
+'use strict';
+
+/**
+ * Student authentication middleware
+ * File: src/middlewares/student-auth.js
+ *
+ * Authenticates the `type: "student"` JWT issued by student.login and attaches
+ * the student to `ctx.state.student` (decoded token in `ctx.state.studentToken`).
+ *
+ * Attach it per route, with Strapi auth disabled:
+ *   config: { auth: false, middlewares: ["global::student-auth"] }
+ *
+ * A route middleware rather than a policy for the same reason as teacher-auth:
+ * the 401 messages reach the client.
+ */
+
+module.exports = (config, { strapi }) => {
+  return async (ctx, next) => {
+    const authHeader = ctx.request.headers.authorization;
+
+    if (!authHeader || !authHeader.startsWith('Bearer ')) {
+      return ctx.unauthorized('No authorization token provided');
+    }
+
+    const token = authHeader.replace('Bearer ', '');
+    const decoded = await strapi.service('api::student.student').verifyAccessToken(token);
+
+    if (!decoded) {
+      return ctx.unauthorized('Invalid or expired token');
+    }
+
+    const student = await strapi.db.query('api::student.student').findOne({
+      where: { id: decoded.id },
+    });
+
+    if (!student) {
+      return ctx.unauthorized('Student not found');
+    }
+
+    if (student.deactivatedAt) {
+      return ctx.unauthorized('Account has been deactivated');
+    }
+
+    if (!student.isActive) {
+      return ctx.unauthorized('Account is not active');
+    }
+
+    ctx.state.student = student;
+    ctx.state.studentToken = decoded;
+
+    return next();
+  };
+};
@@ -0,0 +1,125 @@
+'use strict';
+
+/**
+ * Teacher authentication middleware
+ * File: src/middlewares/teacher-auth.js
+ *
+ * Authenticates the custom `type: "teacher"` JWT issued by teacher.login and
+ * attaches the teacher to `ctx.state.teacher` (decoded token in `ctx.state.teacherToken`).
+ *
+ * Attach it per route (custom routes or core router config), with Strapi auth disabled:
+ *   config: { auth: false, middlewares: ["global::teacher-auth"] }
+ *
+ * Teacher personal API tokens (services/api-token.js) are accepted too, with
+ * `ctx.state.teacherToken` set to { id, type: "teacher-api-token", tokenId, scope }.
+ * Read-only tokens may only make GET/HEAD requests.
+ *
+ * Impersonation tokens minted for super admins by the teacher-admin plugin carry
+ * `impersonation: true` and `impersonatedBy`; every request made with one is recorded
+ * as an "impersonated_request" auth event, and with teacher-auth.impersonation.readOnly
+ * only GET/HEAD requests are let through.
+ *
+ * Account routes turn both API tokens and impersonation tokens away:
+ *   middlewares: [{ name: "global::teacher-auth", config: { allowApiTokens: false, allowImpersonation: false } }]
+ *
+ * Implemented as a route middleware rather than a policy so the 401 messages
+ * reach the client (Strapi masks UnauthorizedError thrown from policies).
+ */
+
+const READ_METHODS = ['GET', 'HEAD'];
+
+module.exports = (config, { strapi }) => {
+  const allowApiTokens = config?.allowApiTokens !== false;
+  const allowImpersonation = config?.allowImpersonation !== false;
+
+  const auditImpersonation = (ctx, decoded, details) =>
+    strapi.service('api::teacher.auth-audit').record(ctx, 'impersonated_request', {
+      teacher: { id: decoded.id, email: decoded.email },
+      actor: `admin:${decoded.impersonatedBy.id} (${decoded.impersonatedBy.email})`,
+      ...details,
+      metadata: { method: ctx.method, path: ctx.path, status: ctx.status },
+    });
+
+  return async (ctx, next) => {
+    const authHeader = ctx.request.headers.authorization;
+
+    if (!authHeader || !authHeader.startsWith('Bearer ')) {
+      return ctx.unauthorized('No authorization token provided');
+    }
+
+    const token = authHeader.replace('Bearer ', '');
+    const apiTokens = strapi.service('api::teacher.api-token');
+
+    let decoded;
+
+    if (apiTokens.isApiToken(token)) {
+      if (!allowApiTokens) {
+        return ctx.forbidden('API tokens cannot be used for this endpoint');
+      }
+
+      const apiToken = await apiTokens.verify(token);
+
+      if (!apiToken) {
+        return ctx.unauthorized('Invalid or expired token');
+      }
+
+      if (apiToken.scope === 'read-only' && !READ_METHODS.includes(ctx.method)) {
+        return ctx.forbidden('This API token is read-only');
+      }
+
+      decoded = { id: apiToken.teacher.id, type: 'teacher-api-token', tokenId: apiToken.id, scope: apiToken.scope };
+    } else {
+      decoded = await strapi.service('api::teacher.teacher').verifyAccessToken(token);
+    }
+
+    if (!decoded) {
+      return ctx.unauthorized('Invalid or expired token');
+    }
+
+    if (decoded.impersonation) {
+      const readOnly = strapi.config.get('teacher-auth.impersonation.readOnly');
+      let refusal = null;
+
+      if (!allowImpersonation) {
+        refusal = 'This endpoint is not available while impersonating a teacher';
+      } else if (readOnly && !READ_METHODS.includes(ctx.method)) {
+        refusal = 'Impersonation sessions are read-only';
+      }
+
+      if (refusal) {
+        ctx.forbidden(refusal);
+        await auditImpersonation(ctx, decoded, { outcome: 'failure', reason: refusal });
+        return;
+      }
+    }
+
+    const teacher = await strapi.db.query('api::teacher.teacher').findOne({
+      where: { id: decoded.id },
+    });
+
+    if (!teacher) {
+      return ctx.unauthorized('Teacher not found');
+    }
+
+    if (teacher.deactivatedAt) {
+      return ctx.unauthorized('Account has been deactivated');
+    }
+
+    if (!teacher.isActive) {
+      return ctx.unauthorized('Account is not active');
+    }
+
+    ctx.state.teacher = teacher;
+    ctx.state.teacherToken = decoded;
+
+    if (!decoded.impersonation) {
+      return next();
+    }
+
+    try {
+      await next();
+    } finally {
+      await auditImpersonation(ctx, decoded, {});
+    }
+  };
+};
@@ -0,0 +1,25 @@
+import { Mail } from '@strapi/icons';
+import pluginPkg from '../../package.json';
+import pluginId from './pluginId';
+
+export default {
+  register(app) {
+    app.addMenuLink({
+      to: `plugins/${pluginId}`,
+      icon: Mail,
+      intlLabel: {
+        id: `${pluginId}.invitations.title`,
+        defaultMessage: 'Teacher invitations',
+      },
+      permissions: [{ action: `plugin::${pluginId}.invitations.manage`, subject: null }],
+      Component: () => import('./pages/Invitations'),
+    });
+
+    app.registerPlugin({
+      id: pluginId,
+      name: pluginPkg.strapi.name,
+    });
+  },
+
+  bootstrap() {},
+};
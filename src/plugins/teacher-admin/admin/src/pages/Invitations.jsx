@@ -0,0 +1,209 @@
+import * as React from 'react';
+import { Page, Layouts, useFetchClient, useNotification } from '@strapi/strapi/admin';
+import {
+  Badge,
+  Box,
+  Button,
+  Checkbox,
+  Flex,
+  SingleSelect,
+  SingleSelectOption,
+  Table,
+  Tbody,
+  Td,
+  Th,
+  Thead,
+  Tr,
+  Typography,
+} from '@strapi/design-system';
+import { Mail } from '@strapi/icons';
+import pluginId from '../pluginId';
+
+/**
+ * Teachers who were invited but have not set a password yet, with bulk
+ * "resend setup email". Data comes from the plugin admin routes, which wrap
+ * GET /api/teachers/invitations and POST /api/teachers/invitations/resend.
+ */
+
+const PAGE_SIZE = 25;
+
+const formatDate = (value) => (value ? new Date(value).toLocaleString() : '-');
+
+const InvitationsPage = () => {
+  const { get, post } = useFetchClient();
+  const { toggleNotification } = useNotification();
+
+  const [status, setStatus] = React.useState('');
+  const [page, setPage] = React.useState(1);
+  const [result, setResult] = React.useState(null);
+  const [selected, setSelected] = React.useState([]);
+  const [error, setError] = React.useState(false);
+  const [isSending, setIsSending] = React.useState(false);
+
+  const load = React.useCallback(async () => {
+    try {
+      const params = new URLSearchParams({ page: String(page), pageSize: String(PAGE_SIZE) });
+      if (status) params.set('status', status);
+
+      const { data } = await get(`/${pluginId}/invitations?${params}`);
+
+      setResult(data);
+      setSelected([]);
+      setError(false);
+    } catch (err) {
+      setError(true);
+    }
+  }, [get, page, status]);
+
+  React.useEffect(() => {
+    load();
+  }, [load]);
+
+  const resend = async (teacherIds) => {
+    setIsSending(true);
+
+    try {
+      const { data } = await post(`/${pluginId}/invitations/resend`, { teacherIds });
+
+      toggleNotification({
+        type: data.meta.skipped > 0 ? 'warning' : 'success',
+        message: `${data.meta.sent} invitation(s) resent, ${data.meta.skipped} skipped`,
+      });
+
+      await load();
+    } catch (err) {
+      toggleNotification({ type: 'danger', message: 'Failed to resend invitations' });
+    } finally {
+      setIsSending(false);
+    }
+  };
+
+  if (error) {
+    return <Page.Error />;
+  }
+
+  if (!result) {
+    return <Page.Loading />;
+  }
+
+  const invitations = result.data;
+  const { counts, pagination } = result.meta;
+  const allSelected = invitations.length > 0 && selected.length === invitations.length;
+
+  const toggle = (id) =>
+    setSelected((current) => (current.includes(id) ? current.filter((value) => value !== id) : [...current, id]));
+
+  return (
+    <Page.Main>
+      <Page.Title>Teacher invitations</Page.Title>
+      <Layouts.Header
+        title="Teacher invitations"
+        subtitle={`${counts.pending} pending, ${counts.expired} expired`}
+        primaryAction={
+          <Button
+            startIcon={<Mail />}
+            disabled={selected.length === 0}
+            loading={isSending}
+            onClick={() => resend(selected)}
+          >
+            Resend setup email ({selected.length})
+          </Button>
+        }
+      />
+      <Layouts.Content>
+        <Box paddingBottom={4} width="240px">
+          <SingleSelect
+            aria-label="Status"
+            value={status}
+            onChange={(value) => {
+              setStatus(value);
+              setPage(1);
+            }}
+          >
+            <SingleSelectOption value="">All invitations</SingleSelectOption>
+            <SingleSelectOption value="pending">Pending</SingleSelectOption>
+            <SingleSelectOption value="expired">Expired</SingleSelectOption>
+          </SingleSelect>
+        </Box>
+
+        <Table colCount={7} rowCount={invitations.length + 1}>
+          <Thead>
+            <Tr>
+              <Th>
+                <Checkbox
+                  aria-label="Select all"
+                  checked={allSelected}
+                  onCheckedChange={() => setSelected(allSelected ? [] : invitations.map((item) => item.id))}
+                />
+              </Th>
+              <Th><Typography variant="sigma">Name</Typography></Th>
+              <Th><Typography variant="sigma">Email</Typography></Th>
+              <Th><Typography variant="sigma">Invite sent</Typography></Th>
+              <Th><Typography variant="sigma">Link expires</Typography></Th>
+              <Th><Typography variant="sigma">Status</Typography></Th>
+              <Th><Typography variant="sigma">Actions</Typography></Th>
+            </Tr>
+          </Thead>
+          <Tbody>
+            {invitations.length === 0 && (
+              <Tr>
+                <Td colSpan={7}>
+                  <Typography textColor="neutral600">No pending invitations</Typography>
+                </Td>
+              </Tr>
+            )}
+            {invitations.map((invitation) => (
+              <Tr key={invitation.id}>
+                <Td>
+                  <Checkbox
+                    aria-label={`Select ${invitation.name}`}
+                    checked={selected.includes(invitation.id)}
+                    onCheckedChange={() => toggle(invitation.id)}
+                  />
+                </Td>
+                <Td>
+                  <Typography>{invitation.name}</Typography>
+                </Td>
+                <Td>
+                  <Typography>{invitation.email}</Typography>
+                </Td>
+                <Td>
+                  <Typography>{formatDate(invitation.inviteSentAt)}</Typography>
+                </Td>
+                <Td>
+                  <Typography>{formatDate(invitation.expiresAt)}</Typography>
+                </Td>
+                <Td>
+                  <Badge variant={invitation.status === 'pending' ? 'success' : 'danger'}>
+                    {invitation.status}
+                  </Badge>
+                </Td>
+                <Td>
+                  <Button variant="tertiary" size="S" disabled={isSending} onClick={() => resend([invitation.id])}>
+                    Resend
+                  </Button>
+                </Td>
+              </Tr>
+            ))}
+          </Tbody>
+        </Table>
+
+        {pagination.pageCount > 1 && (
+          <Flex justifyContent="flex-end" gap={2} paddingTop={4}>
+            <Button variant="tertiary" disabled={page <= 1} onClick={() => setPage(page - 1)}>
+              Previous
+            </Button>
+            <Typography>
+              Page {pagination.page} of {pagination.pageCount}
+            </Typography>
+            <Button variant="tertiary" disabled={page >= pagination.pageCount} onClick={() => setPage(page + 1)}>
+              Next
+            </Button>
+          </Flex>
+        )}
+      </Layouts.Content>
+    </Page.Main>
+  );
+};
+
+export default InvitationsPage;
@@ -0,0 +1,3 @@
+const pluginId = 'teacher-admin';
+
+export default pluginId;
@@ -0,0 +1,62 @@
+'use strict';
+
+/**
+ * Super-admin impersonation of a teacher, for support.
+ * Mints a short-lived teacher access token flagged with `impersonation: true` and
+ * the admin in `impersonatedBy` (see createImpersonationSession in the teacher service);
+ * the teacher-auth middleware audits every request made with it.
+ */
+module.exports = ({ strapi }) => ({
+  async create(ctx) {
+    const admin = ctx.state.user;
+    const id = parseInt(ctx.params.id, 10);
+    const { reason } = ctx.request.body || {};
+
+    if (!id) {
+      return ctx.badRequest('Invalid teacher id');
+    }
+
+    if (!reason || typeof reason !== 'string' || !reason.trim()) {
+      return ctx.badRequest('A reason is required (e.g. the support ticket)');
+    }
+
+    try {
+      const teacher = await strapi.db.query('api::teacher.teacher').findOne({ where: { id } });
+
+      if (!teacher) {
+        return ctx.notFound('Teacher not found');
+      }
+
+      if (teacher.deactivatedAt || !teacher.isActive) {
+        return ctx.badRequest('Only active teachers can be impersonated');
+      }
+
+      const { token, sessionId, expiresAt } = await strapi
+        .service('api::teacher.teacher')
+        .createImpersonationSession(teacher, admin, {
+          ip: ctx.request.ip,
+          userAgent: ctx.request.headers['user-agent'],
+        });
+
+      console.log(`🕵️ ${admin.email} started impersonating ${teacher.email} (session ${sessionId})`);
+      await strapi.service('api::teacher.auth-audit').record(ctx, 'impersonation_started', {
+        teacher,
+        reason: reason.trim(),
+        metadata: { sessionId, expiresAt },
+      });
+
+      return ctx.send({
+        message: `Impersonating ${teacher.email} until ${expiresAt.toISOString()}. Every request is audited.`,
+        data: {
+          token,
+          expiresAt,
+          readOnly: strapi.config.get('teacher-auth.impersonation.readOnly'),
+          teacher: { id: teacher.id, name: teacher.name, email: teacher.email, username: teacher.username },
+        },
+      });
+    } catch (error) {
+      console.error('❌ Error starting impersonation:', error);
+      return ctx.internalServerError('Failed to start impersonation');
+    }
+  },
+});
@@ -0,0 +1,9 @@
+'use strict';
+
+const impersonation = require('./impersonation');
+const invitations = require('./invitations');
+
+module.exports = {
+  impersonation,
+  invitations,
+};
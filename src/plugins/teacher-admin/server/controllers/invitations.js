@@ -0,0 +1,15 @@
+'use strict';
+
+/**
+ * Invitation dashboard - delegates to the teacher API controller so the admin
+ * panel and API-token callers get the same validation, audit events and responses.
+ */
+module.exports = ({ strapi }) => ({
+  async find(ctx) {
+    return strapi.controller('api::teacher.teacher').invitations(ctx);
+  },
+
+  async resend(ctx) {
+    return strapi.controller('api::teacher.teacher').resendInvitations(ctx);
+  },
+});
@@ -0,0 +1,21 @@
+'use strict';
+
+/**
+ * teacher-admin plugin (server)
+ *
+ * Admin-panel routes for managing teacher accounts. The API itself lives in
+ * src/api/teacher; these routes only expose it to logged-in admin users, who
+ * authenticate with their admin session rather than an API token.
+ */
+
+const register = require('./register');
+const controllers = require('./controllers');
+const policies = require('./policies');
+const routes = require('./routes');
+
+module.exports = {
+  register,
+  controllers,
+  policies,
+  routes,
+};
@@ -0,0 +1,7 @@
+'use strict';
+
+const isSuperAdmin = require('./is-super-admin');
+
+module.exports = {
+  'is-super-admin': isSuperAdmin,
+};
@@ -0,0 +1,12 @@
+'use strict';
+
+const SUPER_ADMIN_ROLE = 'strapi-super-admin';
+
+/**
+ * Only let admin users holding the Super Admin role through
+ */
+module.exports = (policyContext) => {
+  const roles = policyContext.state.user?.roles || [];
+
+  return roles.some((role) => role.code === SUPER_ADMIN_ROLE);
+};
@@ -0,0 +1,18 @@
+'use strict';
+
+/**
+ * Admin permissions of the plugin. Assign them to roles under
+ * Settings > Administration Panel > Roles > Plugins; super admins have them all.
+ */
+const ACTIONS = [
+  {
+    section: 'plugins',
+    displayName: 'Manage teacher invitations',
+    uid: 'invitations.manage',
+    pluginName: 'teacher-admin',
+  },
+];
+
+module.exports = async ({ strapi }) => {
+  await strapi.service('admin::permission').actionProvider.registerMany(ACTIONS);
+};
@@ -0,0 +1,38 @@
+'use strict';
+
+const canManageInvitations = {
+  name: 'admin::hasPermissions',
+  config: { actions: ['plugin::teacher-admin.invitations.manage'] },
+};
+
+module.exports = {
+  admin: {
+    type: 'admin',
+    routes: [
+      {
+        method: 'GET',
+        path: '/invitations',
+        handler: 'invitations.find',
+        config: {
+          policies: [canManageInvitations],
+        },
+      },
+      {
+        method: 'POST',
+        path: '/invitations/resend',
+        handler: 'invitations.resend',
+        config: {
+          policies: [canManageInvitations],
+        },
+      },
+      {
+        method: 'POST',
+        path: '/teachers/:id/impersonate',
+        handler: 'impersonation.create',
+        config: {
+          policies: ['admin::isAuthenticatedAdmin', 'plugin::teacher-admin.is-super-admin'],
+        },
+      },
+    ],
+  },
+};
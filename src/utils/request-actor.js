@@ -0,0 +1,29 @@
+'use strict';
+
+/**
+ * Describe who is calling an ADMIN route, for "done by" fields and logs.
+ *
+ * ADMIN routes are authenticated by Strapi itself, either with an API token,
+ * a users-permissions JWT or (for admin panel plugin routes) an admin session,
+ * so the caller is read from ctx.state.auth. Returns e.g.
+ * "api-token:3 (Onboarding script)", "user:12 (jane@school.org)" or "admin:1 (ops@school.org)".
+ */
+function describeActor(ctx) {
+  const { strategy, credentials } = ctx.state.auth || {};
+
+  if (!credentials) {
+    return 'unknown';
+  }
+
+  if (strategy?.name === 'api-token') {
+    return `api-token:${credentials.id} (${credentials.name})`;
+  }
+
+  if (strategy?.name === 'admin') {
+    return `admin:${credentials.id} (${credentials.email})`;
+  }
+
+  return `user:${credentials.id} (${credentials.email || credentials.username})`;
+}
+
+module.exports = { describeActor };
@@ -0,0 +1,237 @@
+'use strict';
+
+/**
+ * Login sessions shared by teacher and student accounts
+ *
+ * Access tokens are short-lived JWTs carrying the account `type` and the session
+ * id (`sid`); refresh tokens are random strings stored hashed on a session row and
+ * rotated on every use. Replaying a rotated-out refresh token revokes the session.
+ */
+
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+
+const MAX_USER_AGENT_LENGTH = 255;
+
+// "Last seen" is refreshed by authenticated requests at most this often
+const LAST_SEEN_RESOLUTION_MS = 5 * 60 * 1000;
+
+const clientData = ({ ip, userAgent } = {}) => ({
+  ip: ip || null,
+  userAgent: userAgent ? String(userAgent).slice(0, MAX_USER_AGENT_LENGTH) : null,
+});
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+/**
+ * Build the session methods for one kind of account.
+ *
+ * options:
+ * - sessionUid: session content type, e.g. 'api::teacher.teacher-session'
+ * - owner: relation from the session to the account, e.g. 'teacher'
+ * - type: `type` claim of the access tokens, e.g. 'teacher'
+ * - config: config namespace holding `jwt` and `refreshToken`, e.g. 'teacher-auth'
+ * - isOwnerActive: whether the account may still refresh (defaults to `isActive`)
+ * - trackLastSeen: refresh `lastUsedAt` from verified access tokens
+ */
+function createSessions(strapi, options) {
+  const {
+    sessionUid,
+    owner,
+    type,
+    config,
+    isOwnerActive = (account) => account.isActive,
+    trackLastSeen = false,
+  } = options;
+
+
+  const sessions = {
+    /**
+     * Sign a short-lived access token bound to a session.
+     * options: { expiresIn, claims } - extra claims, e.g. the impersonation flag
+     */
+    signAccessToken(account, sessionId, { expiresIn, claims } = {}) {
+      const { secret, expiresIn: defaultExpiresIn } = strapi.config.get(`${config}.jwt`);
+
+      return jwt.sign(
+        {
+          id: account.id,
+          email: account.email,
+          username: account.username,
+          name: account.name,
+          type,
+          sid: sessionId,
+          ...claims,
+        },
+        secret,
+        { expiresIn: expiresIn || defaultExpiresIn }
+      );
+    },
+
+    /**
+     * Start a new login session - returns the access token and a fresh refresh token.
+     * client: { ip, userAgent } of the device signing in
+     */
+    async createSession(account, client) {
+      const refreshToken = crypto.randomBytes(48).toString('hex');
+      const { expiresInDays } = strapi.config.get(`${config}.refreshToken`);
+
+      const session = await strapi.db.query(sessionUid).create({
+        data: {
+          [owner]: account.id,
+          refreshTokenHash: hashToken(refreshToken),
+          expiresAt: new Date(Date.now() + expiresInDays * 24 * 60 * 60 * 1000),
+          lastUsedAt: new Date(),
+          ...clientData(client),
+        },
+      });
+
+      return {
+        token: sessions.signAccessToken(account, session.id),
+        refreshToken,
+      };
+    },
+
+    /**
+     * Exchange a refresh token for a new access/refresh token pair.
+     * Returns null if the token is unknown, expired, revoked or the account is inactive.
+     * client: { ip, userAgent } of the device refreshing
+     */
+    async refreshSession(refreshToken, client) {
+      const tokenHash = hashToken(refreshToken);
+
+      const session = await strapi.db.query(sessionUid).findOne({
+        where: { refreshTokenHash: tokenHash },
+        populate: [owner],
+      });
+
+      if (!session) {
+        // A rotated-out token being replayed means it was copied - kill that session
+        const replayed = await strapi.db.query(sessionUid).findOne({
+          where: { previousRefreshTokenHash: tokenHash, revokedAt: null },
+        });
+
+        if (replayed) {
+          await sessions.revokeSession(replayed.id);
+          console.warn(`⚠️ Refresh token reuse detected, ${type} session ${replayed.id} revoked`);
+        }
+
+        return null;
+      }
+
+      if (session.revokedAt || new Date(session.expiresAt) < new Date()) {
+        return null;
+      }
+
+      const account = session[owner];
+
+      if (!account || !isOwnerActive(account)) {
+        return null;
+      }
+
+      const nextRefreshToken = crypto.randomBytes(48).toString('hex');
+
+      await strapi.db.query(sessionUid).update({
+        where: { id: session.id },
+        data: {
+          refreshTokenHash: hashToken(nextRefreshToken),
+          previousRefreshTokenHash: tokenHash,
+          lastUsedAt: new Date(),
+          ...clientData(client),
+        },
+      });
+
+      return {
+        [owner]: account,
+        token: sessions.signAccessToken(account, session.id),
+        refreshToken: nextRefreshToken,
+      };
+    },
+
+    /**
+     * Find the session a refresh token belongs to (null if unknown)
+     */
+    async findSessionByRefreshToken(refreshToken) {
+      return strapi.db.query(sessionUid).findOne({
+        where: { refreshTokenHash: hashToken(refreshToken) },
+        populate: [owner],
+      });
+    },
+
+    /**
+     * Revoke a single session
+     */
+    async revokeSession(sessionId) {
+      await strapi.db.query(sessionUid).update({
+        where: { id: sessionId },
+        data: { revokedAt: new Date() },
+      });
+    },
+
+    /**
+     * Revoke every open session of an account (optionally keeping one)
+     */
+    async revokeAllSessions(accountId, { exceptSessionId } = {}) {
+      const where = { [owner]: { id: accountId }, revokedAt: null };
+
+      if (exceptSessionId) {
+        where.id = { $ne: exceptSessionId };
+      }
+
+      // updateMany can't filter through relations, so resolve the session ids first
+      const open = await strapi.db.query(sessionUid).findMany({ where, select: ['id'] });
+
+      if (open.length === 0) {
+        return;
+      }
+
+      await strapi.db.query(sessionUid).updateMany({
+        where: { id: { $in: open.map((session) => session.id) } },
+        data: { revokedAt: new Date() },
+      });
+    },
+
+    /**
+     * Verify an access token and check its session has not been revoked.
+     * Returns the decoded payload, or null if the token must be rejected.
+     */
+    async verifyAccessToken(token) {
+      const { secret } = strapi.config.get(`${config}.jwt`);
+
+      let decoded;
+      try {
+        decoded = jwt.verify(token, secret);
+      } catch (error) {
+        return null;
+      }
+
+      if (decoded.type !== type || !decoded.sid) {
+        return null;
+      }
+
+      const session = await strapi.db.query(sessionUid).findOne({
+        where: { id: decoded.sid },
+      });
+
+      if (!session || session.revokedAt || new Date(session.expiresAt) < new Date()) {
+        return null;
+      }
+
+      if (
+        trackLastSeen &&
+        (!session.lastUsedAt || Date.now() - new Date(session.lastUsedAt).getTime() > LAST_SEEN_RESOLUTION_MS)
+      ) {
+        await strapi.db.query(sessionUid).update({
+          where: { id: session.id },
+          data: { lastUsedAt: new Date() },
+        });
+      }
+
+      return decoded;
+    },
+  };
+
+  return sessions;
+}
+
+module.exports = { createSessions, clientData, hashToken };
@@ -0,0 +1,71 @@
+'use strict';
+
+/**
+ * Teacher content scoping
+ *
+ * Restricts course/module/lesson reads to the courses assigned to the teacher
+ * authenticated by the teacher-auth middleware (ctx.state.teacher).
+ * The scope is added after query sanitization, so callers can't filter it away
+ * and the private `course.teachers` relation never has to be exposed.
+ */
+
+// Path from each content type to the course's assigned teachers
+const SCOPES = {
+  'api::course.course': (teacherId) => ({ teachers: { id: teacherId } }),
+  'api::module.module': (teacherId) => ({ course: { teachers: { id: teacherId } } }),
+  'api::lesson.lesson': (teacherId) => ({ module: { course: { teachers: { id: teacherId } } } }),
+};
+
+/**
+ * Merge the teacher scope into an already sanitized query
+ */
+function withTeacherScope(uid, query, teacher) {
+  const scope = SCOPES[uid](teacher.id);
+
+  return {
+    ...query,
+    filters: query.filters ? { $and: [query.filters, scope] } : scope,
+  };
+}
+
+/**
+ * Core `find` restricted to the authenticated teacher's courses
+ */
+async function findForTeacher(controller, uid, ctx) {
+  await controller.validateQuery(ctx);
+  const sanitizedQuery = await controller.sanitizeQuery(ctx);
+
+  const { results, pagination } = await strapi
+    .service(uid)
+    .find(withTeacherScope(uid, sanitizedQuery, ctx.state.teacher));
+
+  const sanitizedResults = await controller.sanitizeOutput(results, ctx);
+  return controller.transformResponse(sanitizedResults, { pagination });
+}
+
+/**
+ * Core `findOne` restricted to the authenticated teacher's courses (404 otherwise)
+ */
+async function findOneForTeacher(controller, uid, ctx) {
+  const { id } = ctx.params;
+
+  await controller.validateQuery(ctx);
+  const sanitizedQuery = await controller.sanitizeQuery(ctx);
+
+  const entity = await strapi
+    .service(uid)
+    .findOne(id, withTeacherScope(uid, sanitizedQuery, ctx.state.teacher));
+
+  if (!entity) {
+    return ctx.notFound();
+  }
+
+  const sanitizedEntity = await controller.sanitizeOutput(entity, ctx);
+  return controller.transformResponse(sanitizedEntity);
+}
+
+module.exports = {
+  withTeacherScope,
+  findForTeacher,
+  findOneForTeacher,
+};
@@ -0,0 +1,136 @@
+'use strict';
+
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+
+const createApiTokens = require('../src/api/teacher/services/api-token');
+
+const API_TOKENS = { maxPerTeacher: 2, maxExpiresInDays: 365 };
+
+const sha256 = (value) => crypto.createHash('sha256').update(value).digest('hex');
+
+/**
+ * Just enough of strapi for the service: config and an in-memory token table
+ */
+const createStrapi = (config = {}) => {
+  const rows = [];
+  let nextId = 1;
+
+  return {
+    rows,
+    config: { get: () => ({ ...API_TOKENS, ...config }) },
+    db: {
+      query: () => ({
+        create: async ({ data }) => {
+          const row = { id: nextId++, createdAt: new Date(), revokedAt: null, lastUsedAt: null, ...data };
+          rows.push(row);
+          return row;
+        },
+        findMany: async ({ where }) =>
+          rows.filter((row) => row.teacher === where.teacher.id && row.revokedAt === null),
+        findOne: async ({ where }) => {
+          const row = where.tokenHash
+            ? rows.find((token) => token.tokenHash === where.tokenHash)
+            : rows.find((token) => token.id === where.id && token.teacher === where.teacher.id && !token.revokedAt);
+
+          return row ? { ...row, teacher: { id: row.teacher } } : null;
+        },
+        update: async ({ where, data }) => Object.assign(rows.find((row) => row.id === where.id), data),
+      }),
+    },
+  };
+};
+
+describe('api-token create and verify', () => {
+  const teacher = { id: 7 };
+  let strapi;
+  let tokens;
+
+  beforeEach(() => {
+    strapi = createStrapi();
+    tokens = createApiTokens({ strapi });
+  });
+
+  it('shows the token once and stores only its hash and prefix', async () => {
+    const created = await tokens.create(teacher, { name: ' CI script ', expiresInDays: 30 });
+
+    assert.match(created.token, /^tpat_[0-9a-f]{64}$/);
+    assert.equal(created.name, 'CI script');
+    assert.equal(created.scope, 'read-only');
+    assert.equal(created.tokenPrefix, created.token.slice(0, 11));
+    assert.equal(strapi.rows[0].tokenHash, sha256(created.token));
+    assert.equal(JSON.stringify(strapi.rows).includes(created.token), false);
+  });
+
+  it('tells API tokens from JWTs by their prefix', () => {
+    assert.equal(tokens.isApiToken('tpat_abc'), true);
+    assert.equal(tokens.isApiToken('eyJhbGciOiJIUzI1NiJ9.e30.x'), false);
+    assert.equal(tokens.isApiToken(undefined), false);
+  });
+
+  it('verifies open tokens and records their use', async () => {
+    const { token } = await tokens.create(teacher, { name: 'Sync', scope: 'read-write', expiresInDays: 30 });
+
+    const verified = await tokens.verify(token);
+
+    assert.equal(verified.teacher.id, 7);
+    assert.equal(verified.scope, 'read-write');
+    assert.ok(strapi.rows[0].lastUsedAt instanceof Date);
+    assert.equal(await tokens.verify('tpat_unknown'), null);
+  });
+
+  it('rejects revoked and expired tokens', async () => {
+    const revoked = await tokens.create(teacher, { name: 'Old', expiresInDays: 30 });
+    const expired = await tokens.create(teacher, { name: 'Expired', expiresInDays: 30 });
+    strapi.rows[1].expiresAt = new Date(Date.now() - 1000);
+
+    assert.equal((await tokens.revoke(7, revoked.id)).name, 'Old');
+    assert.equal(await tokens.revoke(7, revoked.id), null);
+
+    assert.equal(await tokens.verify(revoked.token), null);
+    assert.equal(await tokens.verify(expired.token), null);
+    assert.deepEqual(await tokens.list(7), []);
+  });
+
+  it('only revokes the teacher\'s own tokens', async () => {
+    const created = await tokens.create(teacher, { name: 'Mine', expiresInDays: 30 });
+
+    assert.equal(await tokens.revoke(8, created.id), null);
+    assert.equal(strapi.rows[0].revokedAt, null);
+  });
+});
+
+describe('api-token validateNewToken', () => {
+  const teacher = { id: 7 };
+
+  it('checks name, scope and lifetime', async () => {
+    const tokens = createApiTokens({ strapi: createStrapi() });
+    const valid = { name: 'CI', scope: 'read-write', expiresInDays: 30 };
+
+    assert.equal(await tokens.validateNewToken(teacher, valid), null);
+    assert.match(await tokens.validateNewToken(teacher, { ...valid, name: '  ' }), /^Name is required/);
+    assert.match(await tokens.validateNewToken(teacher, { ...valid, name: 'x'.repeat(101) }), /^Name is required/);
+    assert.equal(await tokens.validateNewToken(teacher, { ...valid, scope: 'admin' }), 'scope must be one of: read-only, read-write');
+    assert.match(await tokens.validateNewToken(teacher, { ...valid, expiresInDays: 1.5 }), /positive whole number/);
+    assert.equal(await tokens.validateNewToken(teacher, { ...valid, expiresInDays: 366 }), 'expiresInDays may be at most 365');
+    assert.equal(await tokens.validateNewToken(teacher, { ...valid, expiresInDays: undefined }), 'expiresInDays is required (at most 365)');
+  });
+
+  it('allows tokens without expiry when no maximum is configured', async () => {
+    const tokens = createApiTokens({ strapi: createStrapi({ maxExpiresInDays: 0 }) });
+
+    assert.equal(await tokens.validateNewToken(teacher, { name: 'Forever' }), null);
+  });
+
+  it('enforces the per-teacher limit and unique names', async () => {
+    const tokens = createApiTokens({ strapi: createStrapi() });
+    await tokens.create(teacher, { name: 'CI', expiresInDays: 30 });
+
+    assert.equal(await tokens.validateNewToken(teacher, { name: 'ci', expiresInDays: 30 }), 'You already have an API token with this name');
+
+    await tokens.create(teacher, { name: 'Sync', expiresInDays: 30 });
+
+    assert.match(await tokens.validateNewToken(teacher, { name: 'Third', expiresInDays: 30 }), /at most 2 API tokens/);
+  });
+});
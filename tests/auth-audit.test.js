@@ -0,0 +1,145 @@
+'use strict';
+
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+
+const createAuthAudit = require('../src/api/teacher/services/auth-audit');
+
+/**
+ * Just enough of strapi for the service: audit config, a request context and a
+ * recorder for every event query
+ */
+const createStrapi = ({ retentionDays = 365, requestCtx = null, failCreate = false } = {}) => {
+  const calls = [];
+  const record = (method, result) => async (params) => {
+    calls.push({ method, params });
+    return typeof result === 'function' ? result(params) : result;
+  };
+
+  return {
+    calls,
+    config: { get: () => ({ retentionDays }) },
+    requestContext: { get: () => requestCtx },
+    db: {
+      query: () => ({
+        create: record('create', () => {
+          if (failCreate) throw new Error('database is down');
+        }),
+        findMany: record('findMany', []),
+        count: record('count', 120),
+        deleteMany: record('deleteMany', { count: 4 }),
+      }),
+    },
+  };
+};
+
+describe('auth-audit record', () => {
+  const realError = console.error;
+
+  beforeEach(() => {
+    console.error = () => {};
+  });
+
+  afterEach(() => {
+    console.error = realError;
+  });
+
+  it('stores the event with the request details and the calling admin', async () => {
+    const strapi = createStrapi();
+    const ctx = {
+      state: { auth: { strategy: { name: 'admin' }, credentials: { id: 1, email: 'ops@school.org' } } },
+      request: { ip: '10.0.0.9', headers: { 'user-agent': 'x'.repeat(300) } },
+    };
+
+    await createAuthAudit({ strapi }).record(ctx, 'login', {
+      outcome: 'failure',
+      teacher: { id: 7, email: 'jane@school.org' },
+      reason: 'bad_password',
+    });
+
+    const { data } = strapi.calls[0].params;
+    assert.equal(data.event, 'login');
+    assert.equal(data.outcome, 'failure');
+    assert.equal(data.teacher, 7);
+    assert.equal(data.identifier, 'jane@school.org');
+    assert.equal(data.reason, 'bad_password');
+    assert.equal(data.actor, 'admin:1 (ops@school.org)');
+    assert.equal(data.ip, '10.0.0.9');
+    assert.equal(data.userAgent.length, 255);
+  });
+
+  it('falls back to the current request outside a controller', async () => {
+    const strapi = createStrapi({ requestCtx: { request: { ip: '10.0.0.5', headers: {} } } });
+
+    await createAuthAudit({ strapi }).record(null, 'account_created', { identifier: 'new@school.org' });
+
+    const { data } = strapi.calls[0].params;
+    assert.equal(data.outcome, 'success');
+    assert.equal(data.teacher, null);
+    assert.equal(data.identifier, 'new@school.org');
+    assert.equal(data.actor, null);
+    assert.equal(data.ip, '10.0.0.5');
+    assert.equal(data.userAgent, null);
+  });
+
+  it('never throws when the write fails', async () => {
+    const strapi = createStrapi({ failCreate: true });
+
+    await assert.doesNotReject(createAuthAudit({ strapi }).record(null, 'login'));
+  });
+});
+
+describe('auth-audit find', () => {
+  it('filters by teacher, event, outcome and date range and paginates', async () => {
+    const strapi = createStrapi();
+
+    const { pagination } = await createAuthAudit({ strapi }).find({
+      teacherId: 7,
+      event: 'login',
+      outcome: 'failure',
+      from: '2026-01-01',
+      page: 3,
+      pageSize: 50,
+    });
+
+    const findMany = strapi.calls.find((call) => call.method === 'findMany').params;
+    assert.deepEqual(findMany.where, {
+      teacher: { id: 7 },
+      event: 'login',
+      outcome: 'failure',
+      createdAt: { $gte: '2026-01-01' },
+    });
+    assert.equal(findMany.offset, 100);
+    assert.equal(findMany.limit, 50);
+    assert.deepEqual(pagination, { page: 3, pageSize: 50, pageCount: 3, total: 120 });
+  });
+});
+
+describe('auth-audit prune', () => {
+  const realLog = console.log;
+
+  beforeEach(() => {
+    console.log = () => {};
+  });
+
+  afterEach(() => {
+    console.log = realLog;
+  });
+
+  it('deletes events older than the retention period', async () => {
+    const strapi = createStrapi({ retentionDays: 30 });
+
+    assert.equal(await createAuthAudit({ strapi }).prune(), 4);
+
+    const cutoff = strapi.calls[0].params.where.createdAt.$lt;
+    const days = (Date.now() - cutoff.getTime()) / (24 * 60 * 60 * 1000);
+    assert.ok(Math.abs(days - 30) < 0.01);
+  });
+
+  it('keeps everything when retention is off', async () => {
+    const strapi = createStrapi({ retentionDays: 0 });
+
+    assert.equal(await createAuthAudit({ strapi }).prune(), 0);
+    assert.deepEqual(strapi.calls, []);
+  });
+});
@@ -0,0 +1,159 @@
+'use strict';
+
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { createService } = require('./helpers/strapi');
+const createClassService = require('../src/api/class/services/class');
+
+const classService = createService(createClassService);
+
+const slot = (day, startTime, endTime) => ({ day, startTime, endTime, room: 'A1' });
+
+describe('class validateClass', () => {
+  it('accepts a valid term and schedule', () => {
+    const data = {
+      startDate: '2026-09-01',
+      endDate: '2027-06-30',
+      schedule: [slot('monday', '09:00', '10:00'), slot('monday', '10:00', '11:00'), slot('friday', '09:30:00.000', '11:00:00')],
+    };
+
+    assert.equal(classService.validateClass(data), null);
+  });
+
+  it('accepts data without a schedule', () => {
+    assert.equal(classService.validateClass({ name: 'Class A' }), null);
+    assert.equal(classService.validateClass({ schedule: null }), null);
+    assert.equal(classService.validateClass({ schedule: [] }), null);
+  });
+
+  it('rejects a term that ends before it starts', () => {
+    assert.equal(
+      classService.validateClass({ startDate: '2027-01-01', endDate: '2026-12-31' }),
+      'startDate must be on or before endDate'
+    );
+    assert.equal(classService.validateClass({ startDate: '2027-01-01', endDate: '2027-01-01' }), null);
+  });
+
+  it('rejects a schedule that is not a list', () => {
+    assert.match(classService.validateClass({ schedule: { day: 'monday' } }), /^schedule must be a list/);
+  });
+
+  it('rejects unknown days', () => {
+    assert.match(classService.validateClass({ schedule: [slot('funday', '09:00', '10:00')] }), /^schedule\[0\]\.day must be one of: monday/);
+    assert.match(classService.validateClass({ schedule: [null] }), /^schedule\[0\]\.day/);
+  });
+
+  it('rejects missing or malformed times', () => {
+    for (const [startTime, endTime] of [[undefined, '10:00'], ['9:00', '10:00'], ['24:00', '10:00'], ['09:60', '10:00'], ['09:00', 'noon']]) {
+      assert.equal(
+        classService.validateClass({ schedule: [slot('monday', startTime, endTime)] }),
+        'schedule[0] needs startTime and endTime as HH:mm',
+        `${startTime}-${endTime}`
+      );
+    }
+  });
+
+  it('rejects slots that do not start before they end', () => {
+    assert.equal(classService.validateClass({ schedule: [slot('monday', '10:00', '10:00')] }), 'schedule[0].startTime must be before endTime');
+    assert.equal(classService.validateClass({ schedule: [slot('monday', '11:00', '10:00')] }), 'schedule[0].startTime must be before endTime');
+  });
+
+  it('rejects overlapping slots on the same day only', () => {
+    const schedule = [slot('monday', '09:00', '10:30'), slot('tuesday', '09:00', '10:30'), slot('monday', '10:00', '11:00')];
+
+    assert.equal(classService.validateClass({ schedule }), 'schedule[2] overlaps schedule[0]');
+    assert.equal(classService.validateClass({ schedule: schedule.slice(0, 2) }), null);
+  });
+});
+
+describe('class normalizeClassData', () => {
+  it('stores HH:mm schedule times as HH:mm:ss.SSS', () => {
+    const data = { schedule: [slot('monday', '09:00', '10:15:00.000')] };
+
+    assert.equal(classService.normalizeClassData(data), data);
+    assert.equal(data.schedule[0].startTime, '09:00:00.000');
+    assert.equal(data.schedule[0].endTime, '10:15:00.000');
+  });
+
+  it('leaves data without a schedule untouched', () => {
+    assert.deepEqual(classService.normalizeClassData({ name: 'Class A' }), { name: 'Class A' });
+  });
+});
+
+describe('class syncTeacherCourses', () => {
+  let teacher;
+  let assigned;
+  let updates;
+  let service;
+
+  const classFor = (documentId) => ({ course: documentId ? { documentId } : null });
+
+  beforeEach(() => {
+    teacher = { id: 7, documentId: 't7', classCourses: null, classes: [] };
+    assigned = [];
+    updates = [];
+
+    // The teacher service stand-in applies connect/disconnect to `assigned`
+    const teacherService = {
+      findAssignedCourses: async () => assigned.map((documentId) => ({ documentId })),
+      updateCourseAssignments: async (_teacher, { connect, disconnect }) => {
+        assigned = [...assigned.filter((documentId) => !disconnect.includes(documentId)), ...connect];
+      },
+    };
+
+    service = createService(createClassService, {
+      service: () => teacherService,
+      db: {
+        query: () => ({
+          findMany: async () => [teacher],
+          update: async ({ data }) => {
+            updates.push(data);
+            Object.assign(teacher, data);
+          },
+        }),
+      },
+    });
+  });
+
+  it('connects the course of every class and tracks it', async () => {
+    teacher.classes = [classFor('c1'), classFor('c2'), classFor(null)];
+
+    const changes = await service.syncTeacherCourses([7]);
+
+    assert.deepEqual(changes, [{ id: 7, connected: ['c1', 'c2'], disconnected: [] }]);
+    assert.deepEqual(assigned, ['c1', 'c2']);
+    assert.deepEqual(teacher.classCourses, ['c1', 'c2']);
+  });
+
+  it('disconnects a class course once no class runs it any more', async () => {
+    teacher.classes = [classFor('c1'), classFor('c2')];
+    await service.syncTeacherCourses([7]);
+
+    teacher.classes = [classFor('c2')];
+    const changes = await service.syncTeacherCourses([7]);
+
+    assert.deepEqual(changes, [{ id: 7, connected: [], disconnected: ['c1'] }]);
+    assert.deepEqual(assigned, ['c2']);
+    assert.deepEqual(teacher.classCourses, ['c2']);
+  });
+
+  it('keeps a course assigned by hand when its class goes away', async () => {
+    assigned = ['c1'];
+    teacher.classes = [classFor('c1')];
+    assert.deepEqual(await service.syncTeacherCourses([7]), []);
+
+    teacher.classes = [];
+    assert.deepEqual(await service.syncTeacherCourses([7]), []);
+    assert.deepEqual(assigned, ['c1']);
+  });
+
+  it('writes nothing when the teacher is already in sync', async () => {
+    teacher.classes = [classFor('c1')];
+    await service.syncTeacherCourses([7]);
+    updates = [];
+
+    assert.deepEqual(await service.syncTeacherCourses([7]), []);
+    assert.deepEqual(updates, []);
+  });
+});
@@ -0,0 +1,151 @@
+'use strict';
+
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+
+const createEmailChange = require('../src/api/teacher/services/email-change');
+
+const HOUR = 60 * 60 * 1000;
+
+const sha256 = (value) => crypto.createHash('sha256').update(value).digest('hex');
+
+/**
+ * Just enough of strapi for the service: config, an in-memory teacher table, the
+ * teacher service checks and a recorder for sent emails
+ */
+const createStrapi = (teachers, { takenEmails = [] } = {}) => {
+  const sent = [];
+  const setupEmails = [];
+  const matches = (row, where) => Object.entries(where).every(([key, value]) => row[key] === value);
+
+  const services = {
+    'api::teacher.teacher': {
+      validateEmail: (email) => (email.includes('@') ? null : 'Email must be valid'),
+      findTeacherConflict: async ({ email }) =>
+        takenEmails.includes(email.toLowerCase()) ? 'A teacher with this email already exists' : null,
+      sendSetupEmail: async (teacher) => setupEmails.push(teacher.email),
+    },
+    'api::mailer.mailer': {
+      send: async (template, { to, variables }) => sent.push({ template, to, variables }),
+    },
+  };
+
+  return {
+    sent,
+    setupEmails,
+    takenEmails,
+    config: { get: () => ({ expiresInMinutes: 24 * 60 }) },
+    service: (uid) => services[uid],
+    db: {
+      query: () => ({
+        findOne: async ({ where }) => {
+          const row = teachers.find((teacher) => matches(teacher, where));
+          return row ? { ...row } : null;
+        },
+        update: async ({ where, data }) => Object.assign(teachers.find((row) => row.id === where.id), data),
+        updateMany: async ({ where, data }) => {
+          const rows = teachers.filter((row) => matches(row, where));
+          rows.forEach((row) => Object.assign(row, data));
+          return { count: rows.length };
+        },
+      }),
+    },
+  };
+};
+
+const tokenFrom = (mail) => new URL(mail.variables.actionUrl).searchParams.get('token');
+
+describe('email-change validate', () => {
+  it('rejects malformed, unchanged and taken addresses', async () => {
+    const teacher = { id: 7, email: 'jane@school.org' };
+    const service = createEmailChange({ strapi: createStrapi([teacher], { takenEmails: ['sam@school.org'] }) });
+
+    assert.equal(await service.validate(teacher, 'nope'), 'Email must be valid');
+    assert.equal(await service.validate(teacher, 'Jane@School.org'), 'This is already the account email');
+    assert.equal(await service.validate(teacher, 'Sam@school.org'), 'A teacher with this email already exists');
+    assert.equal(await service.validate(teacher, 'jane.doe@school.org'), null);
+  });
+});
+
+describe('email-change request and confirm', () => {
+  let teacher;
+  let strapi;
+  let service;
+
+  beforeEach(() => {
+    teacher = { id: 7, name: 'Jane', email: 'jane@school.org', isActive: true, magicLinkToken: 'magic-hash', resetPasswordToken: 'reset-hash' };
+    strapi = createStrapi([teacher]);
+    service = createEmailChange({ strapi });
+  });
+
+  it('stores the new address as pending with a hashed token and notifies both addresses', async () => {
+    const expiresAt = await service.request(teacher, 'jane.doe@school.org', { requestedBy: 'admin:1 (ops@school.org)' });
+
+    assert.equal(teacher.email, 'jane@school.org');
+    assert.equal(teacher.pendingEmail, 'jane.doe@school.org');
+    assert.equal(teacher.emailChangeRequestedBy, 'admin:1 (ops@school.org)');
+    assert.ok(Math.abs(expiresAt - Date.now() - 24 * HOUR) < 1000);
+
+    assert.deepEqual(strapi.sent.map(({ template, to }) => ({ template, to })), [
+      { template: 'teacher-email-change', to: 'jane.doe@school.org' },
+      { template: 'teacher-email-change-notice', to: 'jane@school.org' },
+    ]);
+    assert.equal(teacher.emailChangeToken, sha256(tokenFrom(strapi.sent[0])));
+    assert.equal(strapi.sent[1].variables.actionUrl, undefined);
+  });
+
+  it('switches the address once and drops links sent to the old one', async () => {
+    await service.request(teacher, 'jane.doe@school.org');
+    const token = tokenFrom(strapi.sent[0]);
+
+    const result = await service.confirm(token);
+
+    assert.equal(result.previousEmail, 'jane@school.org');
+    assert.equal(result.teacher.email, 'jane.doe@school.org');
+    assert.equal(teacher.pendingEmail, null);
+    assert.equal(teacher.emailChangeToken, null);
+    assert.equal(teacher.magicLinkToken, null);
+    assert.equal(teacher.resetPasswordToken, null);
+    assert.deepEqual(strapi.setupEmails, []);
+
+    assert.deepEqual(await service.confirm(token), { error: 'invalid_token' });
+  });
+
+  it('resends a pending invitation to the confirmed address', async () => {
+    teacher.isActive = false;
+    await service.request(teacher, 'jane.doe@school.org');
+
+    await service.confirm(tokenFrom(strapi.sent[0]));
+
+    assert.equal(teacher.resetPasswordToken, 'reset-hash');
+    assert.deepEqual(strapi.setupEmails, ['jane.doe@school.org']);
+  });
+
+  it('cancels expired requests', async () => {
+    await service.request(teacher, 'jane.doe@school.org');
+    teacher.emailChangeExpires = new Date(Date.now() - 1000);
+
+    const result = await service.confirm(tokenFrom(strapi.sent[0]));
+
+    assert.equal(result.error, 'expired_token');
+    assert.equal(teacher.email, 'jane@school.org');
+    assert.equal(teacher.pendingEmail, null);
+  });
+
+  it('cancels the request when the address was taken in the meantime', async () => {
+    await service.request(teacher, 'sam@school.org');
+    const token = tokenFrom(strapi.sent[0]);
+    strapi.takenEmails.push('sam@school.org');
+
+    const result = await service.confirm(token);
+
+    assert.equal(result.error, 'conflict');
+    assert.equal(teacher.email, 'jane@school.org');
+    assert.equal(teacher.emailChangeToken, null);
+  });
+
+  it('rejects unknown tokens', async () => {
+    assert.deepEqual(await service.confirm('not-a-token'), { error: 'invalid_token' });
+  });
+});
@@ -0,0 +1,11 @@
+'use strict';
+
+/**
+ * Build a service from its factory with a stand-in strapi.
+ * createCoreService factories also look up their content type, so a collection
+ * type is provided unless the overrides bring their own contentType.
+ */
+const createService = (factory, strapi = {}) =>
+  factory({ strapi: { contentType: () => ({ kind: 'collectionType' }), ...strapi } });
+
+module.exports = { createService };
@@ -0,0 +1,70 @@
+'use strict';
+
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+
+const createHomeworkService = require('../src/api/homework/services/homework');
+
+const student = { id: 3, username: 'sam' };
+const lesson = { id: 5, documentId: 'lesson-5', module: { course: { documentId: 'course-1' } } };
+
+describe('homework submit', () => {
+  let submission;
+  let updates;
+  let removed;
+  let service;
+
+  beforeEach(() => {
+    submission = { id: 9, files: [{ id: 'old' }], gradedAt: null };
+    updates = [];
+    removed = [];
+
+    const strapi = {
+      plugin: () => ({ service: () => ({ remove: async (file) => removed.push(file.id) }) }),
+      db: {
+        query: () => ({
+          findOne: async () => submission,
+          // Grading wins the race when gradedAt is set by the time the update runs
+          updateMany: async ({ where, data }) => {
+            if (submission.gradedAt && where.gradedAt) {
+              return { count: 0 };
+            }
+            updates.push(data);
+            return { count: 1 };
+          },
+        }),
+      },
+    };
+
+    service = createHomeworkService({ strapi });
+    service.findStudentClass = async () => null;
+    service.uploadFiles = async (_submission, _lesson, _student, files) => files.map((file) => ({ id: file.name }));
+  });
+
+  it('replaces the files of an ungraded submission', async () => {
+    const result = await service.submit(student, lesson, { files: [{ name: 'new' }], comment: 'v2' });
+
+    assert.equal(result, submission);
+    assert.equal(updates[0].comment, 'v2');
+    assert.deepEqual(removed, ['old']);
+  });
+
+  it('refuses a graded submission without uploading', async () => {
+    submission.gradedAt = new Date();
+    service.uploadFiles = async () => assert.fail('nothing should be uploaded');
+
+    assert.equal(await service.submit(student, lesson, { files: [{ name: 'new' }] }), null);
+    assert.deepEqual(updates, []);
+  });
+
+  it('drops the new files when the submission is graded during the upload', async () => {
+    service.uploadFiles = async (_submission, _lesson, _student, files) => {
+      submission.gradedAt = new Date();
+      return files.map((file) => ({ id: file.name }));
+    };
+
+    assert.equal(await service.submit(student, lesson, { files: [{ name: 'new' }] }), null);
+    assert.deepEqual(updates, []);
+    assert.deepEqual(removed, ['new']);
+  });
+});
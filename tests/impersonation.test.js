@@ -0,0 +1,62 @@
+'use strict';
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const jwt = require('jsonwebtoken');
+
+const { createService } = require('./helpers/strapi');
+const createTeacherService = require('../src/api/teacher/services/teacher');
+const isSuperAdmin = require('../src/plugins/teacher-admin/server/policies/is-super-admin');
+
+const CONFIG = {
+  'teacher-auth.jwt': { secret: 'test-secret', expiresIn: '15m' },
+  'teacher-auth.impersonation': { expiresInMinutes: 10, readOnly: true },
+};
+
+describe('teacher createImpersonationSession', () => {
+  it('opens a flagged, non-refreshable session and a short-lived token', async () => {
+    const created = [];
+    const service = createService(createTeacherService, {
+      config: { get: (key) => CONFIG[key] },
+      db: {
+        query: () => ({
+          create: async ({ data }) => {
+            created.push(data);
+            return { id: 42, ...data };
+          },
+        }),
+      },
+    });
+    const teacher = { id: 7, email: 'jane@school.org', username: 'jane', name: 'Jane' };
+
+    const { token, sessionId, expiresAt } = await service.createImpersonationSession(
+      teacher,
+      { id: 1, email: 'ops@school.org' },
+      { ip: '10.0.0.1', userAgent: 'Chrome' }
+    );
+
+    assert.equal(sessionId, 42);
+    assert.equal(created[0].teacher, 7);
+    assert.equal(created[0].impersonatedBy, 'admin:1 (ops@school.org)');
+    assert.equal(created[0].refreshTokenHash, undefined);
+    assert.equal(created[0].ip, '10.0.0.1');
+
+    const decoded = jwt.verify(token, 'test-secret');
+    assert.equal(decoded.type, 'teacher');
+    assert.equal(decoded.sid, 42);
+    assert.equal(decoded.impersonation, true);
+    assert.deepEqual(decoded.impersonatedBy, { id: 1, email: 'ops@school.org' });
+    assert.equal(decoded.exp - decoded.iat, 10 * 60);
+    assert.ok(Math.abs(expiresAt - Date.now() - 10 * 60 * 1000) < 1000);
+  });
+});
+
+describe('teacher-admin is-super-admin policy', () => {
+  const policyContext = (roles) => ({ state: { user: roles && { roles } } });
+
+  it('only lets super admins through', () => {
+    assert.equal(isSuperAdmin(policyContext([{ code: 'strapi-editor' }, { code: 'strapi-super-admin' }])), true);
+    assert.equal(isSuperAdmin(policyContext([{ code: 'strapi-editor' }])), false);
+    assert.equal(isSuperAdmin(policyContext(null)), false);
+  });
+});
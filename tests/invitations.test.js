@@ -0,0 +1,134 @@
+'use strict';
+
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { createService } = require('./helpers/strapi');
+const createTeacherService = require('../src/api/teacher/services/teacher');
+
+const CONFIG = {
+  'teacher-auth.invite': { expiresInMinutes: 7 * 24 * 60 },
+  'teacher-auth.passwordReset': { expiresInMinutes: 30 },
+};
+
+const HOUR = 60 * 60 * 1000;
+
+/**
+ * Just enough of strapi for the invitation helpers: config, a teacher table and
+ * a recorder for sent emails
+ */
+const createStrapi = (teachers) => {
+  const sent = [];
+  const updates = [];
+
+  return {
+    sent,
+    updates,
+    config: { get: (key) => CONFIG[key] },
+    service: () => ({
+      send: async (template, { to, variables }) => {
+        if (to === 'broken@school.org') throw new Error('SMTP down');
+        sent.push({ template, to, variables });
+      },
+    }),
+    db: {
+      query: () => ({
+        findOne: async ({ where }) => teachers.find((teacher) => teacher.id === where.id) || null,
+        findMany: async () => teachers,
+        count: async () => teachers.length,
+        update: async (params) => updates.push(params),
+      }),
+    },
+  };
+};
+
+describe('teacher sendSetupEmail', () => {
+  it('sends invited teachers a reminder with the invite lifetime', async () => {
+    const strapi = createStrapi([]);
+    const service = createService(createTeacherService, strapi);
+
+    const expiresAt = await service.sendSetupEmail({ id: 1, email: 'new@school.org', isActive: false });
+
+    assert.equal(strapi.sent[0].template, 'teacher-setup-reminder');
+    assert.equal(strapi.sent[0].variables.expiresIn, '7 days');
+    assert.ok(Math.abs(expiresAt - Date.now() - 7 * 24 * HOUR) < 1000);
+    assert.ok(strapi.updates[0].data.inviteSentAt instanceof Date);
+  });
+
+  it('sends active teachers a reset link with the password reset lifetime', async () => {
+    const strapi = createStrapi([]);
+    const service = createService(createTeacherService, strapi);
+
+    await service.sendSetupEmail({ id: 1, email: 'jane@school.org', isActive: true });
+
+    assert.equal(strapi.sent[0].template, 'teacher-password-reset');
+    assert.equal(strapi.sent[0].variables.expiresIn, '30 minutes');
+    assert.equal(strapi.updates[0].data.inviteSentAt, undefined);
+  });
+
+  it('stores only the hash of the emailed token', async () => {
+    const strapi = createStrapi([]);
+    const service = createService(createTeacherService, strapi);
+
+    await service.sendSetupEmail({ id: 1, email: 'jane@school.org', isActive: false });
+
+    const token = new URL(strapi.sent[0].variables.actionUrl).searchParams.get('token');
+    assert.match(strapi.updates[0].data.resetPasswordToken, /^[0-9a-f]{64}$/);
+    assert.notEqual(strapi.updates[0].data.resetPasswordToken, token);
+  });
+});
+
+describe('teacher listInvitations', () => {
+  it('reports each invitation as pending or expired', async () => {
+    const created = new Date('2026-01-01');
+    const teachers = [
+      { id: 1, email: 'a@school.org', createdAt: created, inviteSentAt: null, resetPasswordExpires: new Date(Date.now() + HOUR) },
+      { id: 2, email: 'b@school.org', createdAt: created, inviteSentAt: created, resetPasswordExpires: new Date(Date.now() - HOUR) },
+      { id: 3, email: 'c@school.org', createdAt: created, inviteSentAt: created, resetPasswordExpires: null },
+    ];
+    const service = createService(createTeacherService, createStrapi(teachers));
+
+    const { invitations, pagination } = await service.listInvitations({ page: 1, pageSize: 2 });
+
+    assert.deepEqual(invitations.map((invitation) => invitation.status), ['pending', 'expired', 'expired']);
+    assert.equal(invitations[0].inviteSentAt, created);
+    assert.deepEqual(pagination, { page: 1, pageSize: 2, pageCount: 2, total: 3 });
+  });
+});
+
+describe('teacher resendInvitations', () => {
+  const realError = console.error;
+
+  beforeEach(() => {
+    console.error = () => {};
+  });
+
+  afterEach(() => {
+    console.error = realError;
+  });
+
+  it('only resends to invited teachers and reports every id', async () => {
+    const teachers = [
+      { id: 1, email: 'new@school.org', isActive: false },
+      { id: 2, email: 'jane@school.org', isActive: true },
+      { id: 3, email: 'gone@school.org', isActive: false, deactivatedAt: new Date() },
+      { id: 4, email: 'broken@school.org', isActive: false },
+    ];
+    const strapi = createStrapi(teachers);
+    const service = createService(createTeacherService, strapi);
+
+    const results = await service.resendInvitations([1, 2, 3, 4, 5]);
+
+    assert.deepEqual(
+      results.map(({ id, status, reason }) => ({ id, status, reason })),
+      [
+        { id: 1, status: 'sent', reason: undefined },
+        { id: 2, status: 'skipped', reason: 'Teacher has already set a password' },
+        { id: 3, status: 'skipped', reason: 'Teacher is deactivated' },
+        { id: 4, status: 'skipped', reason: 'Failed to queue email' },
+        { id: 5, status: 'not_found', reason: undefined },
+      ]
+    );
+    assert.deepEqual(strapi.sent.map((mail) => mail.to), ['new@school.org']);
+  });
+});
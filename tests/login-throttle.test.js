@@ -0,0 +1,131 @@
+'use strict';
+
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+
+const createThrottle = require('../src/api/teacher/services/login-throttle');
+
+const LOCKOUT = { maxFailedAttempts: 3, lockoutMinutes: 15, maxLockoutMinutes: 60 };
+
+/**
+ * Just enough of strapi for the service: lockout config and a recorder for teacher updates
+ */
+const createStrapi = () => {
+  const updates = [];
+
+  return {
+    updates,
+    config: { get: () => LOCKOUT },
+    db: { query: () => ({ update: async (params) => updates.push(params) }) },
+  };
+};
+
+// Counters are module-level, so every test uses its own keys
+let keyCount = 0;
+const nextKey = () => `test:key:${++keyCount}`;
+
+describe('login-throttle counters', () => {
+  const throttle = createThrottle({ strapi: createStrapi() });
+  const limits = { max: 3, windowMinutes: 10 };
+
+  it('allows a key until the limit is reached', () => {
+    const key = nextKey();
+
+    throttle.hit(key, limits);
+    throttle.hit(key, limits);
+    assert.equal(throttle.retryAfter(key), 0);
+
+    throttle.hit(key, limits);
+    assert.equal(throttle.retryAfter(key), 10 * 60);
+  });
+
+  it('doubles the block with every attempt past the limit', () => {
+    const key = nextKey();
+
+    for (let i = 0; i < 5; i++) {
+      throttle.hit(key, limits);
+    }
+
+    assert.equal(throttle.retryAfter(key), 40 * 60);
+  });
+
+  it('never blocks for more than a day', () => {
+    const key = nextKey();
+
+    for (let i = 0; i < 20; i++) {
+      throttle.hit(key, limits);
+    }
+
+    assert.equal(throttle.retryAfter(key), 24 * 60 * 60);
+  });
+
+  it('keeps keys apart and forgets a cleared key', () => {
+    const blocked = nextKey();
+    const other = nextKey();
+
+    for (let i = 0; i < 3; i++) {
+      throttle.hit(blocked, limits);
+    }
+
+    assert.equal(throttle.retryAfter(other), 0);
+
+    throttle.clear(blocked);
+    assert.equal(throttle.retryAfter(blocked), 0);
+  });
+
+  it('returns 0 for unknown keys', () => {
+    assert.equal(throttle.retryAfter(nextKey()), 0);
+  });
+});
+
+describe('login-throttle account lockout', () => {
+  let strapi;
+  let throttle;
+  const realWarn = console.warn;
+
+  beforeEach(() => {
+    strapi = createStrapi();
+    throttle = createThrottle({ strapi });
+    console.warn = () => {};
+  });
+
+  afterEach(() => {
+    console.warn = realWarn;
+  });
+
+  it('reports how long an account is still locked', () => {
+    assert.equal(throttle.accountLockedFor({}), 0);
+    assert.equal(throttle.accountLockedFor({ lockedUntil: new Date(Date.now() - 1000) }), 0);
+    assert.equal(throttle.accountLockedFor({ lockedUntil: new Date(Date.now() + 90 * 1000) }), 90);
+  });
+
+  it('counts failures below the limit without locking', async () => {
+    const locked = await throttle.recordAccountFailure({ id: 7, failedLoginAttempts: 1 });
+
+    assert.equal(locked, 0);
+    assert.deepEqual(strapi.updates, [{ where: { id: 7 }, data: { failedLoginAttempts: 2 } }]);
+  });
+
+  it('locks the account on the last allowed failure', async () => {
+    const locked = await throttle.recordAccountFailure({ id: 7, failedLoginAttempts: 2 });
+    const [{ data }] = strapi.updates;
+
+    assert.equal(locked, 15 * 60);
+    assert.equal(data.failedLoginAttempts, 0);
+    assert.equal(data.lockoutCount, 1);
+    assert.ok(data.lockedUntil > new Date());
+  });
+
+  it('doubles each further lockout up to maxLockoutMinutes', async () => {
+    assert.equal(await throttle.recordAccountFailure({ id: 7, failedLoginAttempts: 2, lockoutCount: 1 }), 30 * 60);
+    assert.equal(await throttle.recordAccountFailure({ id: 7, failedLoginAttempts: 2, lockoutCount: 5 }), 60 * 60);
+  });
+
+  it('resets the failure state', async () => {
+    await throttle.clearAccountFailures({ id: 7 });
+
+    assert.deepEqual(strapi.updates, [
+      { where: { id: 7 }, data: { failedLoginAttempts: 0, lockoutCount: 0, lockedUntil: null } },
+    ]);
+  });
+});
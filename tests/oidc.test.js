@@ -0,0 +1,261 @@
+'use strict';
+
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+
+const createOidc = require('../src/api/teacher/services/oidc');
+
+const ISSUER = 'https://sso.school.test';
+const JWT_SECRET = 'test-secret';
+
+const oidcConfig = (overrides = {}) => ({
+  enabled: true,
+  issuer: ISSUER,
+  clientId: 'lms',
+  clientSecret: 'shh',
+  redirectUri: 'https://lms.school.test/sso/callback',
+  scopes: 'openid email profile',
+  autoProvision: false,
+  allowedDomains: [],
+  trustUnverifiedEmail: false,
+  flowExpiresIn: '10m',
+  ...overrides,
+});
+
+// $eqi is the only operator resolveTeacher uses
+const matches = (row, where) =>
+  Object.entries(where).every(([key, condition]) =>
+    condition && typeof condition === 'object' && '$eqi' in condition
+      ? String(row[key]).toLowerCase() === String(condition.$eqi).toLowerCase()
+      : row[key] === condition
+  );
+
+/**
+ * Just enough of strapi for the service: config and an in-memory teacher table
+ */
+const createStrapi = (teachers, oidc = {}) => {
+  let nextId = 100;
+
+  const find = (where) => teachers.find((teacher) => matches(teacher, where)) || null;
+
+  return {
+    config: {
+      get: (key) => (key === 'teacher-auth.jwt' ? { secret: JWT_SECRET } : oidcConfig(oidc)),
+    },
+    db: {
+      query: () => ({
+        findOne: async ({ where }) => find(where),
+        update: async ({ where, data }) => Object.assign(find(where), data),
+      }),
+    },
+    entityService: {
+      create: async (uid, { data }) => {
+        const teacher = { id: nextId++, ...data };
+        teachers.push(teacher);
+        return teacher;
+      },
+    },
+  };
+};
+
+const claimsFor = (overrides = {}) => ({
+  iss: ISSUER,
+  sub: 'sub-1',
+  email: 'Jane@School.org',
+  email_verified: true,
+  name: 'Jane Doe',
+  ...overrides,
+});
+
+describe('oidc resolveTeacher', () => {
+  let teachers;
+  const realLog = console.log;
+
+  beforeEach(() => {
+    teachers = [
+      { id: 1, email: 'jane@school.org', username: 'jane', oidcIssuer: null, oidcSubject: null },
+      { id: 2, email: 'bob@school.org', username: 'bob', oidcIssuer: ISSUER, oidcSubject: 'sub-bob' },
+    ];
+    console.log = () => {};
+  });
+
+  afterEach(() => {
+    console.log = realLog;
+  });
+
+  const resolve = (claims, oidc) => createOidc({ strapi: createStrapi(teachers, oidc) }).resolveTeacher(claims);
+
+  it('links a teacher by verified email on the first sign-in', async () => {
+    const { teacher } = await resolve(claimsFor());
+
+    assert.equal(teacher.id, 1);
+    assert.equal(teachers[0].oidcIssuer, ISSUER);
+    assert.equal(teachers[0].oidcSubject, 'sub-1');
+  });
+
+  it('finds a linked teacher by issuer and subject, whatever the email says', async () => {
+    const { teacher } = await resolve(claimsFor({ sub: 'sub-bob', email: 'someone@else.org', email_verified: false }));
+
+    assert.equal(teacher.id, 2);
+  });
+
+  it('requires an issuer and subject', async () => {
+    assert.match((await resolve(claimsFor({ sub: undefined }))).error, /did not identify your account/);
+  });
+
+  it('does not link by an unverified email', async () => {
+    for (const email_verified of [false, 'false', undefined]) {
+      assert.match((await resolve(claimsFor({ email_verified }))).error, /not verified/);
+    }
+
+    assert.equal(teachers[0].oidcSubject, null);
+    assert.equal((await resolve(claimsFor({ email_verified: 'true' }))).teacher.id, 1);
+  });
+
+  it('links unverified emails only when configured to trust them', async () => {
+    const { teacher } = await resolve(claimsFor({ email_verified: undefined }), { trustUnverifiedEmail: true });
+
+    assert.equal(teacher.id, 1);
+  });
+
+  it('refuses an email already linked to another subject', async () => {
+    const { error } = await resolve(claimsFor({ sub: 'intruder', email: 'bob@school.org' }));
+
+    assert.match(error, /linked to a different school account/);
+    assert.equal(teachers[1].oidcSubject, 'sub-bob');
+  });
+
+  it('applies the email domain allow-list', async () => {
+    const oidc = { allowedDomains: [' School.org '] };
+
+    assert.equal((await resolve(claimsFor(), oidc)).teacher.id, 1);
+    assert.match((await resolve(claimsFor({ sub: 'x', email: 'jane@gmail.com' }), oidc)).error, /domain is not allowed/);
+  });
+
+  it('auto-provisions a linked teacher only when switched on', async () => {
+    const claims = claimsFor({ sub: 'sub-new', email: 'jane@school.org.uk' });
+
+    assert.match((await resolve(claims)).error, /No teacher account exists/);
+
+    teachers.push({ id: 3, email: 'x@x.org', username: 'jane' });
+    const { teacher } = await resolve(claims, { autoProvision: true });
+
+    assert.equal(teacher.email, 'jane@school.org.uk');
+    assert.equal(teacher.username, 'jane2');
+    assert.equal(teacher.name, 'Jane Doe');
+    assert.equal(teacher.ssoProvisioned, true);
+    assert.equal(teacher.oidcSubject, 'sub-new');
+  });
+});
+
+describe('oidc completeAuthorization', () => {
+  const { privateKey, publicKey } = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+  const jwk = { ...publicKey.export({ format: 'jwk' }), kid: 'k1', use: 'sig', alg: 'RS256' };
+
+  const metadata = {
+    issuer: ISSUER,
+    authorization_endpoint: `${ISSUER}/authorize`,
+    token_endpoint: `${ISSUER}/token`,
+    jwks_uri: `${ISSUER}/jwks`,
+  };
+
+  const realFetch = global.fetch;
+  const realError = console.error;
+  let idTokenClaims;
+  let tokenRequests;
+  let oidc;
+
+  const json = (body) => ({ ok: true, status: 200, json: async () => body });
+
+  beforeEach(() => {
+    tokenRequests = 0;
+    idTokenClaims = {};
+
+    global.fetch = async (url) => {
+      if (url === `${ISSUER}/.well-known/openid-configuration`) return json(metadata);
+      if (url === metadata.jwks_uri) return json({ keys: [jwk] });
+
+      tokenRequests += 1;
+      const { aud = 'lms', ...claims } = idTokenClaims;
+      const idToken = jwt.sign({ sub: 'sub-1', ...claims }, privateKey, {
+        algorithm: 'RS256',
+        keyid: 'k1',
+        issuer: ISSUER,
+        audience: aud,
+        expiresIn: '5m',
+      });
+
+      return json({ id_token: idToken });
+    };
+
+    console.error = () => {};
+    oidc = createOidc({ strapi: createStrapi([]) });
+  });
+
+  afterEach(() => {
+    global.fetch = realFetch;
+    console.error = realError;
+  });
+
+  const startFlow = async () => {
+    const { authorizationUrl, flowToken } = await oidc.createAuthorization();
+    const params = new URL(authorizationUrl).searchParams;
+
+    return { flowToken, state: params.get('state'), nonce: params.get('nonce') };
+  };
+
+  it('returns the ID token claims when state and nonce match', async () => {
+    const { flowToken, state, nonce } = await startFlow();
+    idTokenClaims = { nonce, email: 'jane@school.org' };
+
+    const { claims, error } = await oidc.completeAuthorization({ code: 'abc', state, flowToken });
+
+    assert.equal(error, undefined);
+    assert.equal(claims.sub, 'sub-1');
+    assert.equal(claims.email, 'jane@school.org');
+  });
+
+  it('rejects a state that does not match the flow token before calling the provider', async () => {
+    const { flowToken } = await startFlow();
+
+    const { error } = await oidc.completeAuthorization({ code: 'abc', state: 'forged', flowToken });
+
+    assert.match(error, /Invalid sign-in state/);
+    assert.equal(tokenRequests, 0);
+  });
+
+  it('rejects an expired or tampered flow token', async () => {
+    const { state } = await startFlow();
+    const expired = jwt.sign({ type: 'teacher-oidc-flow', state, exp: Math.floor(Date.now() / 1000) - 60 }, JWT_SECRET);
+    const forged = jwt.sign({ type: 'teacher-oidc-flow', state }, 'other-secret');
+
+    for (const flowToken of [expired, forged]) {
+      assert.match((await oidc.completeAuthorization({ code: 'abc', state, flowToken })).error, /session expired/);
+    }
+  });
+
+  it('rejects a flow token of another kind', async () => {
+    const flowToken = jwt.sign({ type: 'teacher', state: 's' }, JWT_SECRET);
+
+    assert.match((await oidc.completeAuthorization({ code: 'abc', state: 's', flowToken })).error, /Invalid sign-in state/);
+  });
+
+  it('rejects an ID token whose nonce does not match', async () => {
+    const { flowToken, state } = await startFlow();
+    idTokenClaims = { nonce: 'replayed' };
+
+    const { claims, error } = await oidc.completeAuthorization({ code: 'abc', state, flowToken });
+
+    assert.equal(claims, undefined);
+    assert.match(error, /Invalid sign-in state/);
+  });
+
+  it('rejects an ID token for another audience', async () => {
+    const { flowToken, state, nonce } = await startFlow();
+    idTokenClaims = { nonce, aud: 'another-app' };
+
+    assert.match((await oidc.completeAuthorization({ code: 'abc', state, flowToken })).error, /invalid ID token/);
+  });
+});
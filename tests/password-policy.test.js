@@ -0,0 +1,105 @@
+'use strict';
+
+const { describe, it, before } = require('node:test');
+const assert = require('node:assert/strict');
+const bcrypt = require('bcrypt');
+
+const createPasswordPolicy = require('../src/api/teacher/services/password-policy');
+
+const POLICY = {
+  minLength: 8,
+  requireLowercase: true,
+  requireUppercase: true,
+  requireDigit: true,
+  requireSymbol: false,
+  disallowPersonalInfo: true,
+  historySize: 3,
+  checkBreached: true,
+};
+
+const createPolicy = (overrides = {}) =>
+  createPasswordPolicy({ strapi: { config: { get: () => ({ ...POLICY, ...overrides }) } } });
+
+describe('password-policy validate', () => {
+  const policy = createPolicy();
+  const teacher = { username: 'janedoe', email: 'jane.smith@school.org' };
+
+  it('accepts a password meeting every rule', async () => {
+    assert.deepEqual(await policy.validate('Correct7Horse', teacher), []);
+  });
+
+  it('reports each broken character rule', async () => {
+    assert.deepEqual(await policy.validate('short', teacher), [
+      'Password must be at least 8 characters long',
+      'Password must contain an uppercase letter',
+      'Password must contain a number',
+    ]);
+    assert.deepEqual(await policy.validate('ALLUPPER99', teacher), ['Password must contain a lowercase letter']);
+    assert.deepEqual(await createPolicy({ requireSymbol: true }).validate('Correct7Horse', teacher), [
+      'Password must contain a symbol',
+    ]);
+  });
+
+  it('rejects non-string passwords', async () => {
+    assert.ok((await policy.validate(undefined, teacher)).includes('Password must be at least 8 characters long'));
+  });
+
+  it('rejects the username or the name part of the email', async () => {
+    const message = 'Password must not contain your username or email';
+
+    assert.deepEqual(await policy.validate('xJaneDoe42', teacher), [message]);
+    assert.deepEqual(await policy.validate('Jane.Smith99', teacher), [message]);
+    assert.deepEqual(await createPolicy({ disallowPersonalInfo: false }).validate('xJaneDoe42', teacher), []);
+  });
+
+  it('ignores personal values too short to matter', async () => {
+    assert.deepEqual(await policy.validate('Correct7Horse', { username: 'or', email: 'ct@school.org' }), []);
+  });
+
+  it('rejects breached passwords case-insensitively', async () => {
+    assert.deepEqual(await policy.validate('Password123', {}), [
+      'This password is too common and has appeared in data breaches',
+    ]);
+    assert.deepEqual(await createPolicy({ checkBreached: false }).validate('Password123', {}), []);
+  });
+});
+
+describe('password-policy history', () => {
+  const policy = createPolicy();
+  const teacher = {};
+
+  before(async () => {
+    teacher.password = await bcrypt.hash('Current7Pass', 4);
+    teacher.passwordHistory = [await bcrypt.hash('Older7Pass', 4), await bcrypt.hash('Oldest7Pass', 4)];
+  });
+
+  it('rejects the current and recent passwords', async () => {
+    for (const password of ['Current7Pass', 'Older7Pass', 'Oldest7Pass']) {
+      assert.deepEqual(await policy.validate(password, teacher), [
+        'Password must not match any of your last 3 passwords',
+      ]);
+    }
+
+    assert.deepEqual(await policy.validate('Brand7NewPass', teacher), []);
+  });
+
+  it('skips the history when asked to or when it is switched off', async () => {
+    assert.deepEqual(await policy.validate('Current7Pass', teacher, { history: false }), []);
+    assert.deepEqual(await createPolicy({ historySize: 0 }).validate('Current7Pass', teacher), []);
+  });
+
+  it('keeps the replaced password in front of a history one shorter than historySize', () => {
+    assert.deepEqual(policy.nextHistory({ password: 'h0', passwordHistory: ['h1', 'h2', 'h3'] }), ['h0', 'h1']);
+    assert.deepEqual(policy.nextHistory({ password: null, passwordHistory: null }), []);
+    assert.deepEqual(createPolicy({ historySize: 0 }).nextHistory({ password: 'h0' }), []);
+  });
+});
+
+describe('password-policy getRules', () => {
+  it('leaves the breached list path out of the published rules', () => {
+    const rules = createPolicy({ breachedListPath: '/secret/list.txt' }).getRules();
+
+    assert.equal(rules.breachedListPath, undefined);
+    assert.equal(rules.minLength, 8);
+  });
+});
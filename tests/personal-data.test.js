@@ -0,0 +1,138 @@
+'use strict';
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+const createPersonalData = require('../src/api/teacher/services/personal-data');
+
+const TEACHER = {
+  id: 7,
+  name: 'Jane Doe',
+  email: 'jane@school.org',
+  pendingEmail: 'jane.doe@school.org',
+  username: 'jane',
+  phone: '555-0100',
+  password: '$2b$10$hash',
+  passwordHistory: ['$2b$10$old'],
+  resetPasswordToken: 'reset-hash',
+  twoFactorSecret: 'SECRET',
+  twoFactorRecoveryCodes: ['code-hash'],
+  oidcSubject: 'sub-1',
+  deactivatedAt: null,
+};
+
+/**
+ * Just enough of strapi for the service: canned rows per content type and a
+ * recorder for every query
+ */
+const createStrapi = (rows = {}) => {
+  const calls = [];
+
+  const query = (uid) => {
+    const record = (method, result) => async (params) => {
+      calls.push({ uid, method, params });
+      return result;
+    };
+
+    return {
+      findOne: record('findOne', rows[uid]?.[0] || null),
+      findMany: record('findMany', rows[uid] || []),
+      deleteMany: record('deleteMany', { count: (rows[uid] || []).length }),
+      updateMany: record('updateMany', { count: 1 }),
+    };
+  };
+
+  return {
+    calls,
+    db: { query },
+    service: (uid) =>
+      ({
+        'api::teacher.teacher': { findAssignedCourses: async () => [{ documentId: 'c1' }] },
+        'api::class.class': { findForTeacher: async () => [] },
+      })[uid],
+  };
+};
+
+describe('personal-data export', () => {
+  it('exports the teacher and related rows without secrets or token hashes', async () => {
+    const strapi = createStrapi({
+      'api::teacher.teacher-session': [{ id: 1, ip: '10.0.0.1', refreshTokenHash: 'a', previousRefreshTokenHash: 'b' }],
+      'api::teacher.teacher-api-token': [{ id: 2, name: 'CI', tokenHash: 'c', tokenPrefix: 'tpat_123456' }],
+    });
+
+    const archive = await createPersonalData({ strapi }).export(TEACHER);
+
+    for (const field of ['password', 'passwordHistory', 'resetPasswordToken', 'twoFactorSecret', 'twoFactorRecoveryCodes']) {
+      assert.equal(field in archive.teacher, false, field);
+    }
+    assert.equal(archive.teacher.hasPassword, true);
+    assert.equal(archive.teacher.phone, '555-0100');
+    assert.deepEqual(archive.sessions, [{ id: 1, ip: '10.0.0.1' }]);
+    assert.deepEqual(archive.apiTokens, [{ id: 2, name: 'CI', tokenPrefix: 'tpat_123456' }]);
+    assert.deepEqual(archive.courses, [{ documentId: 'c1' }]);
+    assert.deepEqual(archive.uploads, []);
+  });
+
+  it('includes emails sent to the current and the pending address', async () => {
+    const strapi = createStrapi();
+
+    await createPersonalData({ strapi }).export(TEACHER);
+
+    const emails = strapi.calls.find((call) => call.uid === 'api::mailer.email-message');
+    assert.deepEqual(emails.params.where, {
+      $or: [{ to: { $eqi: 'jane@school.org' } }, { to: { $eqi: 'jane.doe@school.org' } }],
+    });
+    assert.equal(emails.params.select.includes('html'), false);
+  });
+});
+
+describe('personal-data erase', () => {
+  const eraseWith = async (rows) => {
+    const strapi = createStrapi(rows);
+    const counts = await createPersonalData({ strapi }).erase(TEACHER, { actor: 'admin:1 (ops@school.org)' });
+    const call = (uid, method) => strapi.calls.find((entry) => entry.uid === uid && entry.method === method);
+
+    return { counts, call };
+  };
+
+  it('anonymises the teacher row and clears every credential', async () => {
+    const { call } = await eraseWith({});
+    const { where, data } = call('api::teacher.teacher', 'updateMany').params;
+
+    assert.deepEqual(where, { id: 7 });
+    assert.equal(data.name, 'Erased teacher #7');
+    assert.equal(data.email, 'erased-7@erased.invalid');
+    assert.equal(data.username, 'erased-7');
+    for (const field of ['phone', 'password', 'passwordHistory', 'resetPasswordToken', 'pendingEmail', 'twoFactorSecret', 'oidcIssuer', 'oidcSubject']) {
+      assert.equal(data[field], null, field);
+    }
+    assert.equal(data.isActive, false);
+    assert.equal(data.erasedBy, 'admin:1 (ops@school.org)');
+    assert.ok(data.deactivatedAt instanceof Date);
+  });
+
+  it('deletes sessions, tokens and emails and scrubs the auth events', async () => {
+    const { counts, call } = await eraseWith({
+      'api::teacher.teacher-session': [{ id: 1 }, { id: 2 }],
+      'api::teacher.teacher-api-token': [{ id: 3 }],
+      'api::teacher.teacher-auth-event': [{ id: 4 }, { id: 5 }],
+      'api::mailer.email-message': [{ id: 6 }],
+    });
+
+    assert.deepEqual(counts, { sessions: 2, apiTokens: 1, authEvents: 2, emails: 1 });
+    assert.deepEqual(call('api::teacher.teacher-session', 'deleteMany').params.where, { id: { $in: [1, 2] } });
+    assert.deepEqual(call('api::teacher.teacher-api-token', 'deleteMany').params.where, { id: { $in: [3] } });
+
+    const events = call('api::teacher.teacher-auth-event', 'updateMany').params;
+    assert.deepEqual(events.where, { id: { $in: [4, 5] } });
+    assert.deepEqual(events.data, { identifier: null, ip: null, userAgent: null, metadata: null });
+  });
+
+  it('also scrubs failed logins recorded under the teacher\'s email', async () => {
+    const { call } = await eraseWith({});
+
+    assert.deepEqual(call('api::teacher.teacher-auth-event', 'findMany').params.where, {
+      $or: [{ teacher: { id: 7 } }, { identifier: { $eqi: 'jane@school.org' } }],
+    });
+  });
+});
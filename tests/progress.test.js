@@ -0,0 +1,92 @@
+'use strict';
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+const createProgressService = require('../src/api/progress/services/progress');
+
+const progressService = createProgressService({ strapi: {} });
+
+const lesson = (documentId, order) => ({ id: order, documentId, title: `Lesson ${documentId}`, order, extra: 'dropped' });
+
+// Already in order, as returned by findCourseOutline
+const OUTLINE = [
+  { id: 1, documentId: 'm1', title: 'Basics', order: 1, lessons: [lesson('a', 1), lesson('b', 2)] },
+  { id: 2, documentId: 'm2', title: 'Advanced', order: 2, lessons: [lesson('c', 3), lesson('d', 4), lesson('e', 5)] },
+  { id: 3, documentId: 'm3', title: 'Empty', order: 3, lessons: [] },
+];
+
+describe('progress summarise', () => {
+  it('reports nothing done with the first lesson next', () => {
+    const summary = progressService.summarise(OUTLINE, []);
+
+    assert.equal(summary.totalLessons, 5);
+    assert.equal(summary.completedLessons, 0);
+    assert.equal(summary.percent, 0);
+    assert.deepEqual(summary.nextLesson, { id: 1, documentId: 'a', title: 'Lesson a', order: 1 });
+  });
+
+  it('aggregates per module and for the course', () => {
+    const summary = progressService.summarise(OUTLINE, ['a', 'b', 'd']);
+
+    assert.equal(summary.completedLessons, 3);
+    assert.equal(summary.percent, 60);
+    assert.equal(summary.nextLesson.documentId, 'c');
+
+    assert.deepEqual(
+      summary.modules.map(({ documentId, totalLessons, completedLessons, percent, nextLesson }) => [
+        documentId,
+        totalLessons,
+        completedLessons,
+        percent,
+        nextLesson && nextLesson.documentId,
+      ]),
+      [
+        ['m1', 2, 2, 100, null],
+        ['m2', 3, 1, 33, 'c'],
+        ['m3', 0, 0, 0, null],
+      ]
+    );
+  });
+
+  it('picks the first lesson not done, even after later ones are done', () => {
+    assert.equal(progressService.summarise(OUTLINE, ['a', 'c', 'd', 'e']).nextLesson.documentId, 'b');
+  });
+
+  it('ignores lessons outside the outline', () => {
+    const summary = progressService.summarise(OUTLINE, ['a', 'unpublished', 'other-course']);
+
+    assert.equal(summary.completedLessons, 1);
+    assert.equal(summary.percent, 20);
+  });
+
+  it('has no next lesson once everything is done', () => {
+    const summary = progressService.summarise(OUTLINE, ['a', 'b', 'c', 'd', 'e']);
+
+    assert.equal(summary.percent, 100);
+    assert.equal(summary.nextLesson, null);
+  });
+
+  it('handles an empty course', () => {
+    assert.deepEqual(progressService.summarise([], ['a']), {
+      totalLessons: 0,
+      completedLessons: 0,
+      percent: 0,
+      nextLesson: null,
+      modules: [],
+    });
+  });
+});
+
+describe('progress completedLessonIds', () => {
+  it('keeps only lessons with a completion date', () => {
+    const lessons = new Map([
+      ['a', { viewedAt: new Date(), completedAt: new Date() }],
+      ['b', { viewedAt: new Date(), completedAt: null }],
+      ['c', { viewedAt: new Date(), completedAt: new Date() }],
+    ]);
+
+    assert.deepEqual(progressService.completedLessonIds(lessons), ['a', 'c']);
+    assert.deepEqual(progressService.completedLessonIds(new Map()), []);
+  });
+});
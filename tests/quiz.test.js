@@ -0,0 +1,154 @@
+'use strict';
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { createService } = require('./helpers/strapi');
+const createQuizService = require('../src/api/quiz/services/quiz');
+
+const quizService = createService(createQuizService);
+
+const QUIZ = {
+  passingPercent: 60,
+  questions: [
+    {
+      id: 1,
+      type: 'single',
+      points: 2,
+      explanation: '2 + 2 = 4',
+      choices: [{ id: 11, isCorrect: true }, { id: 12, isCorrect: false }],
+    },
+    {
+      id: 2,
+      type: 'multiple',
+      choices: [{ id: 21, isCorrect: true }, { id: 22, isCorrect: true }, { id: 23, isCorrect: false }],
+    },
+  ],
+};
+
+describe('quiz validateAnswers', () => {
+  it('accepts answers to some or all questions', () => {
+    assert.equal(quizService.validateAnswers(QUIZ, []), null);
+    assert.equal(quizService.validateAnswers(QUIZ, [{ question: 1, choices: [11] }, { question: 2, choices: [21, 22] }]), null);
+  });
+
+  it('accepts ids sent as strings', () => {
+    assert.equal(quizService.validateAnswers(QUIZ, [{ question: '2', choices: ['21', '23'] }]), null);
+  });
+
+  it('requires an array', () => {
+    assert.equal(quizService.validateAnswers(QUIZ, { question: 1 }), 'answers must be an array');
+    assert.equal(quizService.validateAnswers(QUIZ, undefined), 'answers must be an array');
+  });
+
+  it('rejects questions of another quiz', () => {
+    assert.equal(quizService.validateAnswers(QUIZ, [{ question: 99, choices: [] }]), 'Unknown question: 99');
+    assert.equal(quizService.validateAnswers(QUIZ, [null]), 'Unknown question: undefined');
+  });
+
+  it('rejects a question answered twice', () => {
+    assert.equal(
+      quizService.validateAnswers(QUIZ, [{ question: 1, choices: [11] }, { question: '1', choices: [12] }]),
+      'Question 1 is answered more than once'
+    );
+  });
+
+  it('rejects choices that are not an array', () => {
+    assert.equal(quizService.validateAnswers(QUIZ, [{ question: 1, choices: 11 }]), 'Question 1: choices must be an array');
+  });
+
+  it('rejects choices of another question', () => {
+    assert.equal(quizService.validateAnswers(QUIZ, [{ question: 1, choices: [21] }]), 'Question 1: unknown choice');
+  });
+
+  it('allows one choice on single-choice questions', () => {
+    assert.equal(quizService.validateAnswers(QUIZ, [{ question: 1, choices: [11, 12] }]), 'Question 1: only one choice is allowed');
+  });
+});
+
+describe('quiz grade', () => {
+  it('awards full marks for exactly the correct choices', () => {
+    const graded = quizService.grade(QUIZ, [{ question: 1, choices: [11] }, { question: 2, choices: [22, 21] }]);
+
+    assert.equal(graded.score, 3);
+    assert.equal(graded.maxScore, 3);
+    assert.equal(graded.percent, 100);
+    assert.equal(graded.passed, true);
+  });
+
+  it('is all-or-nothing per question', () => {
+    const graded = quizService.grade(QUIZ, [{ question: 1, choices: [11] }, { question: 2, choices: [21] }]);
+
+    assert.equal(graded.score, 2);
+    assert.equal(graded.percent, 67);
+    assert.deepEqual(graded.results.map((result) => [result.question, result.correct, result.points]), [
+      [1, true, 2],
+      [2, false, 0],
+    ]);
+  });
+
+  it('gives nothing for an extra wrong choice', () => {
+    const graded = quizService.grade(QUIZ, [{ question: 2, choices: [21, 22, 23] }]);
+    assert.equal(graded.results[1].correct, false);
+  });
+
+  it('scores unanswered questions as 0 and fails below the passing percent', () => {
+    const graded = quizService.grade(QUIZ, [{ question: 2, choices: ['21', '22'] }]);
+
+    assert.equal(graded.score, 1);
+    assert.equal(graded.percent, 33);
+    assert.equal(graded.passed, false);
+    assert.deepEqual(graded.results[0], {
+      question: 1,
+      choices: [],
+      correct: false,
+      points: 0,
+      correctChoices: [11],
+      explanation: '2 + 2 = 4',
+    });
+  });
+
+  it('reports passed as null when the quiz has no passing percent', () => {
+    assert.equal(quizService.grade({ ...QUIZ, passingPercent: null }, []).passed, null);
+  });
+
+  it('scores 0% for a quiz without questions', () => {
+    const graded = quizService.grade({ questions: [] }, []);
+
+    assert.equal(graded.maxScore, 0);
+    assert.equal(graded.percent, 0);
+  });
+});
+
+describe('quiz validateQuiz', () => {
+  const question = { prompt: '2 + 2?', choices: [{ text: '4', isCorrect: true }, { text: '5' }] };
+
+  it('accepts a questions quiz and an external quiz with a link', () => {
+    assert.equal(quizService.validateQuiz({ questions: [question] }), null);
+    assert.equal(quizService.validateQuiz({ type: 'external', externalLink: 'https://forms.example/quiz' }), null);
+  });
+
+  it('rejects incomplete quizzes', () => {
+    assert.equal(quizService.validateQuiz({ type: 'external' }), 'An external quiz needs an externalLink');
+    assert.equal(quizService.validateQuiz({ questions: [] }), 'A quiz needs at least one question');
+    assert.equal(
+      quizService.validateQuiz({ questions: [{ ...question, choices: [{ text: '4', isCorrect: true }] }] }),
+      'Question 1: at least two choices are required'
+    );
+  });
+
+  it('checks the number of correct choices against the question type', () => {
+    const twoCorrect = { ...question, choices: [{ text: '4', isCorrect: true }, { text: 'four', isCorrect: true }] };
+    const noneCorrect = { ...question, type: 'multiple', choices: [{ text: '4' }, { text: '5' }] };
+
+    assert.equal(
+      quizService.validateQuiz({ questions: [twoCorrect] }),
+      'Question 1: a single-choice question needs exactly one correct choice'
+    );
+    assert.equal(quizService.validateQuiz({ questions: [{ ...twoCorrect, type: 'multiple' }] }), null);
+    assert.equal(
+      quizService.validateQuiz({ questions: [noneCorrect] }),
+      'Question 1: a multiple-choice question needs at least one correct choice'
+    );
+  });
+});
@@ -0,0 +1,52 @@
+'use strict';
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { escapeHtml, render, formatDuration } = require('../src/api/mailer/utils/render');
+
+describe('email render escaping', () => {
+  it('escapes every HTML special character', () => {
+    assert.equal(escapeHtml(`<a href="x" title='y'>&</a>`), '&lt;a href=&quot;x&quot; title=&#39;y&#39;&gt;&amp;&lt;/a&gt;');
+    assert.equal(escapeHtml(42), '42');
+  });
+
+  it('escapes {{ }} values in HTML', () => {
+    const html = render('<p>Hi {{name}}</p>', { name: '<script>alert("x")</script>' }, { escape: true });
+    assert.equal(html, '<p>Hi &lt;script&gt;alert(&quot;x&quot;)&lt;/script&gt;</p>');
+  });
+
+  it('leaves {{ }} values alone in plain text', () => {
+    assert.equal(render('Hi {{name}}', { name: '<b>Jo</b> & co' }, { escape: false }), 'Hi <b>Jo</b> & co');
+  });
+
+  it('inserts {{{ }}} values raw, even in HTML', () => {
+    assert.equal(render('<main>{{{content}}}</main>', { content: '<p>body</p>' }, { escape: true }), '<main><p>body</p></main>');
+  });
+
+  it('never re-scans substituted values for placeholders', () => {
+    const html = render('{{name}} {{{content}}}', { name: '{{{secret}}}', content: '{{secret}}', secret: 'leak' }, { escape: true });
+    assert.equal(html, '{{{secret}}} {{secret}}');
+  });
+
+  it('escapes values inside kept {{#if}} blocks', () => {
+    const template = '{{#if phone}}<li>{{phone}}</li>{{/if}}';
+
+    assert.equal(render(template, { phone: '<555>' }, { escape: true }), '<li>&lt;555&gt;</li>');
+    assert.equal(render(template, { phone: '' }, { escape: true }), '');
+  });
+
+  it('renders dotted paths and drops missing values', () => {
+    assert.equal(render('{{teacher.name}}|{{missing}}|{{teacher.none.deeper}}', { teacher: { name: 'Ann' } }, { escape: true }), 'Ann||');
+  });
+});
+
+describe('formatDuration', () => {
+  it('picks minutes, hours or days', () => {
+    assert.equal(formatDuration(60 * 1000), '1 minute');
+    assert.equal(formatDuration(15 * 60 * 1000), '15 minutes');
+    assert.equal(formatDuration(60 * 60 * 1000), '1 hour');
+    assert.equal(formatDuration(24 * 60 * 60 * 1000), '24 hours');
+    assert.equal(formatDuration(7 * 24 * 60 * 60 * 1000), '7 days');
+  });
+});
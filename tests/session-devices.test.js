@@ -0,0 +1,83 @@
+'use strict';
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { createService } = require('./helpers/strapi');
+const createTeacherService = require('../src/api/teacher/services/teacher');
+const { describeUserAgent } = require('../src/api/teacher/utils/user-agent');
+
+const USER_AGENTS = {
+  chromeWindows:
+    'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/126.0 Safari/537.36',
+  edgeWindows:
+    'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/126.0 Safari/537.36 Edg/126.0',
+  safariIphone:
+    'Mozilla/5.0 (iPhone; CPU iPhone OS 17_5 like Mac OS X) AppleWebKit/605.1.15 (KHTML, like Gecko) Version/17.5 Mobile/15E148 Safari/604.1',
+  firefoxLinux: 'Mozilla/5.0 (X11; Linux x86_64; rv:127.0) Gecko/20100101 Firefox/127.0',
+};
+
+describe('describeUserAgent', () => {
+  it('names the browser and platform', () => {
+    assert.equal(describeUserAgent(USER_AGENTS.chromeWindows), 'Chrome on Windows');
+    assert.equal(describeUserAgent(USER_AGENTS.edgeWindows), 'Edge on Windows');
+    assert.equal(describeUserAgent(USER_AGENTS.safariIphone), 'Safari on iPhone');
+    assert.equal(describeUserAgent(USER_AGENTS.firefoxLinux), 'Firefox on Linux');
+  });
+
+  it('falls back for unknown or missing user agents', () => {
+    assert.equal(describeUserAgent('curl/8.5.0'), 'Unknown browser/device');
+    assert.equal(describeUserAgent(null), 'Unknown device');
+  });
+});
+
+describe('teacher listSessions', () => {
+  it('lists open sessions with their device and marks the current one', async () => {
+    let query;
+    const rows = [
+      { id: 12, userAgent: USER_AGENTS.safariIphone, ip: '10.0.0.2', createdAt: 'c12', lastUsedAt: 'u12', expiresAt: 'e12' },
+      { id: 11, userAgent: null, ip: null, createdAt: 'c11', lastUsedAt: 'u11', expiresAt: 'e11', impersonatedBy: 'admin:1 (ops@school.org)' },
+    ];
+
+    const service = createService(createTeacherService, {
+      db: {
+        query: () => ({
+          findMany: async (params) => {
+            query = params;
+            return rows;
+          },
+        }),
+      },
+    });
+
+    const sessions = await service.listSessions(7, { currentSessionId: 12 });
+
+    assert.deepEqual(query.where.teacher, { id: 7 });
+    assert.equal(query.where.revokedAt, null);
+    assert.ok(query.where.expiresAt.$gt instanceof Date);
+    assert.deepEqual(sessions, [
+      {
+        id: 12,
+        device: 'Safari on iPhone',
+        userAgent: USER_AGENTS.safariIphone,
+        ip: '10.0.0.2',
+        signedInAt: 'c12',
+        lastSeenAt: 'u12',
+        expiresAt: 'e12',
+        impersonatedBy: null,
+        current: true,
+      },
+      {
+        id: 11,
+        device: 'Unknown device',
+        userAgent: null,
+        ip: null,
+        signedInAt: 'c11',
+        lastSeenAt: 'u11',
+        expiresAt: 'e11',
+        impersonatedBy: 'admin:1 (ops@school.org)',
+        current: false,
+      },
+    ]);
+  });
+});
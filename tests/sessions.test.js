@@ -0,0 +1,135 @@
+'use strict';
+
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const jwt = require('jsonwebtoken');
+
+const { createSessions, hashToken } = require('../src/utils/sessions');
+
+const CONFIG = {
+  'teacher-auth.jwt': { secret: 'test-secret', expiresIn: '15m' },
+  'teacher-auth.refreshToken': { expiresInDays: 30 },
+};
+
+// Equality, $ne/$in and `{ id }` on the owner relation are all the helpers filter on
+const matches = (row, where) =>
+  Object.entries(where).every(([key, condition]) => {
+    if (condition && typeof condition === 'object' && !(condition instanceof Date)) {
+      if ('$ne' in condition) return row[key] !== condition.$ne;
+      if ('$in' in condition) return condition.$in.includes(row[key]);
+      if ('id' in condition) return row[key]?.id === condition.id;
+    }
+    return (row[key] ?? null) === condition;
+  });
+
+/**
+ * Just enough of strapi for the helpers: config and an in-memory session table
+ */
+const createStrapi = (accounts) => {
+  const rows = [];
+  let nextId = 1;
+
+  const query = {
+    create: async ({ data }) => {
+      const row = { id: nextId++, revokedAt: null, ...data, teacher: accounts[data.teacher] };
+      rows.push(row);
+      return row;
+    },
+    findOne: async ({ where }) => rows.find((row) => matches(row, where)) || null,
+    findMany: async ({ where }) => rows.filter((row) => matches(row, where)),
+    update: async ({ where, data }) => Object.assign(rows.find((row) => matches(row, where)), data),
+    updateMany: async ({ where, data }) => {
+      const found = rows.filter((row) => matches(row, where));
+      found.forEach((row) => Object.assign(row, data));
+      return { count: found.length };
+    },
+  };
+
+  return {
+    rows,
+    config: { get: (key) => CONFIG[key] },
+    db: { query: () => query },
+  };
+};
+
+const OPTIONS = {
+  sessionUid: 'api::teacher.teacher-session',
+  owner: 'teacher',
+  type: 'teacher',
+  config: 'teacher-auth',
+};
+
+describe('sessions', () => {
+  const teacher = { id: 1, email: 'jane@school.org', username: 'jane', name: 'Jane', isActive: true };
+  let strapi;
+  let sessions;
+  const realWarn = console.warn;
+
+  beforeEach(() => {
+    strapi = createStrapi({ 1: teacher });
+    sessions = createSessions(strapi, OPTIONS);
+    console.warn = () => {};
+  });
+
+  afterEach(() => {
+    console.warn = realWarn;
+  });
+
+  it('stores only the hash of the refresh token', async () => {
+    const { token, refreshToken } = await sessions.createSession(teacher, { ip: '10.0.0.1', userAgent: 'x'.repeat(300) });
+    const [row] = strapi.rows;
+
+    assert.equal(row.refreshTokenHash, hashToken(refreshToken));
+    assert.equal(row.userAgent.length, 255);
+    assert.equal(jwt.decode(token).sid, row.id);
+  });
+
+  it('rotates the refresh token and keeps the previous hash', async () => {
+    const first = await sessions.createSession(teacher);
+    const second = await sessions.refreshSession(first.refreshToken);
+
+    assert.equal(second.teacher, teacher);
+    assert.notEqual(second.refreshToken, first.refreshToken);
+    assert.equal(strapi.rows[0].previousRefreshTokenHash, hashToken(first.refreshToken));
+    assert.equal(await sessions.refreshSession('unknown'), null);
+  });
+
+  it('revokes the session when a rotated-out refresh token is replayed', async () => {
+    const first = await sessions.createSession(teacher);
+    const second = await sessions.refreshSession(first.refreshToken);
+
+    assert.equal(await sessions.refreshSession(first.refreshToken), null);
+    assert.ok(strapi.rows[0].revokedAt);
+    assert.equal(await sessions.refreshSession(second.refreshToken), null);
+    assert.equal(await sessions.verifyAccessToken(second.token), null);
+  });
+
+  it('refuses to refresh for inactive accounts', async () => {
+    const { refreshToken } = await sessions.createSession(teacher);
+    const strict = createSessions(strapi, { ...OPTIONS, isOwnerActive: () => false });
+
+    assert.equal(await strict.refreshSession(refreshToken), null);
+  });
+
+  it('rejects access tokens of another account type', async () => {
+    const { token } = await sessions.createSession(teacher);
+    const students = createSessions(strapi, { ...OPTIONS, type: 'student' });
+
+    assert.equal((await sessions.verifyAccessToken(token)).id, teacher.id);
+    assert.equal(await students.verifyAccessToken(token), null);
+    assert.equal(await sessions.verifyAccessToken('not-a-jwt'), null);
+  });
+
+  it('revokes all open sessions except the one asked to keep', async () => {
+    await sessions.createSession(teacher);
+    await sessions.createSession(teacher);
+    await sessions.createSession(teacher);
+
+    await sessions.revokeAllSessions(teacher.id, { exceptSessionId: 2 });
+
+    assert.deepEqual(
+      strapi.rows.map((row) => Boolean(row.revokedAt)),
+      [true, false, true]
+    );
+  });
+});
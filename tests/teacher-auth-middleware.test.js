@@ -0,0 +1,163 @@
+'use strict';
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+const createTeacherAuth = require('../src/middlewares/teacher-auth');
+
+const TEACHER = { id: 7, email: 'jane@school.org', isActive: true, deactivatedAt: null };
+
+/**
+ * Just enough of strapi for the middleware: API tokens by credential, access
+ * tokens by credential, the teacher table and a recorder for audit events
+ */
+const createStrapi = ({ apiTokens = {}, accessTokens = {}, readOnlyImpersonation = false } = {}) => {
+  const audits = [];
+
+  const services = {
+    'api::teacher.api-token': {
+      isApiToken: (credential) => credential.startsWith('tpat_'),
+      verify: async (credential) => apiTokens[credential] || null,
+    },
+    'api::teacher.teacher': {
+      verifyAccessToken: async (credential) => accessTokens[credential] || null,
+    },
+    'api::teacher.auth-audit': {
+      record: async (ctx, event, details) => audits.push({ event, ...details }),
+    },
+  };
+
+  return {
+    audits,
+    service: (uid) => services[uid],
+    config: { get: () => readOnlyImpersonation },
+    db: { query: () => ({ findOne: async ({ where }) => (where.id === TEACHER.id ? TEACHER : null) }) },
+  };
+};
+
+const createCtx = (method, credential) => ({
+  method,
+  path: '/teachers/me',
+  status: 404,
+  state: {},
+  request: { headers: credential ? { authorization: `Bearer ${credential}` } : {} },
+  unauthorized(message) {
+    this.status = 401;
+    this.body = message;
+  },
+  forbidden(message) {
+    this.status = 403;
+    this.body = message;
+  },
+});
+
+/**
+ * Run the middleware for one request; next() answers 200
+ */
+const run = async (strapi, method, credential, config) => {
+  const ctx = createCtx(method, credential);
+  let reached = false;
+
+  await createTeacherAuth(config, { strapi })(ctx, async () => {
+    reached = true;
+    ctx.status = 200;
+  });
+
+  return { ctx, reached };
+};
+
+describe('teacher-auth API tokens', () => {
+  const strapi = createStrapi({
+    apiTokens: {
+      tpat_read: { id: 1, scope: 'read-only', teacher: { id: 7 } },
+      tpat_write: { id: 2, scope: 'read-write', teacher: { id: 7 } },
+    },
+  });
+
+  it('lets read-only tokens read', async () => {
+    const { ctx, reached } = await run(strapi, 'GET', 'tpat_read');
+
+    assert.equal(reached, true);
+    assert.equal(ctx.state.teacher, TEACHER);
+    assert.deepEqual(ctx.state.teacherToken, { id: 7, type: 'teacher-api-token', tokenId: 1, scope: 'read-only' });
+  });
+
+  it('turns read-only tokens away from writes', async () => {
+    for (const method of ['POST', 'PUT', 'DELETE']) {
+      const { ctx, reached } = await run(strapi, method, 'tpat_read');
+
+      assert.equal(reached, false);
+      assert.equal(ctx.status, 403);
+      assert.equal(ctx.body, 'This API token is read-only');
+    }
+  });
+
+  it('lets read-write tokens write', async () => {
+    assert.equal((await run(strapi, 'POST', 'tpat_write')).reached, true);
+  });
+
+  it('refuses API tokens on account routes', async () => {
+    const { ctx, reached } = await run(strapi, 'GET', 'tpat_write', { allowApiTokens: false });
+
+    assert.equal(reached, false);
+    assert.equal(ctx.status, 403);
+    assert.equal(ctx.body, 'API tokens cannot be used for this endpoint');
+  });
+
+  it('rejects unknown tokens and missing headers', async () => {
+    assert.equal((await run(strapi, 'GET', 'tpat_unknown')).ctx.status, 401);
+    assert.equal((await run(strapi, 'GET', null)).ctx.body, 'No authorization token provided');
+  });
+});
+
+describe('teacher-auth impersonation', () => {
+  const impersonation = { id: 7, email: 'jane@school.org', impersonation: true, impersonatedBy: { id: 1, email: 'ops@school.org' } };
+  const accessTokens = { 'jwt-support': impersonation };
+
+  it('audits every request made with an impersonation token', async () => {
+    const strapi = createStrapi({ accessTokens });
+
+    const { reached } = await run(strapi, 'POST', 'jwt-support');
+
+    assert.equal(reached, true);
+    assert.deepEqual(strapi.audits, [
+      {
+        event: 'impersonated_request',
+        teacher: { id: 7, email: 'jane@school.org' },
+        actor: 'admin:1 (ops@school.org)',
+        metadata: { method: 'POST', path: '/teachers/me', status: 200 },
+      },
+    ]);
+  });
+
+  it('refuses writes while impersonation is read-only, and audits the refusal', async () => {
+    const strapi = createStrapi({ accessTokens, readOnlyImpersonation: true });
+
+    assert.equal((await run(strapi, 'GET', 'jwt-support')).reached, true);
+
+    const { ctx, reached } = await run(strapi, 'PUT', 'jwt-support');
+
+    assert.equal(reached, false);
+    assert.equal(ctx.status, 403);
+    assert.equal(strapi.audits[1].outcome, 'failure');
+    assert.equal(strapi.audits[1].reason, 'Impersonation sessions are read-only');
+    assert.equal(strapi.audits[1].metadata.status, 403);
+  });
+
+  it('keeps impersonators off account routes', async () => {
+    const strapi = createStrapi({ accessTokens });
+
+    const { ctx, reached } = await run(strapi, 'GET', 'jwt-support', { allowImpersonation: false });
+
+    assert.equal(reached, false);
+    assert.equal(ctx.body, 'This endpoint is not available while impersonating a teacher');
+    assert.equal(strapi.audits[0].reason, ctx.body);
+  });
+
+  it('does not audit ordinary teacher tokens', async () => {
+    const strapi = createStrapi({ accessTokens: { 'jwt-own': { id: 7, type: 'teacher', sid: 3 } } });
+
+    assert.equal((await run(strapi, 'POST', 'jwt-own')).reached, true);
+    assert.deepEqual(strapi.audits, []);
+  });
+});
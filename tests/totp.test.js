@@ -0,0 +1,96 @@
+'use strict';
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+const totp = require('../src/api/teacher/utils/totp');
+
+// RFC 6238 appendix B: ASCII "12345678901234567890", SHA-1, last 6 of the 8 digits
+const RFC_SECRET = 'GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQ';
+const RFC_VECTORS = [
+  [59, '287082'],
+  [1111111109, '081804'],
+  [1111111111, '050471'],
+  [1234567890, '005924'],
+  [2000000000, '279037'],
+];
+
+describe('totp base32', () => {
+  it('round-trips arbitrary bytes', () => {
+    const bytes = Buffer.from([0, 1, 2, 250, 251, 252, 253, 254, 255]);
+    assert.deepEqual(totp.base32Decode(totp.base32Encode(bytes)), bytes);
+  });
+
+  it('encodes the RFC 4648 test vectors (unpadded)', () => {
+    assert.equal(totp.base32Encode(Buffer.from('f')), 'MY');
+    assert.equal(totp.base32Encode(Buffer.from('foobar')), 'MZXW6YTBOI');
+  });
+
+  it('decodes lower case, spaces and padding', () => {
+    assert.equal(totp.base32Decode('mzxw 6ytb oi======').toString(), 'foobar');
+  });
+
+  it('rejects characters outside the alphabet', () => {
+    assert.throws(() => totp.base32Decode('MZ1W'), /Invalid base32 character: 1/);
+  });
+});
+
+describe('totp codes', () => {
+  it('matches the RFC 6238 SHA-1 test vectors', () => {
+    for (const [seconds, code] of RFC_VECTORS) {
+      assert.equal(totp.generateCode(RFC_SECRET, Math.floor(seconds / 30)), code, `T=${seconds}`);
+    }
+  });
+
+  it('generates 160-bit base32 secrets', () => {
+    const secret = totp.generateSecret();
+
+    assert.match(secret, /^[A-Z2-7]{32}$/);
+    assert.equal(totp.base32Decode(secret).length, 20);
+    assert.notEqual(totp.generateSecret(), secret);
+  });
+});
+
+describe('totp verifyCode', () => {
+  const now = 1111111111 * 1000;
+  const step = Math.floor(now / 30000);
+
+  it('returns the matching step for the current code', () => {
+    assert.equal(totp.verifyCode(RFC_SECRET, '050471', { now }), step);
+  });
+
+  it('accepts codes one step either side and ignores spaces', () => {
+    assert.equal(totp.verifyCode(RFC_SECRET, totp.generateCode(RFC_SECRET, step - 1), { now }), step - 1);
+    assert.equal(totp.verifyCode(RFC_SECRET, totp.generateCode(RFC_SECRET, step + 1).replace(/(\d{3})/, '$1 '), { now }), step + 1);
+  });
+
+  it('rejects codes outside the window', () => {
+    assert.equal(totp.verifyCode(RFC_SECRET, totp.generateCode(RFC_SECRET, step + 2), { now }), null);
+    assert.equal(totp.verifyCode(RFC_SECRET, totp.generateCode(RFC_SECRET, step + 2), { now, window: 2 }), step + 2);
+  });
+
+  it('rejects replays of steps up to afterStep', () => {
+    assert.equal(totp.verifyCode(RFC_SECRET, '050471', { now, afterStep: step }), null);
+    assert.equal(totp.verifyCode(RFC_SECRET, '050471', { now, afterStep: step - 1 }), step);
+  });
+
+  it('rejects malformed codes', () => {
+    for (const code of [undefined, '', '12345', '1234567', 'abcdef']) {
+      assert.equal(totp.verifyCode(RFC_SECRET, code, { now }), null);
+    }
+  });
+});
+
+describe('totp provisioningUri', () => {
+  it('builds an otpauth URI authenticator apps understand', () => {
+    const uri = new URL(totp.provisioningUri({ secret: RFC_SECRET, accountName: 'jane@school.org', issuer: 'STEPS LMS' }));
+
+    assert.equal(uri.protocol, 'otpauth:');
+    assert.equal(uri.host, 'totp');
+    assert.equal(decodeURIComponent(uri.pathname), '/STEPS LMS:jane@school.org');
+    assert.equal(uri.searchParams.get('secret'), RFC_SECRET);
+    assert.equal(uri.searchParams.get('issuer'), 'STEPS LMS');
+    assert.equal(uri.searchParams.get('digits'), '6');
+    assert.equal(uri.searchParams.get('period'), '30');
+  });
+});
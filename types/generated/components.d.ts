@@ -1,5 +1,69 @@
 import type { Schema, Struct } from '@strapi/strapi';
 
+export interface ClassesScheduleSlot extends Struct.ComponentSchema {
+  collectionName: 'components_classes_schedule_slots';
+  info: {
+    description: 'A weekly meeting time of a class';
+    displayName: 'Schedule slot';
+    icon: 'clock';
+  };
+  attributes: {
+    day: Schema.Attribute.Enumeration<
+      [
+        'monday',
+        'tuesday',
+        'wednesday',
+        'thursday',
+        'friday',
+        'saturday',
+        'sunday',
+      ]
+    > &
+      Schema.Attribute.Required;
+    endTime: Schema.Attribute.Time & Schema.Attribute.Required;
+    room: Schema.Attribute.String;
+    startTime: Schema.Attribute.Time & Schema.Attribute.Required;
+  };
+}
+
+export interface QuizzesChoice extends Struct.ComponentSchema {
+  collectionName: 'components_quizzes_choices';
+  info: {
+    description: 'An answer option of a quiz question';
+    displayName: 'Choice';
+    icon: 'check';
+  };
+  attributes: {
+    isCorrect: Schema.Attribute.Boolean & Schema.Attribute.DefaultTo<false>;
+    text: Schema.Attribute.String & Schema.Attribute.Required;
+  };
+}
+
+export interface QuizzesQuestion extends Struct.ComponentSchema {
+  collectionName: 'components_quizzes_questions';
+  info: {
+    description: 'A multiple-choice quiz question with its correct answers and points';
+    displayName: 'Question';
+    icon: 'question';
+  };
+  attributes: {
+    choices: Schema.Attribute.Component<'quizzes.choice', true>;
+    explanation: Schema.Attribute.Text;
+    points: Schema.Attribute.Integer &
+      Schema.Attribute.SetMinMax<
+        {
+          min: 0;
+        },
+        number
+      > &
+      Schema.Attribute.DefaultTo<1>;
+    prompt: Schema.Attribute.Text & Schema.Attribute.Required;
+    type: Schema.Attribute.Enumeration<['single', 'multiple']> &
+      Schema.Attribute.Required &
+      Schema.Attribute.DefaultTo<'single'>;
+  };
+}
+
 export interface SharedMedia extends Struct.ComponentSchema {
   collectionName: 'components_shared_media';
   info: {
@@ -63,6 +127,9 @@ export interface SharedSlider extends Struct.ComponentSchema {
 declare module '@strapi/strapi' {
   export module Public {
     export interface ComponentSchemas {
+      'classes.schedule-slot': ClassesScheduleSlot;
+      'quizzes.choice': QuizzesChoice;
+      'quizzes.question': QuizzesQuestion;
       'shared.media': SharedMedia;
       'shared.quote': SharedQuote;
       'shared.rich-text': SharedRichText;